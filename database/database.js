@@ -5,10 +5,18 @@ const bcrypt = require('bcryptjs');
 class Database {
   constructor() {
     this.db = null;
-    this.dbPath = path.join(__dirname, 'iptv_panel.db');
+    // Edge servers point DB_PATH at the panel's database file
+    this.dbPath = process.env.DB_PATH || path.join(__dirname, 'iptv_panel.db');
+    this.transactionQueue = Promise.resolve();
   }
 
   async init() {
+    await this.open();
+    console.log('Connected to SQLite database');
+    await this.createTables();
+  }
+
+  async open() {
     return new Promise((resolve, reject) => {
       this.db = new sqlite3.Database(this.dbPath, (err) => {
         if (err) {
@@ -16,14 +24,25 @@ class Database {
           reject(err);
           return;
         }
-        
-        console.log('Connected to SQLite database');
-        this.createTables().then(resolve).catch(reject);
+
+        // The panel and its edge servers write to the same file. In WAL mode
+        // readers keep going while one of them writes.
+        this.db.configure('busyTimeout', 5000);
+        this.db.run('PRAGMA journal_mode = WAL', (pragmaErr) => {
+          if (pragmaErr) {
+            reject(pragmaErr);
+            return;
+          }
+          resolve();
+        });
       });
     });
   }
 
   async createTables() {
+    // Installs from before bouquets get a default one, see migrateBouquets()
+    const hadBouquets = await this.get("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'bouquets'");
+
     const tables = [
       // Users table
       `CREATE TABLE IF NOT EXISTS users (
@@ -135,6 +154,321 @@ class Database {
         expires_at DATETIME NOT NULL,
         last_used DATETIME,
         status TEXT DEFAULT 'active'
+      )`,
+
+      // EPG sources table (XMLTV URLs or uploaded files)
+      `CREATE TABLE IF NOT EXISTS epg_sources (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        source_type TEXT DEFAULT 'url',
+        url TEXT,
+        file_path TEXT,
+        enabled INTEGER DEFAULT 1,
+        status TEXT DEFAULT 'pending',
+        last_error TEXT,
+        last_updated DATETIME,
+        channel_count INTEGER DEFAULT 0,
+        programme_count INTEGER DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+
+      // Channels listed by each EPG source
+      `CREATE TABLE IF NOT EXISTS epg_channels (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        source_id INTEGER NOT NULL,
+        xmltv_id TEXT NOT NULL,
+        display_name TEXT,
+        icon_url TEXT,
+        UNIQUE (source_id, xmltv_id),
+        FOREIGN KEY (source_id) REFERENCES epg_sources(id)
+      )`,
+
+      // Backup upstream URLs tried after channels.stream_url, lowest priority first
+      `CREATE TABLE IF NOT EXISTS channel_sources (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        channel_id INTEGER NOT NULL,
+        url TEXT NOT NULL,
+        priority INTEGER DEFAULT 0,
+        enabled INTEGER DEFAULT 1,
+        status TEXT DEFAULT 'unknown',
+        last_error TEXT,
+        fail_count INTEGER DEFAULT 0,
+        last_checked DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (channel_id) REFERENCES channels(id)
+      )`,
+
+      // Results of the background stream prober
+      `CREATE TABLE IF NOT EXISTS channel_health (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        channel_id INTEGER NOT NULL,
+        status TEXT NOT NULL,
+        http_status INTEGER,
+        response_ms INTEGER,
+        video_codec TEXT,
+        audio_codec TEXT,
+        resolution TEXT,
+        bitrate INTEGER,
+        error TEXT,
+        checked_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (channel_id) REFERENCES channels(id)
+      )`,
+
+      // ffmpeg output settings; bitrates are in kbps
+      `CREATE TABLE IF NOT EXISTS transcode_profiles (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        output_format TEXT DEFAULT 'mpegts',
+        video_codec TEXT DEFAULT 'libx264',
+        video_bitrate INTEGER,
+        max_height INTEGER,
+        preset TEXT DEFAULT 'veryfast',
+        audio_codec TEXT DEFAULT 'aac',
+        audio_bitrate INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+
+      // User DVR recordings; padding is in seconds
+      `CREATE TABLE IF NOT EXISTS recordings (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        channel_id INTEGER NOT NULL,
+        epg_id INTEGER,
+        title TEXT NOT NULL,
+        start_time DATETIME NOT NULL,
+        end_time DATETIME NOT NULL,
+        padding_before INTEGER DEFAULT 0,
+        padding_after INTEGER DEFAULT 0,
+        status TEXT DEFAULT 'scheduled',
+        file_path TEXT,
+        file_size INTEGER DEFAULT 0,
+        error TEXT,
+        started_at DATETIME,
+        finished_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id),
+        FOREIGN KEY (channel_id) REFERENCES channels(id)
+      )`,
+
+      // IPs and devices a user with max_ips or max_devices has streamed from
+      `CREATE TABLE IF NOT EXISTS user_locks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        kind TEXT NOT NULL,
+        value TEXT NOT NULL,
+        label TEXT,
+        first_seen DATETIME,
+        last_seen DATETIME,
+        UNIQUE (user_id, kind, value),
+        FOREIGN KEY (user_id) REFERENCES users(id)
+      )`,
+
+      // IPs refused by every stream endpoint
+      `CREATE TABLE IF NOT EXISTS blocked_ips (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        ip_address VARCHAR(45) UNIQUE NOT NULL,
+        reason TEXT,
+        blocked_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (blocked_by) REFERENCES users(id)
+      )`,
+
+      // Edge streaming servers; load and connections come from their heartbeats
+      `CREATE TABLE IF NOT EXISTS servers (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name VARCHAR(100) NOT NULL,
+        url TEXT NOT NULL,
+        api_key VARCHAR(64) UNIQUE NOT NULL,
+        status TEXT DEFAULT 'active',
+        max_connections INTEGER DEFAULT 500,
+        connections INTEGER DEFAULT 0,
+        load REAL,
+        memory REAL,
+        last_heartbeat DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+
+      // VOD movies, from a remote source_url or a local file_path
+      `CREATE TABLE IF NOT EXISTS movies (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        title VARCHAR(255) NOT NULL,
+        year INTEGER,
+        plot TEXT,
+        actors TEXT,
+        director TEXT,
+        genre TEXT,
+        duration INTEGER,
+        rating REAL,
+        poster_url TEXT,
+        backdrop_url TEXT,
+        trailer TEXT,
+        container_extension VARCHAR(10),
+        category_id INTEGER,
+        source_url TEXT,
+        file_path TEXT,
+        file_size INTEGER,
+        video_codec VARCHAR(20),
+        resolution VARCHAR(20),
+        status TEXT DEFAULT 'active',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (category_id) REFERENCES categories(id)
+      )`,
+
+      // Audio and subtitle tracks of a movie: embedded streams (stream_index)
+      // or sidecar subtitle files (file_path)
+      `CREATE TABLE IF NOT EXISTS movie_tracks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        movie_id INTEGER NOT NULL,
+        kind TEXT NOT NULL,
+        stream_index INTEGER,
+        language VARCHAR(10),
+        codec VARCHAR(20),
+        title TEXT,
+        channels INTEGER,
+        is_default INTEGER DEFAULT 0,
+        file_path TEXT,
+        FOREIGN KEY (movie_id) REFERENCES movies(id)
+      )`,
+
+      // TV series: series -> seasons -> episodes
+      `CREATE TABLE IF NOT EXISTS series (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        title VARCHAR(255) NOT NULL,
+        year INTEGER,
+        plot TEXT,
+        actors TEXT,
+        director TEXT,
+        genre TEXT,
+        rating REAL,
+        poster_url TEXT,
+        backdrop_url TEXT,
+        trailer TEXT,
+        category_id INTEGER,
+        status TEXT DEFAULT 'active',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (category_id) REFERENCES categories(id)
+      )`,
+
+      `CREATE TABLE IF NOT EXISTS seasons (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        series_id INTEGER NOT NULL,
+        season_number INTEGER NOT NULL,
+        name VARCHAR(255),
+        overview TEXT,
+        poster_url TEXT,
+        air_date DATE,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(series_id, season_number),
+        FOREIGN KEY (series_id) REFERENCES series(id)
+      )`,
+
+      // Each episode has its own source, a remote source_url or a local file_path
+      `CREATE TABLE IF NOT EXISTS episodes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        series_id INTEGER NOT NULL,
+        season_id INTEGER NOT NULL,
+        episode_number INTEGER NOT NULL,
+        title VARCHAR(255),
+        plot TEXT,
+        duration INTEGER,
+        air_date DATE,
+        rating REAL,
+        poster_url TEXT,
+        container_extension VARCHAR(10),
+        source_url TEXT,
+        file_path TEXT,
+        file_size INTEGER,
+        video_codec VARCHAR(20),
+        resolution VARCHAR(20),
+        status TEXT DEFAULT 'active',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(season_id, episode_number),
+        FOREIGN KEY (series_id) REFERENCES series(id),
+        FOREIGN KEY (season_id) REFERENCES seasons(id)
+      )`,
+
+      // Where each user is in a movie or episode; position and duration in seconds
+      `CREATE TABLE IF NOT EXISTS watch_progress (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        item_type TEXT NOT NULL,
+        item_id INTEGER NOT NULL,
+        position INTEGER DEFAULT 0,
+        duration INTEGER,
+        completed INTEGER DEFAULT 0,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(user_id, item_type, item_id),
+        FOREIGN KEY (user_id) REFERENCES users(id)
+      )`,
+
+      // Named, ordered packages of channels, movies and series
+      `CREATE TABLE IF NOT EXISTS bouquets (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name VARCHAR(100) UNIQUE NOT NULL,
+        description TEXT,
+        sort_order INTEGER DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+
+      // item_type is channel, movie or series; sort_order is the position in the bouquet
+      `CREATE TABLE IF NOT EXISTS bouquet_items (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        bouquet_id INTEGER NOT NULL,
+        item_type TEXT NOT NULL,
+        item_id INTEGER NOT NULL,
+        sort_order INTEGER DEFAULT 0,
+        UNIQUE(bouquet_id, item_type, item_id),
+        FOREIGN KEY (bouquet_id) REFERENCES bouquets(id)
+      )`,
+
+      `CREATE TABLE IF NOT EXISTS user_bouquets (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        bouquet_id INTEGER NOT NULL,
+        UNIQUE(user_id, bouquet_id),
+        FOREIGN KEY (user_id) REFERENCES users(id),
+        FOREIGN KEY (bouquet_id) REFERENCES bouquets(id)
+      )`,
+
+      // Subscription plans applied when users are created or renewed; price is informational
+      `CREATE TABLE IF NOT EXISTS plans (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name VARCHAR(100) UNIQUE NOT NULL,
+        description TEXT,
+        duration_days INTEGER NOT NULL,
+        max_connections INTEGER DEFAULT 1,
+        price REAL DEFAULT 0,
+        status TEXT DEFAULT 'active',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+
+      `CREATE TABLE IF NOT EXISTS plan_bouquets (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        plan_id INTEGER NOT NULL,
+        bouquet_id INTEGER NOT NULL,
+        UNIQUE(plan_id, bouquet_id),
+        FOREIGN KEY (plan_id) REFERENCES plans(id),
+        FOREIGN KEY (bouquet_id) REFERENCES bouquets(id)
+      )`,
+
+      // Subscription notices; kind is expiring, grace or suspended and days the
+      // notice offset, so each is sent once per expiry date
+      `CREATE TABLE IF NOT EXISTS notifications (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        kind TEXT NOT NULL,
+        days INTEGER DEFAULT 0,
+        expires_at DATETIME,
+        message TEXT NOT NULL,
+        read_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(user_id, kind, days, expires_at),
+        FOREIGN KEY (user_id) REFERENCES users(id)
       )`
     ];
 
@@ -142,6 +476,72 @@ class Database {
       await this.run(table);
     }
 
+    // Columns added after the initial schema
+    const columns = [
+      ['epg', 'source_id', 'INTEGER'],
+      ['channels', 'health_status', "TEXT DEFAULT 'unknown'"],
+      ['channels', 'health_failures', 'INTEGER DEFAULT 0'],
+      ['channels', 'last_health_check', 'DATETIME'],
+      ['channels', 'transcode_profile_id', 'INTEGER'],
+      ['channels', 'abr_enabled', 'INTEGER DEFAULT 0'],
+      ['channels', 'abr_renditions', 'TEXT'],
+      ['channels', 'tv_archive', 'INTEGER DEFAULT 0'],
+      ['channels', 'tv_archive_duration', 'INTEGER DEFAULT 0'],
+      ['users', 'recording_quota_mb', 'INTEGER'],
+      ['stream_logs', 'last_activity', 'DATETIME'],
+      ['stream_logs', 'end_reason', 'TEXT'],
+      ['users', 'allowed_ips', 'TEXT'],
+      ['users', 'max_ips', 'INTEGER DEFAULT 0'],
+      ['users', 'allowed_user_agents', 'TEXT'],
+      ['users', 'max_devices', 'INTEGER DEFAULT 0'],
+      ['users', 'connection_policy', 'TEXT'],
+      ['stream_logs', 'server_id', 'INTEGER'],
+      ['channels', 'server_ids', 'TEXT'],
+      ['users', 'server_ids', 'TEXT'],
+      ['stream_logs', 'movie_id', 'INTEGER'],
+      ['stream_logs', 'episode_id', 'INTEGER'],
+      ['users', 'plan_id', 'INTEGER'],
+      ['users', 'grace_started_at', 'DATETIME'],
+      ['users', 'pre_grace_max_connections', 'INTEGER'],
+      ['users', 'pre_grace_bouquet_ids', 'TEXT'],
+      ['channels', 'abr_previous_quality', 'TEXT'],
+      ['stream_logs', 'recording_id', 'INTEGER']
+    ];
+
+    for (const [table, column, definition] of columns) {
+      await this.addColumn(table, column, definition);
+    }
+
+    const indexes = [
+      'CREATE INDEX IF NOT EXISTS idx_epg_channel_start ON epg (channel_id, start_time)',
+      'CREATE INDEX IF NOT EXISTS idx_epg_source ON epg (source_id)',
+      'CREATE INDEX IF NOT EXISTS idx_channel_sources_channel ON channel_sources (channel_id, priority)',
+      'CREATE INDEX IF NOT EXISTS idx_channel_health_channel ON channel_health (channel_id, checked_at)',
+      'CREATE INDEX IF NOT EXISTS idx_recordings_user ON recordings (user_id, status)',
+      'CREATE INDEX IF NOT EXISTS idx_stream_logs_user_open ON stream_logs (user_id, end_time)',
+      'CREATE INDEX IF NOT EXISTS idx_stream_logs_server_open ON stream_logs (server_id, end_time)',
+      'CREATE INDEX IF NOT EXISTS idx_movies_category ON movies (category_id, status)',
+      'CREATE INDEX IF NOT EXISTS idx_movie_tracks_movie ON movie_tracks (movie_id)',
+      'CREATE INDEX IF NOT EXISTS idx_series_category ON series (category_id, status)',
+      'CREATE INDEX IF NOT EXISTS idx_episodes_series ON episodes (series_id, season_id, episode_number)',
+      'CREATE INDEX IF NOT EXISTS idx_stream_logs_user_episode ON stream_logs (user_id, episode_id)',
+      'CREATE INDEX IF NOT EXISTS idx_watch_progress_user ON watch_progress (user_id, completed, updated_at)',
+      'CREATE INDEX IF NOT EXISTS idx_bouquet_items_item ON bouquet_items (item_type, item_id)',
+      'CREATE INDEX IF NOT EXISTS idx_user_bouquets_bouquet ON user_bouquets (bouquet_id)',
+      'CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications (user_id, created_at)'
+    ];
+
+    for (const index of indexes) {
+      await this.run(index);
+    }
+
+    await this.migrateVodChannels();
+    await this.migrateSeriesChannels();
+
+    if (!hadBouquets) {
+      await this.migrateBouquets();
+    }
+
     // Insert default admin user
     await this.createDefaultAdmin();
     
@@ -169,7 +569,29 @@ class Database {
       ['site_description', 'Custom IPTV Panel - Live Xtream/XUI Alternative', 'string', 'Site description'],
       ['max_connections_per_user', '3', 'number', 'Maximum connections per user'],
       ['stream_timeout', '30', 'number', 'Stream timeout in seconds'],
+      ['restream_idle_timeout', '30', 'number', 'Seconds a shared live upstream stays open without viewers'],
       ['epg_update_interval', '3600', 'number', 'EPG update interval in seconds'],
+      ['epg_retention_days', '7', 'number', 'Days of past EPG programmes to keep'],
+      ['xmltv_days', '7', 'number', 'Days of programmes included in the XMLTV export'],
+      ['health_check_interval', '900', 'number', 'Seconds between upstream health checks of each live channel (0 disables)'],
+      ['health_fail_threshold', '3', 'number', 'Consecutive failed health checks before a channel is flagged offline'],
+      ['health_history_days', '7', 'number', 'Days of health check history to keep'],
+      ['max_transcodes', '2', 'number', 'Maximum number of ffmpeg transcodes running at once'],
+      ['archive_days', '3', 'number', 'Default catch-up archive retention in days'],
+      ['connection_policy', 'reject', 'string', 'At max_connections: reject new streams or replace_oldest'],
+      ['stream_token_ttl', '300', 'number', 'Seconds a stream URL from /play stays valid'],
+      ['session_idle_timeout', '60', 'number', 'Seconds without requests before an HLS stream session is closed'],
+      ['server_heartbeat_timeout', '30', 'number', 'Seconds without a heartbeat before an edge server is considered down'],
+      ['watch_completed_percent', '90', 'number', 'Percent of a movie or episode played before it counts as watched'],
+      ['expiry_notice_days', '7,3,1', 'string', 'Days before expiry at which users are notified, comma-separated'],
+      ['expiry_mode', 'suspend', 'string', 'On expiry: suspend the account, or grace to downgrade it first'],
+      ['grace_period_days', '7', 'number', 'Days an expired account stays downgraded before it is suspended (grace mode)'],
+      ['grace_max_connections', '1', 'number', 'Maximum connections during the grace period'],
+      ['grace_bouquet_ids', '', 'string', 'Bouquets during the grace period, comma-separated (empty keeps the user\'s own)'],
+      ['notification_webhook_url', '', 'string', 'URL subscription notifications are POSTed to (empty disables)'],
+      ['recording_quota_mb', '5120', 'number', 'Default DVR storage per user in MB'],
+      ['recording_padding_before', '60', 'number', 'Seconds recorded before a programme starts'],
+      ['recording_padding_after', '300', 'number', 'Seconds recorded after a programme ends'],
       ['enable_registration', 'false', 'boolean', 'Enable user registration'],
       ['maintenance_mode', 'false', 'boolean', 'Maintenance mode'],
       ['default_quality', 'HD', 'string', 'Default stream quality'],
@@ -185,6 +607,132 @@ class Database {
     }
   }
 
+  // VOD used to be channel rows with stream_type 'vod'; move them to movies
+  async migrateVodChannels() {
+    const channels = await this.all("SELECT * FROM channels WHERE stream_type = 'vod'");
+
+    for (const channel of channels) {
+      const movie = await this.run(
+        `INSERT INTO movies (title, poster_url, category_id, source_url, status, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [channel.name, channel.logo_url, channel.category_id, channel.stream_url, channel.status || 'active',
+          channel.created_at, channel.updated_at]
+      );
+      await this.run('UPDATE stream_logs SET movie_id = ?, channel_id = NULL WHERE channel_id = ?', [movie.id, channel.id]);
+      await this.run('DELETE FROM channel_sources WHERE channel_id = ?', [channel.id]);
+      await this.run('DELETE FROM channel_health WHERE channel_id = ?', [channel.id]);
+      await this.run('DELETE FROM channels WHERE id = ?', [channel.id]);
+    }
+
+    if (channels.length > 0) {
+      console.log(`Moved ${channels.length} VOD channels to the movie library`);
+    }
+  }
+
+  // Series channels were one stream each; they become a series with a single episode
+  async migrateSeriesChannels() {
+    const channels = await this.all("SELECT * FROM channels WHERE stream_type = 'series'");
+
+    for (const channel of channels) {
+      const series = await this.run(
+        `INSERT INTO series (title, poster_url, category_id, status, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [channel.name, channel.logo_url, channel.category_id, channel.status || 'active',
+          channel.created_at, channel.updated_at]
+      );
+      const season = await this.run(
+        'INSERT INTO seasons (series_id, season_number) VALUES (?, 1)',
+        [series.id]
+      );
+      const episode = await this.run(
+        `INSERT INTO episodes (series_id, season_id, episode_number, title, source_url, created_at)
+         VALUES (?, ?, 1, ?, ?, ?)`,
+        [series.id, season.id, channel.name, channel.stream_url, channel.created_at]
+      );
+      await this.run('UPDATE stream_logs SET episode_id = ?, channel_id = NULL WHERE channel_id = ?', [episode.id, channel.id]);
+      await this.run('DELETE FROM channel_sources WHERE channel_id = ?', [channel.id]);
+      await this.run('DELETE FROM channel_health WHERE channel_id = ?', [channel.id]);
+      await this.run('DELETE FROM channels WHERE id = ?', [channel.id]);
+    }
+
+    if (channels.length > 0) {
+      console.log(`Moved ${channels.length} series channels to the series library`);
+    }
+  }
+
+  // Users used to see everything. Existing users keep that through a
+  // 'Default' bouquet with the whole current line-up.
+  async migrateBouquets() {
+    const users = await this.all("SELECT id FROM users WHERE role != 'admin'");
+    if (users.length === 0) {
+      return;
+    }
+
+    const bouquet = await this.run(
+      'INSERT INTO bouquets (name, description) VALUES (?, ?)',
+      ['Default', 'Everything available before bouquets were introduced']
+    );
+
+    const items = [
+      ['channel', 'SELECT id FROM channels ORDER BY name'],
+      ['movie', 'SELECT id FROM movies ORDER BY title'],
+      ['series', 'SELECT id FROM series ORDER BY title']
+    ];
+
+    for (const [type, query] of items) {
+      const rows = await this.all(query);
+      for (const [position, row] of rows.entries()) {
+        await this.run(
+          'INSERT INTO bouquet_items (bouquet_id, item_type, item_id, sort_order) VALUES (?, ?, ?, ?)',
+          [bouquet.id, type, row.id, position]
+        );
+      }
+    }
+
+    for (const user of users) {
+      await this.run('INSERT INTO user_bouquets (user_id, bouquet_id) VALUES (?, ?)', [user.id, bouquet.id]);
+    }
+
+    console.log(`Assigned the Default bouquet to ${users.length} existing users`);
+  }
+
+  // Add a column to an existing table if it is not there yet
+  async addColumn(table, column, definition) {
+    const columns = await this.all(`PRAGMA table_info(${table})`);
+    if (!columns.some(col => col.name === column)) {
+      await this.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+  }
+
+  // Read a setting, converted according to its setting_type
+  async getSetting(key, defaultValue = null) {
+    const setting = await this.get(
+      'SELECT setting_value, setting_type FROM settings WHERE setting_key = ?',
+      [key]
+    );
+
+    if (!setting || setting.setting_value === null) {
+      return defaultValue;
+    }
+
+    switch (setting.setting_type) {
+      case 'number': {
+        const value = Number(setting.setting_value);
+        return isNaN(value) ? defaultValue : value;
+      }
+      case 'boolean':
+        return setting.setting_value === 'true';
+      case 'json':
+        try {
+          return JSON.parse(setting.setting_value);
+        } catch (error) {
+          return defaultValue;
+        }
+      default:
+        return setting.setting_value;
+    }
+  }
+
   // Database operation methods
   async run(sql, params = []) {
     return new Promise((resolve, reject) => {
@@ -213,6 +761,58 @@ class Database {
     });
   }
 
+  // Insert rows (arrays in column order) with multi-row statements
+  async insertRows(table, columns, rows) {
+    const perStatement = Math.max(1, Math.floor(900 / columns.length));
+    const placeholders = `(${columns.map(() => '?').join(', ')})`;
+
+    for (let i = 0; i < rows.length; i += perStatement) {
+      const chunk = rows.slice(i, i + perStatement);
+      await this.run(
+        `INSERT INTO ${table} (${columns.join(', ')}) VALUES ${chunk.map(() => placeholders).join(', ')}`,
+        chunk.flat()
+      );
+    }
+  }
+
+  // Run fn inside a transaction. Transactions are queued because all
+  // queries share a single connection, which also means any other write
+  // made while fn runs becomes part of the transaction and of its rollback.
+  // Keep fn short; bulk work belongs in isolatedTransaction().
+  async transaction(fn) {
+    const previous = this.transactionQueue;
+    let release;
+    this.transactionQueue = new Promise(resolve => { release = resolve; });
+    await previous;
+
+    try {
+      await this.run('BEGIN TRANSACTION');
+      const result = await fn();
+      await this.run('COMMIT');
+      return result;
+    } catch (error) {
+      await this.run('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      release();
+    }
+  }
+
+  // Run fn(tx) in a transaction on a connection of its own. Queries on the
+  // shared connection are not part of it; their writes wait (up to the
+  // busy timeout) until it commits, so fn should only write.
+  async isolatedTransaction(fn) {
+    const tx = new Database();
+    tx.dbPath = this.dbPath;
+    await tx.open();
+
+    try {
+      return await tx.transaction(() => fn(tx));
+    } finally {
+      await tx.close();
+    }
+  }
+
   async close() {
     return new Promise((resolve, reject) => {
       this.db.close((err) => {
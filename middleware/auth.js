@@ -1,13 +1,19 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
+const bcrypt = require('bcryptjs');
 const db = require('../database/database');
+const connectionMonitor = require('../services/connectionMonitor');
+const accessGuard = require('../services/accessGuard');
+const serverPool = require('../services/serverPool');
+const subscriptions = require('../services/subscriptions');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production';
 
 const authMiddleware = async (req, res, next) => {
   try {
+    // Not from the query string: URLs end up in player logs and referers
     const token = req.header('Authorization')?.replace('Bearer ', '') || 
-                  req.cookies?.token || 
-                  req.query.token;
+                  req.cookies?.token;
 
     if (!token) {
       return res.status(401).json({ 
@@ -31,7 +37,7 @@ const authMiddleware = async (req, res, next) => {
     }
 
     // Check if user account has expired
-    if (user.expires_at && new Date(user.expires_at) < new Date()) {
+    if (await subscriptions.hasExpired(user)) {
       return res.status(401).json({ 
         error: 'Account has expired. Please contact administrator.' 
       });
@@ -65,9 +71,9 @@ const authMiddleware = async (req, res, next) => {
 // Optional auth middleware (doesn't require token but adds user if present)
 const optionalAuth = async (req, res, next) => {
   try {
+    // Not from the query string: URLs end up in player logs and referers
     const token = req.header('Authorization')?.replace('Bearer ', '') || 
-                  req.cookies?.token || 
-                  req.query.token;
+                  req.cookies?.token;
 
     if (token) {
       const decoded = jwt.verify(token, JWT_SECRET);
@@ -89,22 +95,110 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
-// Rate limiting middleware for streams
+// Xtream players send the password with every request, so a successful
+// bcrypt check is remembered for a minute. The key includes the stored hash,
+// so a password changed by another process is not matched either.
+const CREDENTIAL_TTL = 60 * 1000;
+const verifiedCredentials = new Map();
+
+const verifyPassword = async (user, password) => {
+  const key = crypto.createHash('sha256').update(`${user.password}\0${password}`).digest('hex');
+  const cached = verifiedCredentials.get(user.id);
+  if (cached && cached.key === key && cached.expires > Date.now()) {
+    return true;
+  }
+
+  if (!(await bcrypt.compare(password, user.password))) {
+    return false;
+  }
+
+  verifiedCredentials.set(user.id, { key, expires: Date.now() + CREDENTIAL_TTL });
+  return true;
+};
+
+// Call when a user's password changes or the user is deleted
+const forgetCredentials = (userId) => {
+  verifiedCredentials.delete(Number(userId));
+};
+
+// Credential auth for Xtream Codes compatible clients (query, body or path params)
+const xtreamAuth = async (req, res, next) => {
+  try {
+    const username = req.params.username || req.query.username || req.body?.username;
+    const password = req.params.password || req.query.password || req.body?.password;
+
+    if (!username || !password) {
+      return res.status(401).json({ user_info: { auth: 0 } });
+    }
+
+    const user = await db.get(
+      'SELECT id, username, email, password, role, status, max_connections, created_at, expires_at FROM users WHERE username = ?',
+      [username]
+    );
+
+    if (!user || !(await verifyPassword(user, String(password)))) {
+      return res.status(401).json({ user_info: { auth: 0 } });
+    }
+
+    if (user.status !== 'active') {
+      return res.status(403).json({ user_info: { auth: 0, status: user.status } });
+    }
+
+    if (await subscriptions.hasExpired(user)) {
+      return res.status(403).json({ user_info: { auth: 0, status: 'Expired' } });
+    }
+
+    delete user.password;
+
+    req.user = user;
+    req.xtreamPassword = String(password);
+
+    next();
+  } catch (error) {
+    console.error('Xtream auth error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Edge server API key in the X-Server-Key header
+const serverAuth = async (req, res, next) => {
+  try {
+    const server = await serverPool.authenticate(req.get('X-Server-Key'));
+
+    if (!server) {
+      return res.status(401).json({ error: 'Invalid server key.' });
+    }
+
+    req.server = server;
+    next();
+  } catch (error) {
+    console.error('Server auth error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Rate limiting middleware for streams: blocked IPs, the user's IP and
+// device restrictions, then max_connections with the user's connection policy
 const streamRateLimit = async (req, res, next) => {
   try {
+    if (connectionMonitor.isBlocked(req.ip)) {
+      return res.status(403).json({ error: 'Access denied.' });
+    }
+
     const userId = req.user.id;
     const user = await db.get(
-      'SELECT max_connections FROM users WHERE id = ?',
+      `SELECT id, max_connections, allowed_ips, max_ips, allowed_user_agents, max_devices, connection_policy
+       FROM users WHERE id = ?`,
       [userId]
     );
 
-    // Count active streams for this user
-    const activeStreams = await db.all(
-      'SELECT COUNT(*) as count FROM stream_logs WHERE user_id = ? AND end_time IS NULL',
-      [userId]
-    );
+    const denied = await accessGuard.check(user, req.ip, req.get('User-Agent'));
+    if (denied) {
+      return res.status(403).json({ error: denied });
+    }
 
-    if (activeStreams[0].count >= user.max_connections) {
+    // Apart from the session this request continues
+    if (!(await accessGuard.makeRoom(user, req.streamLogId))) {
       return res.status(429).json({
         error: 'Maximum connections reached. Please close other streams first.'
       });
@@ -117,6 +211,40 @@ const streamRateLimit = async (req, res, next) => {
   }
 };
 
+// Socket.IO auth for the admin namespace: same token and session checks as authMiddleware
+const socketAdminAuth = async (socket, next) => {
+  try {
+    const token = socket.handshake.auth?.token;
+    if (!token) {
+      return next(new Error('Access denied. No token provided.'));
+    }
+
+    const decoded = jwt.verify(token, JWT_SECRET);
+    const user = await db.get(
+      'SELECT id, username, role, expires_at FROM users WHERE id = ? AND status = ?',
+      [decoded.userId, 'active']
+    );
+
+    if (!user || user.role !== 'admin') {
+      return next(new Error('Admin access required.'));
+    }
+
+    const session = await db.get(
+      'SELECT id FROM user_sessions WHERE user_id = ? AND session_token = ? AND expires_at > ?',
+      [user.id, token, new Date()]
+    );
+
+    if (!session) {
+      return next(new Error('Session expired. Please login again.'));
+    }
+
+    socket.user = user;
+    next();
+  } catch (error) {
+    next(new Error('Invalid token.'));
+  }
+};
+
 // License validation middleware
 const licenseMiddleware = async (req, res, next) => {
   try {
@@ -158,7 +286,11 @@ const licenseMiddleware = async (req, res, next) => {
 module.exports = {
   authMiddleware,
   optionalAuth,
+  xtreamAuth,
+  forgetCredentials,
+  serverAuth,
   streamRateLimit,
+  socketAdminAuth,
   licenseMiddleware,
   JWT_SECRET
 }; 
\ No newline at end of file
@@ -1,18 +1,75 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
+const axios = require('axios');
+const multer = require('multer');
+const fs = require('fs');
+const path = require('path');
+const net = require('net');
 const db = require('../database/database');
+const { parseM3u } = require('../utils/m3u');
+const { buildImportPlan, applyImportPlan } = require('../services/m3uImporter');
+const epgImporter = require('../services/epgImporter');
+const restreamHub = require('../services/restreamHub');
+const sourceManager = require('../services/sourceManager');
+const healthProber = require('../services/healthProber');
+const transcoder = require('../services/transcoder');
+const archiver = require('../services/archiver');
+const dvr = require('../services/dvr');
+const connectionMonitor = require('../services/connectionMonitor');
+const accessGuard = require('../services/accessGuard');
+const serverPool = require('../services/serverPool');
+const movieLibrary = require('../services/movieLibrary');
+const seriesLibrary = require('../services/seriesLibrary');
+const bouquets = require('../services/bouquets');
+const subscriptions = require('../services/subscriptions');
+const { createMatcher } = require('../utils/epgMatcher');
+const { normalizeIp } = require('../utils/ip');
+const { toDate } = require('../utils/time');
+const { forgetCredentials } = require('../middleware/auth');
 
 const router = express.Router();
 
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 50 * 1024 * 1024 }
+});
+
+const epgUpload = multer({
+  dest: path.join(__dirname, '..', 'uploads', 'epg'),
+  limits: { fileSize: 500 * 1024 * 1024 }
+});
+
 // ===== USER MANAGEMENT =====
 
+const RESTRICTION_FIELDS = ['allowed_ips', 'max_ips', 'allowed_user_agents', 'max_devices', 'connection_policy'];
+
+const validateRestrictions = (body) => accessGuard.validateRestrictions({
+  ...body,
+  allowed_ips: Array.isArray(body.allowed_ips) ? body.allowed_ips.join(',') : body.allowed_ips
+});
+
+// The IP and device restrictions present in a request, as [column, value] pairs
+const restrictionColumns = (body) => RESTRICTION_FIELDS
+  .filter(field => body[field] !== undefined)
+  .map(field => {
+    let value = body[field];
+    if (Array.isArray(value)) {
+      value = value.join(',');
+    } else if (field === 'max_ips' || field === 'max_devices') {
+      value = parseInt(value) || 0;
+    }
+    return [field, value === '' ? null : value];
+  });
+
 // Get all users
 router.get('/users', async (req, res) => {
   try {
     const { page = 1, limit = 20, search, role, status } = req.query;
     const offset = (page - 1) * limit;
 
-    let query = 'SELECT id, username, email, role, status, max_connections, created_at, expires_at, last_login FROM users';
+    let query = `SELECT id, username, email, role, status, max_connections, created_at, expires_at, last_login,
+      allowed_ips, max_ips, allowed_user_agents, max_devices, connection_policy, server_ids, plan_id, grace_started_at,
+      (SELECT GROUP_CONCAT(bouquet_id) FROM user_bouquets WHERE user_id = users.id) as bouquet_ids FROM users`;
     const params = [];
     const conditions = [];
 
@@ -49,7 +106,7 @@ router.get('/users', async (req, res) => {
 
     res.json({
       success: true,
-      data: users,
+      data: users.map(user => ({ ...user, bouquet_ids: bouquets.parseIds(user.bouquet_ids) })),
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -75,6 +132,33 @@ router.post('/users', async (req, res) => {
       });
     }
 
+    // Users only see what their bouquets hold
+    const bouquetIds = bouquets.parseIds(req.body.bouquet_ids);
+    const invalidBouquets = await bouquets.validateIds(bouquetIds);
+    if (invalidBouquets) {
+      return res.status(400).json({ error: invalidBouquets });
+    }
+
+    const restrictionError = validateRestrictions(req.body);
+    if (restrictionError) {
+      return res.status(400).json({ error: restrictionError });
+    }
+
+    const serverIds = serverPool.parseIds(req.body.server_ids);
+    const invalidServers = await serverPool.validateIds(serverIds);
+    if (invalidServers) {
+      return res.status(400).json({ error: invalidServers });
+    }
+
+    // A plan sets max_connections, expires_at and bouquets itself
+    let plan = null;
+    if (req.body.plan_id) {
+      plan = await subscriptions.getPlan(req.body.plan_id);
+      if (!plan || plan.status !== 'active') {
+        return res.status(400).json({ error: 'Unknown or inactive plan.' });
+      }
+    }
+
     // Check if user exists
     const existingUser = await db.get(
       'SELECT id FROM users WHERE username = ? OR email = ?',
@@ -91,11 +175,29 @@ router.post('/users', async (req, res) => {
     const hashedPassword = await bcrypt.hash(password, 10);
 
     // Create user
+    const columns = ['username', 'email', 'password', 'role', 'max_connections', 'expires_at'];
+    const values = [username, email, hashedPassword, role || 'user', max_connections || 1, expires_at];
+
+    for (const [field, value] of restrictionColumns(req.body)) {
+      columns.push(field);
+      values.push(value);
+    }
+    if (serverIds.length > 0) {
+      columns.push('server_ids');
+      values.push(serverIds.join(','));
+    }
+
     const result = await db.run(
-      'INSERT INTO users (username, email, password, role, max_connections, expires_at) VALUES (?, ?, ?, ?, ?, ?)',
-      [username, email, hashedPassword, role || 'user', max_connections || 1, expires_at]
+      `INSERT INTO users (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+      values
     );
 
+    if (plan) {
+      await subscriptions.applyPlan(result.id, plan);
+    } else {
+      await bouquets.assign(result.id, bouquetIds);
+    }
+
     res.status(201).json({
       success: true,
       message: 'User created successfully.',
@@ -112,14 +214,19 @@ router.post('/users', async (req, res) => {
 router.put('/users/:userId', async (req, res) => {
   try {
     const { userId } = req.params;
-    const { username, email, role, status, max_connections, expires_at, password } = req.body;
+    const { username, email, role, status, max_connections, expires_at, password, recording_quota_mb } = req.body;
 
     // Check if user exists
-    const existingUser = await db.get('SELECT id FROM users WHERE id = ?', [userId]);
+    const existingUser = await db.get('SELECT id, max_connections, grace_started_at FROM users WHERE id = ?', [userId]);
     if (!existingUser) {
       return res.status(404).json({ error: 'User not found.' });
     }
 
+    const restrictionError = validateRestrictions(req.body);
+    if (restrictionError) {
+      return res.status(400).json({ error: restrictionError });
+    }
+
     let query = 'UPDATE users SET username = ?, email = ?, role = ?, status = ?, max_connections = ?, expires_at = ?';
     const params = [username, email, role, status, max_connections, expires_at];
 
@@ -130,10 +237,33 @@ router.put('/users/:userId', async (req, res) => {
       params.push(hashedPassword);
     }
 
+    // null puts the user back on the recording_quota_mb setting
+    if (recording_quota_mb !== undefined) {
+      query += ', recording_quota_mb = ?';
+      params.push(recording_quota_mb === null ? null : parseInt(recording_quota_mb));
+    }
+
+    // IP and device restrictions change only when provided
+    for (const [field, value] of restrictionColumns(req.body)) {
+      query += `, ${field} = ?`;
+      params.push(value);
+    }
+
     query += ' WHERE id = ?';
     params.push(userId);
 
     await db.run(query, params);
+    if (password) {
+      forgetCredentials(userId);
+    }
+
+    // Moving the expiry into the future ends a grace period
+    const expiresAtDate = toDate(expires_at);
+    if (existingUser.grace_started_at && expiresAtDate && expiresAtDate > new Date()) {
+      await subscriptions.endGrace(existingUser.id, {
+        keepConnections: parseInt(max_connections) !== existingUser.max_connections
+      });
+    }
 
     res.json({
       success: true,
@@ -151,7 +281,17 @@ router.delete('/users/:userId', async (req, res) => {
   try {
     const { userId } = req.params;
 
+    const recordings = await db.all('SELECT * FROM recordings WHERE user_id = ?', [userId]);
+    for (const recording of recordings) {
+      await dvr.remove(recording);
+    }
+
+    await db.run('DELETE FROM user_locks WHERE user_id = ?', [userId]);
+    await db.run('DELETE FROM watch_progress WHERE user_id = ?', [userId]);
+    await db.run('DELETE FROM user_bouquets WHERE user_id = ?', [userId]);
+    await db.run('DELETE FROM notifications WHERE user_id = ?', [userId]);
     await db.run('DELETE FROM users WHERE id = ?', [userId]);
+    forgetCredentials(userId);
 
     res.json({
       success: true,
@@ -164,6 +304,117 @@ router.delete('/users/:userId', async (req, res) => {
   }
 });
 
+// Set the bouquets a user has; an empty list leaves them with nothing to watch
+router.put('/users/:userId/bouquets', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const ids = bouquets.parseIds(req.body.bouquet_ids);
+
+    const user = await db.get('SELECT id FROM users WHERE id = ?', [userId]);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found.' });
+    }
+
+    const invalid = await bouquets.validateIds(ids);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    await bouquets.assign(user.id, ids);
+
+    res.json({
+      success: true,
+      data: { bouquet_ids: await bouquets.userBouquetIds(user.id) }
+    });
+
+  } catch (error) {
+    console.error('Assign bouquets error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+// Renew a user on a plan, their current one unless plan_id is given: adds the
+// plan's duration and restores its connections and bouquets
+router.post('/users/:userId/renew', async (req, res) => {
+  try {
+    const user = await db.get('SELECT id, plan_id FROM users WHERE id = ?', [req.params.userId]);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found.' });
+    }
+
+    const planId = req.body.plan_id || user.plan_id;
+    if (!planId) {
+      return res.status(400).json({ error: 'The user has no plan; give a plan_id.' });
+    }
+
+    const plan = await subscriptions.getPlan(planId);
+    if (!plan || plan.status !== 'active') {
+      return res.status(400).json({ error: 'Unknown or inactive plan.' });
+    }
+
+    const expiresAt = await subscriptions.applyPlan(user.id, plan);
+
+    res.json({
+      success: true,
+      data: {
+        plan_id: plan.id,
+        expires_at: expiresAt,
+        max_connections: plan.max_connections,
+        bouquet_ids: await bouquets.userBouquetIds(user.id)
+      }
+    });
+
+  } catch (error) {
+    console.error('Renew user error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+// Get the IPs and devices a user is locked to
+router.get('/users/:userId/locks', async (req, res) => {
+  try {
+    const locks = await db.all(
+      'SELECT * FROM user_locks WHERE user_id = ? ORDER BY kind, first_seen',
+      [req.params.userId]
+    );
+
+    res.json({
+      success: true,
+      data: locks
+    });
+
+  } catch (error) {
+    console.error('Get user locks error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+// Clear a user's IP or device locks (?kind=ip|device), or all of them
+router.delete('/users/:userId/locks', async (req, res) => {
+  try {
+    const { kind } = req.query;
+
+    let query = 'DELETE FROM user_locks WHERE user_id = ?';
+    const params = [req.params.userId];
+
+    if (kind) {
+      query += ' AND kind = ?';
+      params.push(kind);
+    }
+
+    const result = await db.run(query, params);
+
+    res.json({
+      success: true,
+      message: `${result.changes} lock(s) cleared.`
+    });
+
+  } catch (error) {
+    console.error('Clear user locks error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
 // ===== CATEGORY MANAGEMENT =====
 
 // Get all categories
@@ -334,7 +585,7 @@ router.get('/channels', async (req, res) => {
 // Create channel
 router.post('/channels', async (req, res) => {
   try {
-    const { name, stream_url, logo_url, category_id, epg_id, stream_type, quality, language, country } = req.body;
+    const { name, stream_url, logo_url, category_id, epg_id, stream_type, quality, language, country, transcode_profile_id } = req.body;
 
     if (!name || !stream_url) {
       return res.status(400).json({
@@ -342,10 +593,27 @@ router.post('/channels', async (req, res) => {
       });
     }
 
+    if (['vod', 'series'].includes(stream_type)) {
+      return res.status(400).json({
+        error: 'Movies and series are managed in their own libraries.'
+      });
+    }
+
+    if (transcode_profile_id && !(await transcoder.getProfile(transcode_profile_id))) {
+      return res.status(400).json({ error: 'Transcode profile not found.' });
+    }
+
+    const bouquetIds = bouquets.parseIds(req.body.bouquet_ids);
+    const invalidBouquets = await bouquets.validateIds(bouquetIds);
+    if (invalidBouquets) {
+      return res.status(400).json({ error: invalidBouquets });
+    }
+
     const result = await db.run(
-      'INSERT INTO channels (name, stream_url, logo_url, category_id, epg_id, stream_type, quality, language, country) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
-      [name, stream_url, logo_url, category_id, epg_id, stream_type || 'live', quality || 'HD', language || 'en', country]
+      'INSERT INTO channels (name, stream_url, logo_url, category_id, epg_id, stream_type, quality, language, country, transcode_profile_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+      [name, stream_url, logo_url, category_id, epg_id, stream_type || 'live', quality || 'HD', language || 'en', country, transcode_profile_id || null]
     );
+    await bouquets.addItems('channel', [result.id], bouquetIds);
 
     res.status(201).json({
       success: true,
@@ -359,15 +627,99 @@ router.post('/channels', async (req, res) => {
   }
 });
 
+// Import channels from an M3U upload or URL (dry run unless commit=true)
+router.post('/channels/import', upload.single('file'), async (req, res) => {
+  try {
+    const { url } = req.body;
+    const commit = String(req.body.commit || req.query.commit) === 'true';
+    const removeMissing = String(req.body.remove_missing || req.query.remove_missing) === 'true';
+
+    const bouquetIds = bouquets.parseIds(req.body.bouquet_ids);
+    const invalidBouquets = await bouquets.validateIds(bouquetIds);
+    if (invalidBouquets) {
+      return res.status(400).json({ error: invalidBouquets });
+    }
+
+    let content;
+    if (req.file) {
+      content = req.file.buffer.toString('utf8');
+    } else if (url) {
+      try {
+        const response = await axios.get(url, { responseType: 'text', timeout: 60000 });
+        content = response.data;
+      } catch (fetchError) {
+        console.error('Fetch M3U error:', fetchError.message);
+        return res.status(400).json({
+          error: 'Failed to download playlist.'
+        });
+      }
+    } else {
+      return res.status(400).json({
+        error: 'An M3U file or URL is required.'
+      });
+    }
+
+    const entries = parseM3u(content);
+    if (entries.length === 0) {
+      return res.status(400).json({
+        error: 'No channels found in playlist.'
+      });
+    }
+
+    const plan = await buildImportPlan(entries);
+
+    if (commit) {
+      await applyImportPlan(plan, { removeMissing, bouquetIds });
+    }
+
+    res.json({
+      success: true,
+      dry_run: !commit,
+      data: {
+        total: entries.length,
+        categories: plan.categories,
+        added: plan.added,
+        updated: plan.updated,
+        unchanged: plan.unchanged,
+        removed: plan.removed,
+        duplicates: plan.duplicates,
+        movies: plan.movies,
+        episodes: plan.episodes,
+        remove_missing: removeMissing,
+        bouquet_ids: bouquetIds
+      }
+    });
+
+  } catch (error) {
+    console.error('Import channels error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
 // Update channel
 router.put('/channels/:channelId', async (req, res) => {
   try {
     const { channelId } = req.params;
-    const { name, stream_url, logo_url, category_id, epg_id, stream_type, quality, language, country, status } = req.body;
+    const { name, stream_url, logo_url, category_id, epg_id, stream_type, quality, language, country, status, transcode_profile_id } = req.body;
+
+    if (['vod', 'series'].includes(stream_type)) {
+      return res.status(400).json({
+        error: 'Movies and series are managed in their own libraries.'
+      });
+    }
+
+    if (transcode_profile_id && !(await transcoder.getProfile(transcode_profile_id))) {
+      return res.status(400).json({ error: 'Transcode profile not found.' });
+    }
 
+    // While an ABR ladder is on, quality describes the ladder; the submitted
+    // quality is what the channel goes back to when it is turned off
     await db.run(
-      'UPDATE channels SET name = ?, stream_url = ?, logo_url = ?, category_id = ?, epg_id = ?, stream_type = ?, quality = ?, language = ?, country = ?, status = ? WHERE id = ?',
-      [name, stream_url, logo_url, category_id, epg_id, stream_type, quality, language, country, status, channelId]
+      `UPDATE channels SET name = ?, stream_url = ?, logo_url = ?, category_id = ?, epg_id = ?, stream_type = ?,
+       quality = CASE WHEN abr_enabled = 1 THEN quality ELSE ? END,
+       abr_previous_quality = CASE WHEN abr_enabled = 1 THEN ? ELSE abr_previous_quality END,
+       language = ?, country = ?, status = ?, transcode_profile_id = ? WHERE id = ?`,
+      [name, stream_url, logo_url, category_id, epg_id, stream_type, quality, quality, language, country, status, transcode_profile_id || null, channelId]
     );
 
     res.json({
@@ -386,7 +738,8 @@ router.delete('/channels/:channelId', async (req, res) => {
   try {
     const { channelId } = req.params;
 
-    await db.run('DELETE FROM channels WHERE id = ?', [channelId]);
+    await sourceManager.removeChannel(channelId);
+    sourceManager.forget(channelId);
 
     res.json({
       success: true,
@@ -399,71 +752,2157 @@ router.delete('/channels/:channelId', async (req, res) => {
   }
 });
 
-// ===== SETTINGS MANAGEMENT =====
+// ===== CHANNEL HEALTH =====
 
-// Get all settings
-router.get('/settings', async (req, res) => {
+// Health report for active live channels with their latest check
+router.get('/channels/health', async (req, res) => {
   try {
-    const settings = await db.all('SELECT * FROM settings ORDER BY setting_key');
+    const { status } = req.query;
+
+    let query = `
+      SELECT c.id, c.name, c.health_status, c.health_failures, c.last_health_check,
+             h.http_status, h.response_ms, h.video_codec, h.audio_codec, h.resolution, h.bitrate, h.error
+      FROM channels c
+      LEFT JOIN channel_health h ON h.id = (SELECT MAX(id) FROM channel_health WHERE channel_id = c.id)
+      WHERE c.stream_type = 'live' AND c.status = 'active'
+    `;
+    const params = [];
+
+    if (status) {
+      query += ' AND c.health_status = ?';
+      params.push(status);
+    }
+
+    query += ' ORDER BY c.health_failures DESC, c.name';
+
+    const channels = await db.all(query, params);
+
+    const summary = await db.all(`
+      SELECT health_status, COUNT(*) as count
+      FROM channels
+      WHERE stream_type = 'live' AND status = 'active'
+      GROUP BY health_status
+    `);
 
     res.json({
       success: true,
-      data: settings
+      data: channels,
+      summary: summary.reduce((counts, row) => ({ ...counts, [row.health_status || 'unknown']: row.count }), {})
     });
 
   } catch (error) {
-    console.error('Get settings error:', error);
+    console.error('Get channel health error:', error);
     res.status(500).json({ error: 'Internal server error.' });
   }
 });
 
-// Update setting
-router.put('/settings/:key', async (req, res) => {
+// Health check history for one channel
+router.get('/channels/:channelId/health', async (req, res) => {
   try {
-    const { key } = req.params;
-    const { setting_value } = req.body;
+    const { channelId } = req.params;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
 
-    await db.run(
-      'UPDATE settings SET setting_value = ?, updated_at = ? WHERE setting_key = ?',
-      [setting_value, new Date(), key]
+    const history = await db.all(
+      'SELECT * FROM channel_health WHERE channel_id = ? ORDER BY checked_at DESC, id DESC LIMIT ?',
+      [channelId, limit]
     );
 
     res.json({
       success: true,
-      message: 'Setting updated successfully.'
+      data: history
     });
 
   } catch (error) {
-    console.error('Update setting error:', error);
+    console.error('Get channel health history error:', error);
     res.status(500).json({ error: 'Internal server error.' });
   }
 });
 
-// ===== STATISTICS =====
+// Check a channel now
+router.post('/channels/:channelId/health', async (req, res) => {
+  try {
+    const { channelId } = req.params;
 
-// Get system statistics
-router.get('/stats', async (req, res) => {
+    const channel = await db.get(
+      'SELECT id, name, stream_url, health_status, health_failures FROM channels WHERE id = ?',
+      [channelId]
+    );
+    if (!channel) {
+      return res.status(404).json({ error: 'Channel not found.' });
+    }
+
+    const result = await healthProber.checkChannel(channel);
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Check channel health error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+// ===== CHANNEL SOURCES =====
+
+// Get a channel's sources in failover order (stream_url is always first)
+router.get('/channels/:channelId/sources', async (req, res) => {
   try {
-    const stats = await db.get(`
-      SELECT 
-        (SELECT COUNT(*) FROM users) as total_users,
-        (SELECT COUNT(*) FROM users WHERE status = 'active') as active_users,
-        (SELECT COUNT(*) FROM channels) as total_channels,
-        (SELECT COUNT(*) FROM channels WHERE status = 'active') as active_channels,
-        (SELECT COUNT(*) FROM categories) as total_categories,
-        (SELECT COUNT(*) FROM stream_logs WHERE end_time IS NULL) as active_streams,
-        (SELECT COUNT(*) FROM stream_logs WHERE start_time >= datetime('now', '-24 hours')) as streams_24h
-    `);
+    const { channelId } = req.params;
+
+    const channel = await db.get('SELECT id, stream_url FROM channels WHERE id = ?', [channelId]);
+    if (!channel) {
+      return res.status(404).json({ error: 'Channel not found.' });
+    }
+
+    const backups = await db.all(
+      'SELECT * FROM channel_sources WHERE channel_id = ? ORDER BY priority, id',
+      [channelId]
+    );
+    const activeUrl = sourceManager.activeSource(channel.id);
 
     res.json({
       success: true,
-      data: stats
+      data: [
+        { id: null, url: channel.stream_url, primary: true, active: activeUrl === channel.stream_url },
+        ...backups.map(source => ({ ...source, primary: false, active: activeUrl === source.url }))
+      ]
     });
 
   } catch (error) {
-    console.error('Get stats error:', error);
+    console.error('Get channel sources error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+// Add backup source
+router.post('/channels/:channelId/sources', async (req, res) => {
+  try {
+    const { channelId } = req.params;
+    const { url, priority } = req.body;
+
+    if (!url) {
+      return res.status(400).json({
+        error: 'Source URL is required.'
+      });
+    }
+
+    const channel = await db.get('SELECT id FROM channels WHERE id = ?', [channelId]);
+    if (!channel) {
+      return res.status(404).json({ error: 'Channel not found.' });
+    }
+
+    // New sources go to the end of the list unless a priority is given
+    let sourcePriority = parseInt(priority);
+    if (isNaN(sourcePriority)) {
+      const last = await db.get('SELECT MAX(priority) as priority FROM channel_sources WHERE channel_id = ?', [channelId]);
+      sourcePriority = last.priority === null ? 1 : last.priority + 1;
+    }
+
+    const result = await db.run(
+      'INSERT INTO channel_sources (channel_id, url, priority) VALUES (?, ?, ?)',
+      [channelId, url, sourcePriority]
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Source added successfully.',
+      source_id: result.id
+    });
+
+  } catch (error) {
+    console.error('Create channel source error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+// Update backup source
+router.put('/channels/:channelId/sources/:sourceId', async (req, res) => {
+  try {
+    const { channelId, sourceId } = req.params;
+    const { url, priority, enabled } = req.body;
+
+    const source = await db.get(
+      'SELECT * FROM channel_sources WHERE id = ? AND channel_id = ?',
+      [sourceId, channelId]
+    );
+    if (!source) {
+      return res.status(404).json({ error: 'Source not found.' });
+    }
+
+    await db.run(
+      'UPDATE channel_sources SET url = ?, priority = ?, enabled = ? WHERE id = ?',
+      [
+        url || source.url,
+        priority === undefined ? source.priority : parseInt(priority),
+        enabled === undefined ? source.enabled : (enabled ? 1 : 0),
+        sourceId
+      ]
+    );
+
+    res.json({
+      success: true,
+      message: 'Source updated successfully.'
+    });
+
+  } catch (error) {
+    console.error('Update channel source error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+// Delete backup source
+router.delete('/channels/:channelId/sources/:sourceId', async (req, res) => {
+  try {
+    const { channelId, sourceId } = req.params;
+
+    const result = await db.run(
+      'DELETE FROM channel_sources WHERE id = ? AND channel_id = ?',
+      [sourceId, channelId]
+    );
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Source not found.' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Source deleted successfully.'
+    });
+
+  } catch (error) {
+    console.error('Delete channel source error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+// ===== TRANSCODING =====
+
+const PROFILE_FIELDS = ['name', 'output_format', 'video_codec', 'video_bitrate', 'max_height', 'preset', 'audio_codec', 'audio_bitrate'];
+
+// Get all transcode profiles
+router.get('/transcode/profiles', async (req, res) => {
+  try {
+    const profiles = await db.all('SELECT * FROM transcode_profiles ORDER BY name');
+
+    res.json({
+      success: true,
+      data: profiles
+    });
+
+  } catch (error) {
+    console.error('Get transcode profiles error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+// Create transcode profile
+router.post('/transcode/profiles', async (req, res) => {
+  try {
+    const { name, output_format, video_codec, video_bitrate, max_height, preset, audio_codec, audio_bitrate } = req.body;
+
+    if (!name) {
+      return res.status(400).json({
+        error: 'Profile name is required.'
+      });
+    }
+
+    const invalid = transcoder.validateProfile(req.body);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const result = await db.run(
+      'INSERT INTO transcode_profiles (name, output_format, video_codec, video_bitrate, max_height, preset, audio_codec, audio_bitrate) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+      [name, output_format || 'mpegts', video_codec || 'libx264', video_bitrate || null, max_height || null, preset || 'veryfast', audio_codec || 'aac', audio_bitrate || null]
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Transcode profile created successfully.',
+      profile_id: result.id
+    });
+
+  } catch (error) {
+    console.error('Create transcode profile error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+// Update transcode profile
+router.put('/transcode/profiles/:profileId', async (req, res) => {
+  try {
+    const { profileId } = req.params;
+
+    const profile = await transcoder.getProfile(profileId);
+    if (!profile) {
+      return res.status(404).json({ error: 'Transcode profile not found.' });
+    }
+
+    const updated = { ...profile };
+    for (const field of PROFILE_FIELDS) {
+      if (req.body[field] !== undefined) {
+        updated[field] = req.body[field];
+      }
+    }
+
+    const invalid = transcoder.validateProfile(updated);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    await db.run(
+      `UPDATE transcode_profiles SET ${PROFILE_FIELDS.map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+      [...PROFILE_FIELDS.map(field => updated[field]), profileId]
+    );
+
+    res.json({
+      success: true,
+      message: 'Transcode profile updated successfully.'
+    });
+
+  } catch (error) {
+    console.error('Update transcode profile error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+// Delete transcode profile
+router.delete('/transcode/profiles/:profileId', async (req, res) => {
+  try {
+    const { profileId } = req.params;
+
+    await db.run('UPDATE channels SET transcode_profile_id = NULL WHERE transcode_profile_id = ?', [profileId]);
+    await db.run('DELETE FROM transcode_profiles WHERE id = ?', [profileId]);
+
+    res.json({
+      success: true,
+      message: 'Transcode profile deleted successfully.'
+    });
+
+  } catch (error) {
+    console.error('Delete transcode profile error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+// Enable or disable a channel's adaptive bitrate ladder
+router.put('/channels/:channelId/abr', async (req, res) => {
+  try {
+    const { channelId } = req.params;
+    const { enabled, renditions } = req.body;
+
+    const channel = await db.get('SELECT id, abr_renditions FROM channels WHERE id = ?', [channelId]);
+    if (!channel) {
+      return res.status(404).json({ error: 'Channel not found.' });
+    }
+
+    let names = channel.abr_renditions ? channel.abr_renditions.split(',') : ['1080p', '720p', '480p'];
+    if (renditions !== undefined) {
+      names = Array.isArray(renditions) ? renditions : String(renditions).split(',');
+      names = names.map(name => String(name).trim());
+
+      const invalid = transcoder.validateRenditions(names);
+      if (invalid) {
+        return res.status(400).json({ error: invalid });
+      }
+    }
+
+    names = transcoder.normalizeRenditions(names);
+
+    // quality describes what the ladder offers, e.g. '1080p/720p/480p'; the
+    // channel's own quality is kept in abr_previous_quality until it is disabled.
+    if (enabled) {
+      await db.run(
+        `UPDATE channels SET abr_previous_quality = CASE WHEN abr_enabled = 1 THEN abr_previous_quality ELSE quality END,
+         abr_enabled = 1, abr_renditions = ?, quality = ? WHERE id = ?`,
+        [names.join(','), names.join('/'), channelId]
+      );
+    } else {
+      await db.run(
+        `UPDATE channels SET quality = CASE WHEN abr_enabled = 1 THEN COALESCE(abr_previous_quality, 'HD') ELSE quality END,
+         abr_previous_quality = NULL, abr_enabled = 0, abr_renditions = ? WHERE id = ?`,
+        [names.join(','), channelId]
+      );
+    }
+
+    res.json({
+      success: true,
+      message: `Adaptive bitrate ${enabled ? 'enabled' : 'disabled'}.`,
+      data: {
+        abr_enabled: enabled ? 1 : 0,
+        renditions: names
+      }
+    });
+
+  } catch (error) {
+    console.error('Update channel ABR error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+// Get running transcodes
+router.get('/transcode/jobs', async (req, res) => {
+  try {
+    const maxTranscodes = await db.getSetting('max_transcodes', 2);
+
+    res.json({
+      success: true,
+      data: transcoder.stats(),
+      max_transcodes: maxTranscodes
+    });
+
+  } catch (error) {
+    console.error('Get transcode jobs error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+// ===== CATCH-UP ARCHIVE =====
+
+// Enable or disable catch-up recording for a channel
+router.put('/channels/:channelId/archive', async (req, res) => {
+  try {
+    const { channelId } = req.params;
+    const { enabled, days } = req.body;
+
+    const channel = await db.get('SELECT id, tv_archive_duration FROM channels WHERE id = ?', [channelId]);
+    if (!channel) {
+      return res.status(404).json({ error: 'Channel not found.' });
+    }
+
+    let archiveDays = days === undefined ? channel.tv_archive_duration : parseInt(days);
+    if (!archiveDays) {
+      archiveDays = await db.getSetting('archive_days', 3);
+    }
+
+    if (!(archiveDays >= 1 && archiveDays <= 30)) {
+      return res.status(400).json({
+        error: 'Archive days must be between 1 and 30.'
+      });
+    }
+
+    await db.run(
+      'UPDATE channels SET tv_archive = ?, tv_archive_duration = ? WHERE id = ?',
+      [enabled ? 1 : 0, archiveDays, channelId]
+    );
+
+    // Start or stop the recorder now rather than on the next scheduler tick
+    archiver.sync().catch(error => console.error('Archive sync error:', error));
+
+    res.json({
+      success: true,
+      message: `Catch-up archive ${enabled ? 'enabled' : 'disabled'}.`,
+      data: {
+        tv_archive: enabled ? 1 : 0,
+        tv_archive_duration: archiveDays
+      }
+    });
+
+  } catch (error) {
+    console.error('Update channel archive error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+// Get archive recorders and stored range per channel
+router.get('/archive', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await archiver.stats()
+    });
+
+  } catch (error) {
+    console.error('Get archive error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+// ===== DVR RECORDINGS =====
+
+// Get recordings of all users
+router.get('/recordings', async (req, res) => {
+  try {
+    const { user_id, status } = req.query;
+
+    let query = `
+      SELECT r.*, u.username, c.name as channel_name
+      FROM recordings r
+      LEFT JOIN users u ON r.user_id = u.id
+      LEFT JOIN channels c ON r.channel_id = c.id
+      WHERE 1 = 1
+    `;
+    const params = [];
+
+    if (user_id) {
+      query += ' AND r.user_id = ?';
+      params.push(user_id);
+    }
+
+    if (status) {
+      query += ' AND r.status = ?';
+      params.push(status);
+    }
+
+    query += ' ORDER BY r.start_time DESC';
+
+    res.json({
+      success: true,
+      data: await db.all(query, params)
+    });
+
+  } catch (error) {
+    console.error('Get recordings error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+// Cancel or delete any user's recording
+router.delete('/recordings/:recordingId', async (req, res) => {
+  try {
+    const recording = await db.get('SELECT * FROM recordings WHERE id = ?', [req.params.recordingId]);
+    if (!recording) {
+      return res.status(404).json({ error: 'Recording not found.' });
+    }
+
+    await dvr.remove(recording);
+
+    res.json({
+      success: true,
+      message: 'Recording deleted successfully.'
+    });
+
+  } catch (error) {
+    console.error('Delete recording error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+// ===== MOVIES =====
+
+const MOVIE_FIELDS = [
+  'title', 'year', 'plot', 'actors', 'director', 'genre', 'duration', 'rating', 'poster_url',
+  'backdrop_url', 'trailer', 'container_extension', 'category_id', 'source_url', 'file_path', 'status'
+];
+
+// Get movies
+router.get('/movies', async (req, res) => {
+  try {
+    const { page = 1, limit = 50, search, category_id, status } = req.query;
+    const offset = (page - 1) * limit;
+
+    const conditions = [];
+    const params = [];
+
+    if (search) {
+      conditions.push('(m.title LIKE ? OR m.file_path LIKE ?)');
+      params.push(`%${search}%`, `%${search}%`);
+    }
+
+    if (category_id) {
+      conditions.push('m.category_id = ?');
+      params.push(category_id);
+    }
+
+    if (status) {
+      conditions.push('m.status = ?');
+      params.push(status);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const movies = await db.all(`
+      SELECT m.*, cat.name as category_name
+      FROM movies m
+      LEFT JOIN categories cat ON m.category_id = cat.id
+      ${where}
+      ORDER BY m.title
+      LIMIT ? OFFSET ?
+    `, [...params, parseInt(limit), offset]);
+
+    const countResult = await db.get(`SELECT COUNT(*) as total FROM movies m ${where}`, params);
+
+    res.json({
+      success: true,
+      data: movies,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: countResult.total,
+        pages: Math.ceil(countResult.total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get movies error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+// Get movie with its tracks
+router.get('/movies/:movieId', async (req, res) => {
+  try {
+    const movie = await movieLibrary.get(req.params.movieId);
+    if (!movie) {
+      return res.status(404).json({ error: 'Movie not found.' });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...movie,
+        tracks: await movieLibrary.getTracks(movie.id)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get movie error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+// Create movie; local files are probed for duration and tracks unless tracks are given
+router.post('/movies', async (req, res) => {
+  try {
+    if (!req.body.title) {
+      return res.status(400).json({ error: 'Movie title is required.' });
+    }
+
+    const invalid = movieLibrary.validateMovie(req.body);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const bouquetIds = bouquets.parseIds(req.body.bouquet_ids);
+    const invalidBouquets = await bouquets.validateIds(bouquetIds);
+    if (invalidBouquets) {
+      return res.status(400).json({ error: invalidBouquets });
+    }
+
+    const result = await db.run(
+      `INSERT INTO movies (${MOVIE_FIELDS.join(', ')}) VALUES (${MOVIE_FIELDS.map(() => '?').join(', ')})`,
+      MOVIE_FIELDS.map(field => (field === 'status' ? req.body.status || 'active' : req.body[field] ?? null))
+    );
+
+    if (req.body.file_path) {
+      try {
+        await movieLibrary.probe(result.id, req.body.file_path);
+      } catch (probeError) {
+        console.error('Movie probe error:', probeError.message);
+      }
+    }
+
+    if (req.body.tracks) {
+      await movieLibrary.saveTracks(result.id, req.body.tracks);
+    }
+
+    await bouquets.addItems('movie', [result.id], bouquetIds);
+
+    res.status(201).json({
+      success: true,
+      message: 'Movie created successfully.',
+      movie_id: result.id
+    });
+
+  } catch (error) {
+    console.error('Create movie error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+// Update movie; `tracks` replaces the track list
+router.put('/movies/:movieId', async (req, res) => {
+  try {
+    const { movieId } = req.params;
+
+    const movie = await movieLibrary.get(movieId);
+    if (!movie) {
+      return res.status(404).json({ error: 'Movie not found.' });
+    }
+
+    const updated = { ...movie };
+    for (const field of MOVIE_FIELDS) {
+      if (req.body[field] !== undefined) {
+        updated[field] = req.body[field];
+      }
+    }
+
+    const invalid = movieLibrary.validateMovie({ ...updated, tracks: req.body.tracks });
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    await db.run(
+      `UPDATE movies SET ${MOVIE_FIELDS.map(field => `${field} = ?`).join(', ')}, updated_at = ? WHERE id = ?`,
+      [...MOVIE_FIELDS.map(field => updated[field]), new Date(), movieId]
+    );
+
+    if (req.body.tracks) {
+      await movieLibrary.saveTracks(movieId, req.body.tracks);
+    }
+
+    res.json({
+      success: true,
+      message: 'Movie updated successfully.'
+    });
+
+  } catch (error) {
+    console.error('Update movie error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+// Delete movie; its file stays on disk
+router.delete('/movies/:movieId', async (req, res) => {
+  try {
+    await movieLibrary.remove(req.params.movieId);
+
+    res.json({
+      success: true,
+      message: 'Movie deleted successfully.'
+    });
+
+  } catch (error) {
+    console.error('Delete movie error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+// Probe a local movie file again, e.g. after replacing it
+router.post('/movies/:movieId/probe', async (req, res) => {
+  try {
+    const movie = await movieLibrary.get(req.params.movieId);
+    if (!movie) {
+      return res.status(404).json({ error: 'Movie not found.' });
+    }
+
+    if (!movie.file_path) {
+      return res.status(400).json({ error: 'Only local movie files can be probed.' });
+    }
+
+    try {
+      await movieLibrary.probe(movie.id, movie.file_path);
+    } catch (probeError) {
+      return res.status(422).json({ error: `Failed to probe file: ${probeError.message}` });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...(await movieLibrary.get(movie.id)),
+        tracks: await movieLibrary.getTracks(movie.id)
+      }
+    });
+
+  } catch (error) {
+    console.error('Probe movie error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+// Import every video file under a folder on the server
+router.post('/movies/import', async (req, res) => {
+  try {
+    const { path: folder, category_id } = req.body;
+
+    if (!folder) {
+      return res.status(400).json({ error: 'A folder path is required.' });
+    }
+
+    const bouquetIds = bouquets.parseIds(req.body.bouquet_ids);
+    const invalidBouquets = await bouquets.validateIds(bouquetIds);
+    if (invalidBouquets) {
+      return res.status(400).json({ error: invalidBouquets });
+    }
+
+    let result;
+    try {
+      result = await movieLibrary.importFolder(folder, { categoryId: category_id || null, bouquetIds });
+    } catch (importError) {
+      return res.status(400).json({ error: importError.message });
+    }
+
+    res.json({
+      success: true,
+      message: `${result.imported} movie(s) imported.`,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Import movies error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+// ===== SERIES =====
+
+const SERIES_FIELDS = [
+  'title', 'year', 'plot', 'actors', 'director', 'genre', 'rating', 'poster_url',
+  'backdrop_url', 'trailer', 'category_id', 'status'
+];
+
+const SEASON_FIELDS = ['name', 'overview', 'poster_url', 'air_date'];
+
+const EPISODE_FIELDS = [
+  'title', 'plot', 'duration', 'air_date', 'rating', 'poster_url',
+  'container_extension', 'source_url', 'file_path', 'status'
+];
+
+// Get series
+router.get('/series', async (req, res) => {
+  try {
+    const { page = 1, limit = 50, search, category_id, status } = req.query;
+    const offset = (page - 1) * limit;
+
+    const conditions = [];
+    const params = [];
+
+    if (search) {
+      conditions.push('s.title LIKE ?');
+      params.push(`%${search}%`);
+    }
+
+    if (category_id) {
+      conditions.push('s.category_id = ?');
+      params.push(category_id);
+    }
+
+    if (status) {
+      conditions.push('s.status = ?');
+      params.push(status);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const series = await db.all(`
+      SELECT s.*, cat.name as category_name,
+             (SELECT COUNT(*) FROM seasons se WHERE se.series_id = s.id) as season_count,
+             (SELECT COUNT(*) FROM episodes e WHERE e.series_id = s.id) as episode_count
+      FROM series s
+      LEFT JOIN categories cat ON s.category_id = cat.id
+      ${where}
+      ORDER BY s.title
+      LIMIT ? OFFSET ?
+    `, [...params, parseInt(limit), offset]);
+
+    const countResult = await db.get(`SELECT COUNT(*) as total FROM series s ${where}`, params);
+
+    res.json({
+      success: true,
+      data: series,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: countResult.total,
+        pages: Math.ceil(countResult.total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get series error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+// Get a series with its seasons and episodes
+router.get('/series/:seriesId', async (req, res) => {
+  try {
+    const series = await seriesLibrary.get(req.params.seriesId);
+    if (!series) {
+      return res.status(404).json({ error: 'Series not found.' });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...series,
+        seasons: await seriesLibrary.getSeasons(series.id),
+        episodes: await seriesLibrary.getEpisodes(series.id)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get series error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+// Create series
+router.post('/series', async (req, res) => {
+  try {
+    if (!req.body.title) {
+      return res.status(400).json({ error: 'Series title is required.' });
+    }
+
+    const invalid = seriesLibrary.validateSeries(req.body);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const bouquetIds = bouquets.parseIds(req.body.bouquet_ids);
+    const invalidBouquets = await bouquets.validateIds(bouquetIds);
+    if (invalidBouquets) {
+      return res.status(400).json({ error: invalidBouquets });
+    }
+
+    const result = await db.run(
+      `INSERT INTO series (${SERIES_FIELDS.join(', ')}) VALUES (${SERIES_FIELDS.map(() => '?').join(', ')})`,
+      SERIES_FIELDS.map(field => (field === 'status' ? req.body.status || 'active' : req.body[field] ?? null))
+    );
+    await bouquets.addItems('series', [result.id], bouquetIds);
+
+    res.status(201).json({
+      success: true,
+      message: 'Series created successfully.',
+      series_id: result.id
+    });
+
+  } catch (error) {
+    console.error('Create series error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+// Update series
+router.put('/series/:seriesId', async (req, res) => {
+  try {
+    const { seriesId } = req.params;
+
+    const series = await seriesLibrary.get(seriesId);
+    if (!series) {
+      return res.status(404).json({ error: 'Series not found.' });
+    }
+
+    const updated = { ...series };
+    for (const field of SERIES_FIELDS) {
+      if (req.body[field] !== undefined) {
+        updated[field] = req.body[field];
+      }
+    }
+
+    if (!updated.title) {
+      return res.status(400).json({ error: 'Series title is required.' });
+    }
+
+    const invalid = seriesLibrary.validateSeries(updated);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    await db.run(
+      `UPDATE series SET ${SERIES_FIELDS.map(field => `${field} = ?`).join(', ')}, updated_at = ? WHERE id = ?`,
+      [...SERIES_FIELDS.map(field => updated[field]), new Date(), seriesId]
+    );
+
+    res.json({
+      success: true,
+      message: 'Series updated successfully.'
+    });
+
+  } catch (error) {
+    console.error('Update series error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+// Delete series with its seasons and episodes; files stay on disk
+router.delete('/series/:seriesId', async (req, res) => {
+  try {
+    await seriesLibrary.remove(req.params.seriesId);
+
+    res.json({
+      success: true,
+      message: 'Series deleted successfully.'
+    });
+
+  } catch (error) {
+    console.error('Delete series error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+// Set season details; the season is created if the series does not have it yet
+router.put('/series/:seriesId/seasons/:seasonNumber(\\d+)', async (req, res) => {
+  try {
+    const { seriesId } = req.params;
+    const seasonNumber = parseInt(req.params.seasonNumber);
+
+    if (!(await seriesLibrary.get(seriesId))) {
+      return res.status(404).json({ error: 'Series not found.' });
+    }
+
+    if (seasonNumber < 1) {
+      return res.status(400).json({ error: 'Season numbers start at 1.' });
+    }
+
+    const seasonId = await seriesLibrary.ensureSeason(seriesId, seasonNumber);
+    const season = await db.get('SELECT * FROM seasons WHERE id = ?', [seasonId]);
+
+    const updated = { ...season };
+    for (const field of SEASON_FIELDS) {
+      if (req.body[field] !== undefined) {
+        updated[field] = req.body[field];
+      }
+    }
+
+    await db.run(
+      `UPDATE seasons SET ${SEASON_FIELDS.map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+      [...SEASON_FIELDS.map(field => updated[field]), seasonId]
+    );
+
+    res.json({
+      success: true,
+      message: 'Season updated successfully.',
+      season_id: seasonId
+    });
+
+  } catch (error) {
+    console.error('Update season error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+// Delete a season and its episodes
+router.delete('/series/:seriesId/seasons/:seasonNumber(\\d+)', async (req, res) => {
+  try {
+    const season = await db.get(
+      'SELECT id FROM seasons WHERE series_id = ? AND season_number = ?',
+      [req.params.seriesId, parseInt(req.params.seasonNumber)]
+    );
+
+    if (!season) {
+      return res.status(404).json({ error: 'Season not found.' });
+    }
+
+    await seriesLibrary.removeSeason(season.id);
+
+    res.json({
+      success: true,
+      message: 'Season deleted successfully.'
+    });
+
+  } catch (error) {
+    console.error('Delete season error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+// Add an episode; local files are probed for duration and video details
+router.post('/series/:seriesId/episodes', async (req, res) => {
+  try {
+    const { seriesId } = req.params;
+
+    if (!(await seriesLibrary.get(seriesId))) {
+      return res.status(404).json({ error: 'Series not found.' });
+    }
+
+    const invalid = seriesLibrary.validateEpisode(req.body);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const { season_number, episode_number } = req.body;
+    if (await seriesLibrary.findEpisode(seriesId, season_number, episode_number)) {
+      return res.status(400).json({ error: `Season ${season_number} already has episode ${episode_number}.` });
+    }
+
+    const episodeId = await seriesLibrary.addEpisode(seriesId, req.body, EPISODE_FIELDS);
+
+    if (req.body.file_path) {
+      try {
+        await seriesLibrary.probeEpisode(episodeId, req.body.file_path);
+      } catch (probeError) {
+        console.error('Episode probe error:', probeError.message);
+      }
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Episode created successfully.',
+      episode_id: episodeId
+    });
+
+  } catch (error) {
+    console.error('Create episode error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+// Update an episode; a new season_number or episode_number moves it
+router.put('/series/:seriesId/episodes/:episodeId', async (req, res) => {
+  try {
+    const { seriesId, episodeId } = req.params;
+
+    const episode = await seriesLibrary.getEpisode(episodeId);
+    if (!episode || String(episode.series_id) !== String(seriesId)) {
+      return res.status(404).json({ error: 'Episode not found.' });
+    }
+
+    const updated = { ...episode };
+    for (const field of [...EPISODE_FIELDS, 'season_number', 'episode_number']) {
+      if (req.body[field] !== undefined) {
+        updated[field] = req.body[field];
+      }
+    }
+
+    const invalid = seriesLibrary.validateEpisode(updated);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const existing = await seriesLibrary.findEpisode(seriesId, updated.season_number, updated.episode_number);
+    if (existing && existing.id !== episode.id) {
+      return res.status(400).json({ error: `Season ${updated.season_number} already has episode ${updated.episode_number}.` });
+    }
+
+    const seasonId = await seriesLibrary.ensureSeason(seriesId, parseInt(updated.season_number));
+
+    await db.run(
+      `UPDATE episodes SET ${EPISODE_FIELDS.map(field => `${field} = ?`).join(', ')}, season_id = ?, episode_number = ?, updated_at = ? WHERE id = ?`,
+      [...EPISODE_FIELDS.map(field => updated[field]), seasonId, parseInt(updated.episode_number), new Date(), episode.id]
+    );
+
+    res.json({
+      success: true,
+      message: 'Episode updated successfully.'
+    });
+
+  } catch (error) {
+    console.error('Update episode error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+// Delete an episode; its file stays on disk
+router.delete('/series/:seriesId/episodes/:episodeId', async (req, res) => {
+  try {
+    const episode = await seriesLibrary.getEpisode(req.params.episodeId);
+    if (!episode || String(episode.series_id) !== String(req.params.seriesId)) {
+      return res.status(404).json({ error: 'Episode not found.' });
+    }
+
+    await seriesLibrary.removeEpisode(episode.id);
+
+    res.json({
+      success: true,
+      message: 'Episode deleted successfully.'
+    });
+
+  } catch (error) {
+    console.error('Delete episode error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+// Bulk-add episodes named like 'Show.S01E02.mkv' from a folder on the server or a list of URLs
+router.post('/series/:seriesId/episodes/import', async (req, res) => {
+  try {
+    const { seriesId } = req.params;
+    const { path: folder, urls } = req.body;
+
+    if (!(await seriesLibrary.get(seriesId))) {
+      return res.status(404).json({ error: 'Series not found.' });
+    }
+
+    if (!folder && !(Array.isArray(urls) && urls.length > 0)) {
+      return res.status(400).json({ error: 'A folder path or a list of urls is required.' });
+    }
+
+    let result;
+    try {
+      result = await seriesLibrary.importEpisodes(seriesId, { folder, urls: urls || [] });
+    } catch (importError) {
+      return res.status(400).json({ error: importError.message });
+    }
+
+    res.json({
+      success: true,
+      message: `${result.imported} episode(s) imported.`,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Import episodes error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+// ===== BOUQUETS =====
+
+const BOUQUET_FIELDS = ['name', 'description', 'sort_order'];
+
+// Get bouquets with their size and how many users have them
+router.get('/bouquets', async (req, res) => {
+  try {
+    const bouquetList = await db.all(`
+      SELECT b.*,
+             (SELECT COUNT(*) FROM bouquet_items bi WHERE bi.bouquet_id = b.id AND bi.item_type = 'channel') as channel_count,
+             (SELECT COUNT(*) FROM bouquet_items bi WHERE bi.bouquet_id = b.id AND bi.item_type = 'movie') as movie_count,
+             (SELECT COUNT(*) FROM bouquet_items bi WHERE bi.bouquet_id = b.id AND bi.item_type = 'series') as series_count,
+             (SELECT COUNT(*) FROM user_bouquets ub WHERE ub.bouquet_id = b.id) as user_count
+      FROM bouquets b
+      ORDER BY b.sort_order, b.name
+    `);
+
+    res.json({
+      success: true,
+      data: bouquetList
+    });
+
+  } catch (error) {
+    console.error('Get bouquets error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+// Get a bouquet with its channels, movies and series in order
+router.get('/bouquets/:bouquetId', async (req, res) => {
+  try {
+    const bouquet = await db.get('SELECT * FROM bouquets WHERE id = ?', [req.params.bouquetId]);
+    if (!bouquet) {
+      return res.status(404).json({ error: 'Bouquet not found.' });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...bouquet,
+        ...(await bouquets.getItems(bouquet.id)),
+        users: await db.all(
+          `SELECT u.id, u.username
+           FROM user_bouquets ub
+           INNER JOIN users u ON ub.user_id = u.id
+           WHERE ub.bouquet_id = ?
+           ORDER BY u.username`,
+          [bouquet.id]
+        )
+      }
+    });
+
+  } catch (error) {
+    console.error('Get bouquet error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+// Create bouquet; channels, movies and series are id lists in the order users see them
+router.post('/bouquets', async (req, res) => {
+  try {
+    const { name, description, sort_order } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ error: 'Bouquet name is required.' });
+    }
+
+    if (await db.get('SELECT id FROM bouquets WHERE name = ?', [name])) {
+      return res.status(400).json({ error: 'A bouquet with this name already exists.' });
+    }
+
+    const items = bouquets.parseItems(req.body);
+    const invalid = await bouquets.validateItems(items);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const result = await db.run(
+      'INSERT INTO bouquets (name, description, sort_order) VALUES (?, ?, ?)',
+      [name, description || null, parseInt(sort_order) || 0]
+    );
+
+    await bouquets.setItems(result.id, items);
+
+    res.status(201).json({
+      success: true,
+      message: 'Bouquet created successfully.',
+      bouquet_id: result.id
+    });
+
+  } catch (error) {
+    console.error('Create bouquet error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+// Update bouquet; each item list given replaces the current one
+router.put('/bouquets/:bouquetId', async (req, res) => {
+  try {
+    const { bouquetId } = req.params;
+
+    const bouquet = await db.get('SELECT * FROM bouquets WHERE id = ?', [bouquetId]);
+    if (!bouquet) {
+      return res.status(404).json({ error: 'Bouquet not found.' });
+    }
+
+    const updated = { ...bouquet };
+    for (const field of BOUQUET_FIELDS) {
+      if (req.body[field] !== undefined) {
+        updated[field] = field === 'sort_order' ? parseInt(req.body[field]) || 0 : req.body[field];
+      }
+    }
+
+    if (!updated.name) {
+      return res.status(400).json({ error: 'Bouquet name is required.' });
+    }
+
+    if (await db.get('SELECT id FROM bouquets WHERE name = ? AND id != ?', [updated.name, bouquetId])) {
+      return res.status(400).json({ error: 'A bouquet with this name already exists.' });
+    }
+
+    const items = bouquets.parseItems(req.body);
+    const invalid = await bouquets.validateItems(items);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    await db.run(
+      `UPDATE bouquets SET ${BOUQUET_FIELDS.map(field => `${field} = ?`).join(', ')}, updated_at = ? WHERE id = ?`,
+      [...BOUQUET_FIELDS.map(field => updated[field]), new Date(), bouquetId]
+    );
+
+    await bouquets.setItems(bouquetId, items);
+
+    res.json({
+      success: true,
+      message: 'Bouquet updated successfully.'
+    });
+
+  } catch (error) {
+    console.error('Update bouquet error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+// Delete bouquet; its users lose what only this bouquet gave them
+router.delete('/bouquets/:bouquetId', async (req, res) => {
+  try {
+    await bouquets.remove(req.params.bouquetId);
+
+    res.json({
+      success: true,
+      message: 'Bouquet deleted successfully.'
+    });
+
+  } catch (error) {
+    console.error('Delete bouquet error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+// ===== SUBSCRIPTION PLANS =====
+
+const PLAN_FIELDS = ['name', 'description', 'duration_days', 'max_connections', 'price', 'status'];
+
+// Get plans with their bouquets and how many users are on them
+router.get('/plans', async (req, res) => {
+  try {
+    const plans = await db.all(`
+      SELECT p.*,
+             (SELECT GROUP_CONCAT(pb.bouquet_id) FROM plan_bouquets pb WHERE pb.plan_id = p.id) as bouquet_ids,
+             (SELECT COUNT(*) FROM users u WHERE u.plan_id = p.id) as user_count
+      FROM plans p
+      ORDER BY p.duration_days, p.name
+    `);
+
+    res.json({
+      success: true,
+      data: plans.map(plan => ({ ...plan, bouquet_ids: bouquets.parseIds(plan.bouquet_ids) }))
+    });
+
+  } catch (error) {
+    console.error('Get plans error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+router.get('/plans/:planId', async (req, res) => {
+  try {
+    const plan = await subscriptions.getPlan(req.params.planId);
+    if (!plan) {
+      return res.status(404).json({ error: 'Plan not found.' });
+    }
+
+    res.json({
+      success: true,
+      data: plan
+    });
+
+  } catch (error) {
+    console.error('Get plan error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+// Create plan
+router.post('/plans', async (req, res) => {
+  try {
+    const { name, description, duration_days, max_connections, price, status } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ error: 'Plan name is required.' });
+    }
+
+    const invalid = subscriptions.validatePlan(req.body);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    if (await db.get('SELECT id FROM plans WHERE name = ?', [name])) {
+      return res.status(400).json({ error: 'A plan with this name already exists.' });
+    }
+
+    const bouquetIds = bouquets.parseIds(req.body.bouquet_ids);
+    const invalidBouquets = await bouquets.validateIds(bouquetIds);
+    if (invalidBouquets) {
+      return res.status(400).json({ error: invalidBouquets });
+    }
+
+    const result = await db.run(
+      `INSERT INTO plans (name, description, duration_days, max_connections, price, status)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [name, description || null, parseInt(duration_days), parseInt(max_connections) || 1,
+        Number(price) || 0, status || 'active']
+    );
+
+    await subscriptions.setPlanBouquets(result.id, bouquetIds);
+
+    res.status(201).json({
+      success: true,
+      message: 'Plan created successfully.',
+      plan_id: result.id
+    });
+
+  } catch (error) {
+    console.error('Create plan error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+// Update plan; users on it get the changes when they are renewed
+router.put('/plans/:planId', async (req, res) => {
+  try {
+    const { planId } = req.params;
+
+    const plan = await db.get('SELECT * FROM plans WHERE id = ?', [planId]);
+    if (!plan) {
+      return res.status(404).json({ error: 'Plan not found.' });
+    }
+
+    const updated = { ...plan };
+    for (const field of PLAN_FIELDS) {
+      if (req.body[field] !== undefined) {
+        updated[field] = req.body[field];
+      }
+    }
+
+    if (!updated.name) {
+      return res.status(400).json({ error: 'Plan name is required.' });
+    }
+
+    const invalid = subscriptions.validatePlan(updated);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    if (await db.get('SELECT id FROM plans WHERE name = ? AND id != ?', [updated.name, planId])) {
+      return res.status(400).json({ error: 'A plan with this name already exists.' });
+    }
+
+    const bouquetIds = req.body.bouquet_ids !== undefined ? bouquets.parseIds(req.body.bouquet_ids) : null;
+    const invalidBouquets = bouquetIds ? await bouquets.validateIds(bouquetIds) : null;
+    if (invalidBouquets) {
+      return res.status(400).json({ error: invalidBouquets });
+    }
+
+    updated.duration_days = parseInt(updated.duration_days);
+    updated.max_connections = parseInt(updated.max_connections) || 1;
+    updated.price = Number(updated.price) || 0;
+
+    await db.run(
+      `UPDATE plans SET ${PLAN_FIELDS.map(field => `${field} = ?`).join(', ')}, updated_at = ? WHERE id = ?`,
+      [...PLAN_FIELDS.map(field => updated[field]), new Date(), planId]
+    );
+
+    if (bouquetIds) {
+      await subscriptions.setPlanBouquets(planId, bouquetIds);
+    }
+
+    res.json({
+      success: true,
+      message: 'Plan updated successfully.'
+    });
+
+  } catch (error) {
+    console.error('Update plan error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+// Delete plan; its users keep their expiry, connections and bouquets
+router.delete('/plans/:planId', async (req, res) => {
+  try {
+    await subscriptions.removePlan(req.params.planId);
+
+    res.json({
+      success: true,
+      message: 'Plan deleted successfully.'
+    });
+
+  } catch (error) {
+    console.error('Delete plan error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+// Run the daily expiry check now
+router.post('/subscriptions/check', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await subscriptions.checkExpiry()
+    });
+
+  } catch (error) {
+    console.error('Subscription check error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+// ===== EPG SOURCE MANAGEMENT =====
+
+// Get all EPG sources
+router.get('/epg/sources', async (req, res) => {
+  try {
+    const sources = await db.all('SELECT * FROM epg_sources ORDER BY name');
+
+    res.json({
+      success: true,
+      data: sources
+    });
+
+  } catch (error) {
+    console.error('Get EPG sources error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+// Create EPG source from a URL or an uploaded XMLTV file (plain or .gz)
+router.post('/epg/sources', epgUpload.single('file'), async (req, res) => {
+  try {
+    const { name, url } = req.body;
+
+    if (!name || (!url && !req.file)) {
+      return res.status(400).json({
+        error: 'Source name and a URL or file are required.'
+      });
+    }
+
+    const result = await db.run(
+      'INSERT INTO epg_sources (name, source_type, url, file_path) VALUES (?, ?, ?, ?)',
+      req.file ? [name, 'file', null, req.file.path] : [name, 'url', url, null]
+    );
+
+    // Import in the background; progress is visible through the source status
+    epgImporter.refreshSource(result.id).catch(error => {
+      console.error(`EPG import error (${name}):`, error.message);
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'EPG source created successfully.',
+      source_id: result.id
+    });
+
+  } catch (error) {
+    console.error('Create EPG source error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+// Update EPG source
+router.put('/epg/sources/:sourceId', async (req, res) => {
+  try {
+    const { sourceId } = req.params;
+    const { name, url, enabled } = req.body;
+
+    const source = await db.get('SELECT * FROM epg_sources WHERE id = ?', [sourceId]);
+    if (!source) {
+      return res.status(404).json({ error: 'EPG source not found.' });
+    }
+
+    await db.run(
+      'UPDATE epg_sources SET name = ?, url = ?, enabled = ? WHERE id = ?',
+      [
+        name || source.name,
+        source.source_type === 'url' && url ? url : source.url,
+        enabled === undefined ? source.enabled : (enabled ? 1 : 0),
+        sourceId
+      ]
+    );
+
+    res.json({
+      success: true,
+      message: 'EPG source updated successfully.'
+    });
+
+  } catch (error) {
+    console.error('Update EPG source error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+// Delete EPG source and its programmes
+router.delete('/epg/sources/:sourceId', async (req, res) => {
+  try {
+    const { sourceId } = req.params;
+
+    const source = await db.get('SELECT * FROM epg_sources WHERE id = ?', [sourceId]);
+    if (!source) {
+      return res.status(404).json({ error: 'EPG source not found.' });
+    }
+
+    await db.run('DELETE FROM epg WHERE source_id = ?', [sourceId]);
+    await db.run('DELETE FROM epg_channels WHERE source_id = ?', [sourceId]);
+    await db.run('DELETE FROM epg_sources WHERE id = ?', [sourceId]);
+
+    if (source.file_path) {
+      fs.unlink(source.file_path, () => {});
+    }
+
+    res.json({
+      success: true,
+      message: 'EPG source deleted successfully.'
+    });
+
+  } catch (error) {
+    console.error('Delete EPG source error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+// Refresh EPG source now
+router.post('/epg/sources/:sourceId/refresh', async (req, res) => {
+  try {
+    const { sourceId } = req.params;
+
+    const source = await db.get('SELECT id FROM epg_sources WHERE id = ?', [sourceId]);
+    if (!source) {
+      return res.status(404).json({ error: 'EPG source not found.' });
+    }
+
+    try {
+      const result = await epgImporter.refreshSource(source.id);
+
+      res.json({
+        success: true,
+        message: 'EPG source refreshed successfully.',
+        data: result
+      });
+    } catch (refreshError) {
+      res.status(502).json({
+        error: 'EPG refresh failed.',
+        message: refreshError.message
+      });
+    }
+
+  } catch (error) {
+    console.error('Refresh EPG source error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+// ===== EPG MATCHING =====
+
+// Propose epg_id matches for channels that have none
+const suggestEpgMatches = async ({ minScore, limit }) => {
+  const candidates = await db.all(`
+    SELECT ec.xmltv_id, ec.display_name, ec.source_id
+    FROM epg_channels ec
+    INNER JOIN epg_sources es ON ec.source_id = es.id
+    WHERE es.enabled = 1
+  `);
+  const match = createMatcher(candidates);
+
+  const channels = await db.all(`
+    SELECT id, name
+    FROM channels
+    WHERE stream_type = 'live' AND (epg_id IS NULL OR epg_id = '')
+    ORDER BY name
+  `);
+
+  return channels.map(channel => ({
+    channel_id: channel.id,
+    channel_name: channel.name,
+    suggestions: match(channel.name, { minScore, limit })
+  }));
+};
+
+// Get suggested EPG matches for unmapped channels
+router.get('/epg/matches', async (req, res) => {
+  try {
+    const minScore = parseFloat(req.query.min_score) || 0.5;
+    const limit = parseInt(req.query.limit) || 3;
+
+    const matches = await suggestEpgMatches({ minScore, limit });
+
+    res.json({
+      success: true,
+      data: matches,
+      summary: {
+        unmapped: matches.length,
+        with_suggestions: matches.filter(match => match.suggestions.length > 0).length
+      }
+    });
+
+  } catch (error) {
+    console.error('Get EPG matches error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+// Accept EPG matches: explicit { matches: [{ channel_id, epg_id }] } or
+// { min_score } to accept every best suggestion scoring at least that much
+router.post('/epg/matches', async (req, res) => {
+  try {
+    let { matches, min_score } = req.body;
+
+    if (!Array.isArray(matches)) {
+      if (!min_score) {
+        return res.status(400).json({
+          error: 'Matches array or min_score is required.'
+        });
+      }
+
+      const suggestions = await suggestEpgMatches({ minScore: parseFloat(min_score), limit: 1 });
+      matches = suggestions
+        .filter(match => match.suggestions.length > 0)
+        .map(match => ({ channel_id: match.channel_id, epg_id: match.suggestions[0].epg_id }));
+    }
+
+    const accepted = matches.filter(match => match && match.channel_id && match.epg_id);
+
+    const invalid = [];
+    for (const match of accepted) {
+      const channel = await db.get('SELECT id FROM channels WHERE id = ?', [match.channel_id]);
+      const guideChannel = await db.get('SELECT id FROM epg_channels WHERE xmltv_id = ? LIMIT 1', [match.epg_id]);
+      if (!channel || !guideChannel) {
+        invalid.push({
+          channel_id: match.channel_id,
+          epg_id: match.epg_id,
+          error: !channel ? 'Unknown channel.' : 'Unknown EPG channel.'
+        });
+      }
+    }
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        error: 'Some matches refer to unknown channels or EPG channels.',
+        invalid
+      });
+    }
+
+    await db.isolatedTransaction(async (tx) => {
+      for (const match of accepted) {
+        await tx.run(
+          'UPDATE channels SET epg_id = ?, updated_at = ? WHERE id = ?',
+          [match.epg_id, new Date(), match.channel_id]
+        );
+      }
+    });
+
+    // Re-import so the newly mapped channels get their programmes
+    if (accepted.length > 0) {
+      const sources = await db.all('SELECT id FROM epg_sources WHERE enabled = 1');
+      for (const source of sources) {
+        epgImporter.refreshSource(source.id).catch(error => {
+          console.error('EPG refresh after matching error:', error.message);
+        });
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'EPG matches accepted successfully.',
+      updated: accepted.length
+    });
+
+  } catch (error) {
+    console.error('Accept EPG matches error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+// ===== SETTINGS MANAGEMENT =====
+
+// Get all settings
+router.get('/settings', async (req, res) => {
+  try {
+    const settings = await db.all('SELECT * FROM settings ORDER BY setting_key');
+
+    res.json({
+      success: true,
+      data: settings
+    });
+
+  } catch (error) {
+    console.error('Get settings error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+// Update setting
+router.put('/settings/:key', async (req, res) => {
+  try {
+    const { key } = req.params;
+    const { setting_value } = req.body;
+
+    await db.run(
+      'UPDATE settings SET setting_value = ?, updated_at = ? WHERE setting_key = ?',
+      [setting_value, new Date(), key]
+    );
+
+    res.json({
+      success: true,
+      message: 'Setting updated successfully.'
+    });
+
+  } catch (error) {
+    console.error('Update setting error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+// ===== LIVE CONNECTIONS =====
+
+// Get open stream connections with their current bitrate
+router.get('/connections', async (req, res) => {
+  try {
+    const connections = await connectionMonitor.list();
+
+    res.json({
+      success: true,
+      data: connections
+    });
+
+  } catch (error) {
+    console.error('Get connections error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+// Kill one connection
+router.delete('/connections/:logId', async (req, res) => {
+  try {
+    const closed = await connectionMonitor.kill(req.params.logId);
+    if (!closed) {
+      return res.status(404).json({ error: 'Connection not found.' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Connection closed.'
+    });
+
+  } catch (error) {
+    console.error('Kill connection error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+// Kick all of a user's connections
+router.post('/users/:userId/kick', async (req, res) => {
+  try {
+    const closed = await connectionMonitor.kickUser(req.params.userId);
+
+    res.json({
+      success: true,
+      message: `${closed} connection(s) closed.`,
+      data: { closed }
+    });
+
+  } catch (error) {
+    console.error('Kick user error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+// Get blocked IPs
+router.get('/blocked-ips', async (req, res) => {
+  try {
+    const blocked = await db.all(`
+      SELECT b.*, u.username as blocked_by_username
+      FROM blocked_ips b
+      LEFT JOIN users u ON b.blocked_by = u.id
+      ORDER BY b.created_at DESC
+    `);
+
+    res.json({
+      success: true,
+      data: blocked
+    });
+
+  } catch (error) {
+    console.error('Get blocked IPs error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+// Block an IP and close its connections
+router.post('/blocked-ips', async (req, res) => {
+  try {
+    const { ip_address, reason } = req.body;
+
+    if (!ip_address || net.isIP(normalizeIp(ip_address)) === 0) {
+      return res.status(400).json({ error: 'A valid IP address is required.' });
+    }
+
+    const closed = await connectionMonitor.blockIp(ip_address, reason, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      message: `IP blocked, ${closed} connection(s) closed.`,
+      data: { closed }
+    });
+
+  } catch (error) {
+    console.error('Block IP error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+// Unblock an IP
+router.delete('/blocked-ips/:ip', async (req, res) => {
+  try {
+    const removed = await connectionMonitor.unblockIp(req.params.ip);
+    if (!removed) {
+      return res.status(404).json({ error: 'IP is not blocked.' });
+    }
+
+    res.json({
+      success: true,
+      message: 'IP unblocked.'
+    });
+
+  } catch (error) {
+    console.error('Unblock IP error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+// ===== EDGE SERVERS =====
+
+const SERVER_FIELDS = ['name', 'url', 'status', 'max_connections'];
+
+// Get edge servers with their last reported load
+router.get('/servers', async (req, res) => {
+  try {
+    const servers = await serverPool.list();
+
+    res.json({
+      success: true,
+      data: servers
+    });
+
+  } catch (error) {
+    console.error('Get servers error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+// Add an edge server; its API key is only shown here and when rotated
+router.post('/servers', async (req, res) => {
+  try {
+    const { name, url, status, max_connections } = req.body;
+
+    if (!name || !url) {
+      return res.status(400).json({ error: 'Server name and URL are required.' });
+    }
+
+    const invalid = serverPool.validateServer(req.body);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const apiKey = serverPool.generateKey();
+    const result = await db.run(
+      'INSERT INTO servers (name, url, api_key, status, max_connections) VALUES (?, ?, ?, ?, ?)',
+      [name, url, apiKey, status || 'active', max_connections !== undefined ? parseInt(max_connections) : 500]
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Server created successfully.',
+      server_id: result.id,
+      api_key: apiKey
+    });
+
+  } catch (error) {
+    console.error('Create server error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+// Update edge server
+router.put('/servers/:serverId', async (req, res) => {
+  try {
+    const { serverId } = req.params;
+
+    const server = await db.get('SELECT * FROM servers WHERE id = ?', [serverId]);
+    if (!server) {
+      return res.status(404).json({ error: 'Server not found.' });
+    }
+
+    const updated = { ...server };
+    for (const field of SERVER_FIELDS) {
+      if (req.body[field] !== undefined) {
+        updated[field] = req.body[field];
+      }
+    }
+
+    const invalid = serverPool.validateServer(updated);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    await db.run(
+      `UPDATE servers SET ${SERVER_FIELDS.map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+      [...SERVER_FIELDS.map(field => updated[field]), serverId]
+    );
+
+    res.json({
+      success: true,
+      message: 'Server updated successfully.'
+    });
+
+  } catch (error) {
+    console.error('Update server error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+// Issue a new API key; the edge must be restarted with it
+router.post('/servers/:serverId/key', async (req, res) => {
+  try {
+    const apiKey = serverPool.generateKey();
+    const result = await db.run('UPDATE servers SET api_key = ? WHERE id = ?', [apiKey, req.params.serverId]);
+
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Server not found.' });
+    }
+
+    res.json({
+      success: true,
+      api_key: apiKey
+    });
+
+  } catch (error) {
+    console.error('Rotate server key error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+// Delete edge server; its open sessions are closed by the edge watchdog
+router.delete('/servers/:serverId', async (req, res) => {
+  try {
+    const serverId = parseInt(req.params.serverId);
+
+    await serverPool.unassign(serverId);
+    await db.run('DELETE FROM servers WHERE id = ?', [serverId]);
+
+    res.json({
+      success: true,
+      message: 'Server deleted successfully.'
+    });
+
+  } catch (error) {
+    console.error('Delete server error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+// Limit a channel or a user to some edge servers; an empty list allows all of them
+router.put('/:type(channels|users)/:id/servers', async (req, res) => {
+  try {
+    const { type, id } = req.params;
+    const ids = serverPool.parseIds(req.body.server_ids);
+
+    const row = await db.get(`SELECT id FROM ${type} WHERE id = ?`, [id]);
+    if (!row) {
+      return res.status(404).json({ error: `${type === 'channels' ? 'Channel' : 'User'} not found.` });
+    }
+
+    const invalid = await serverPool.validateIds(ids);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    await db.run(`UPDATE ${type} SET server_ids = ? WHERE id = ?`, [ids.length > 0 ? ids.join(',') : null, id]);
+
+    res.json({
+      success: true,
+      data: { server_ids: ids }
+    });
+
+  } catch (error) {
+    console.error('Assign servers error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+// ===== STATISTICS =====
+
+// Get system statistics
+router.get('/stats', async (req, res) => {
+  try {
+    const stats = await db.get(`
+      SELECT 
+        (SELECT COUNT(*) FROM users) as total_users,
+        (SELECT COUNT(*) FROM users WHERE status = 'active') as active_users,
+        (SELECT COUNT(*) FROM channels) as total_channels,
+        (SELECT COUNT(*) FROM channels WHERE status = 'active') as active_channels,
+        (SELECT COUNT(*) FROM categories) as total_categories,
+        (SELECT COUNT(*) FROM stream_logs WHERE end_time IS NULL) as active_streams,
+        (SELECT COUNT(*) FROM stream_logs WHERE start_time >= datetime('now', '-24 hours')) as streams_24h
+    `);
+
+    res.json({
+      success: true,
+      data: stats
+    });
+
+  } catch (error) {
+    console.error('Get stats error:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+// Get shared live upstreams and their viewer counts, on the panel and on
+// the edges (as of their last heartbeat)
+router.get('/restream', async (req, res) => {
+  try {
+    const upstreams = [
+      ...restreamHub.stats().map(upstream => ({ ...upstream, server_id: null, server_name: null })),
+      ...await serverPool.restreamStats()
+    ];
+    const channelIds = upstreams.map(upstream => upstream.channel_id);
+
+    const channels = channelIds.length > 0
+      ? await db.all(`SELECT id, name FROM channels WHERE id IN (${channelIds.map(() => '?').join(',')})`, channelIds)
+      : [];
+    const names = new Map(channels.map(channel => [channel.id, channel.name]));
+
+    res.json({
+      success: true,
+      data: upstreams.map(upstream => ({
+        ...upstream,
+        channel_name: names.get(upstream.channel_id) || null
+      })),
+      total_viewers: upstreams.reduce((sum, upstream) => sum + upstream.viewers, 0)
+    });
+
+  } catch (error) {
+    console.error('Get restream stats error:', error);
     res.status(500).json({ error: 'Internal server error.' });
   }
 });
 
-module.exports = router; 
\ No newline at end of file
+module.exports = router;
\ No newline at end of file
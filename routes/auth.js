@@ -2,7 +2,8 @@ const express = require('express');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const db = require('../database/database');
-const { JWT_SECRET } = require('../middleware/auth');
+const subscriptions = require('../services/subscriptions');
+const { JWT_SECRET, forgetCredentials } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -30,7 +31,7 @@ router.post('/login', async (req, res) => {
     }
 
     // Check if account has expired
-    if (user.expires_at && new Date(user.expires_at) < new Date()) {
+    if (await subscriptions.hasExpired(user)) {
       return res.status(401).json({
         error: 'Account has expired. Please contact administrator.'
       });
@@ -249,6 +250,7 @@ router.post('/change-password', async (req, res) => {
       'UPDATE users SET password = ? WHERE id = ?',
       [hashedNewPassword, userId]
     );
+    forgetCredentials(userId);
 
     res.json({
       message: 'Password changed successfully.'
@@ -1,18 +1,31 @@
 const express = require('express');
 const db = require('../database/database');
+const { streamRateLimit } = require('../middleware/auth');
+const seriesLibrary = require('../services/seriesLibrary');
+const mediaLibrary = require('../services/mediaLibrary');
+const serverPool = require('../services/serverPool');
+const bouquets = require('../services/bouquets');
+const watchProgress = require('../services/watchProgress');
+const { sign, tokenTtl } = require('../services/streamSigner');
+const { normalizeIp } = require('../utils/ip');
 
 const router = express.Router();
 
+// Where an episode is stored stays on the server
+const publicEpisode = ({ source_url, file_path, ...episode }) => episode;
+
 // Get all categories
 router.get('/categories', async (req, res) => {
   try {
+    const access = bouquets.filter(req.user, 'channel', 'channels.id');
+
     const categories = await db.all(`
       SELECT c.*, p.name as parent_name, 
-             (SELECT COUNT(*) FROM channels WHERE category_id = c.id AND status = 'active') as channel_count
+             (SELECT COUNT(*) FROM channels WHERE category_id = c.id AND status = 'active'${access.sql}) as channel_count
       FROM categories c 
       LEFT JOIN categories p ON c.parent_id = p.id 
       ORDER BY c.sort_order, c.name
-    `);
+    `, access.params);
 
     res.json({
       success: true,
@@ -33,20 +46,21 @@ router.get('/categories/:categoryId', async (req, res) => {
     const { categoryId } = req.params;
     const { page = 1, limit = 50 } = req.query;
     const offset = (page - 1) * limit;
+    const access = bouquets.filter(req.user, 'channel', 'c.id');
 
     const channels = await db.all(`
       SELECT c.*, cat.name as category_name
       FROM channels c
       LEFT JOIN categories cat ON c.category_id = cat.id
-      WHERE c.category_id = ? AND c.status = 'active'
+      WHERE c.category_id = ? AND c.status = 'active'${access.sql}
       ORDER BY c.name
       LIMIT ? OFFSET ?
-    `, [categoryId, parseInt(limit), offset]);
+    `, [categoryId, ...access.params, parseInt(limit), offset]);
 
     // Get total count
     const countResult = await db.get(
-      'SELECT COUNT(*) as total FROM channels WHERE category_id = ? AND status = ?',
-      [categoryId, 'active']
+      `SELECT COUNT(*) as total FROM channels c WHERE c.category_id = ? AND c.status = ?${access.sql}`,
+      [categoryId, 'active', ...access.params]
     );
 
     res.json({
@@ -74,14 +88,15 @@ router.get('/search', async (req, res) => {
     const { q, category_id, quality, language, country } = req.query;
     const { page = 1, limit = 50 } = req.query;
     const offset = (page - 1) * limit;
+    const access = bouquets.filter(req.user, 'channel', 'c.id');
 
     let query = `
       SELECT c.*, cat.name as category_name
       FROM channels c
       LEFT JOIN categories cat ON c.category_id = cat.id
-      WHERE c.status = 'active'
+      WHERE c.status = 'active'${access.sql}
     `;
-    const params = [];
+    const params = [...access.params];
 
     if (q) {
       query += ' AND c.name LIKE ?';
@@ -114,8 +129,8 @@ router.get('/search', async (req, res) => {
     const channels = await db.all(query, params);
 
     // Get total count
-    let countQuery = 'SELECT COUNT(*) as total FROM channels c WHERE c.status = ?';
-    const countParams = ['active'];
+    let countQuery = `SELECT COUNT(*) as total FROM channels c WHERE c.status = ?${access.sql}`;
+    const countParams = ['active', ...access.params];
 
     if (q) {
       countQuery += ' AND c.name LIKE ?';
@@ -163,17 +178,192 @@ router.get('/search', async (req, res) => {
   }
 });
 
+// Browse TV series
+router.get('/series', async (req, res) => {
+  try {
+    const { search, category_id, genre } = req.query;
+    const { page = 1, limit = 50 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const access = bouquets.filter(req.user, 'series', 's.id');
+
+    let where = `WHERE s.status = 'active'${access.sql}`;
+    const params = [...access.params];
+
+    if (search) {
+      where += ' AND (s.title LIKE ? OR s.actors LIKE ?)';
+      params.push(`%${search}%`, `%${search}%`);
+    }
+
+    if (category_id) {
+      where += ' AND s.category_id = ?';
+      params.push(category_id);
+    }
+
+    if (genre) {
+      where += ' AND s.genre LIKE ?';
+      params.push(`%${genre}%`);
+    }
+
+    const series = await db.all(`
+      SELECT s.*, cat.name as category_name,
+             (SELECT COUNT(*) FROM episodes e WHERE e.series_id = s.id AND e.status = 'active') as episode_count
+      FROM series s
+      LEFT JOIN categories cat ON s.category_id = cat.id
+      ${where}
+      ORDER BY s.title
+      LIMIT ? OFFSET ?
+    `, [...params, parseInt(limit), offset]);
+
+    const countResult = await db.get(`SELECT COUNT(*) as total FROM series s ${where}`, params);
+
+    res.json({
+      success: true,
+      data: series,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: countResult.total,
+        pages: Math.ceil(countResult.total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get series error:', error);
+    res.status(500).json({
+      error: 'Internal server error.'
+    });
+  }
+});
+
+// Series details with its seasons and episodes
+router.get('/series/:seriesId', async (req, res) => {
+  try {
+    const series = await seriesLibrary.get(req.params.seriesId, { activeOnly: true });
+
+    if (!series || !(await bouquets.allows(req.user, 'series', series.id))) {
+      return res.status(404).json({
+        error: 'Series not found.'
+      });
+    }
+
+    const seasons = await seriesLibrary.getSeasons(series.id, { activeOnly: true });
+    const episodes = await seriesLibrary.getEpisodes(series.id, { activeOnly: true });
+
+    res.json({
+      success: true,
+      data: {
+        ...series,
+        seasons: seasons
+          .filter(season => season.episode_count > 0)
+          .map(season => ({
+            ...season,
+            episodes: episodes.filter(episode => episode.season_id === season.id).map(publicEpisode)
+          }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get series details error:', error);
+    res.status(500).json({
+      error: 'Internal server error.'
+    });
+  }
+});
+
+// The user's next unwatched episode of a series
+router.get('/series/:seriesId/next', async (req, res) => {
+  try {
+    const series = await seriesLibrary.get(req.params.seriesId, { activeOnly: true });
+
+    if (!series || !(await bouquets.allows(req.user, 'series', series.id))) {
+      return res.status(404).json({
+        error: 'Series not found.'
+      });
+    }
+
+    const episode = await seriesLibrary.nextEpisode(req.user.id, series.id);
+
+    res.json({
+      success: true,
+      data: episode ? publicEpisode(episode) : null
+    });
+
+  } catch (error) {
+    console.error('Get next episode error:', error);
+    res.status(500).json({
+      error: 'Internal server error.'
+    });
+  }
+});
+
+// Start an episode: a signed stream URL that supports seeking
+router.get('/series/:seriesId/episodes/:episodeId/play', streamRateLimit, async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const episode = await seriesLibrary.getEpisode(req.params.episodeId, { activeOnly: true });
+    if (!episode || String(episode.series_id) !== String(req.params.seriesId) ||
+      !(await bouquets.allows(req.user, 'series', episode.series_id))) {
+      return res.status(404).json({
+        error: 'Episode not found.'
+      });
+    }
+
+    const server = await serverPool.pick(userId, {});
+
+    const logResult = await db.run(
+      'INSERT INTO stream_logs (user_id, episode_id, stream_url, ip_address, user_agent, server_id) VALUES (?, ?, ?, ?, ?, ?)',
+      [userId, episode.id, episode.source_url || episode.file_path, req.ip, req.get('User-Agent'), server ? server.id : null]
+    );
+
+    const ttl = await tokenTtl();
+    const token = sign({
+      k: 'proxy',
+      u: userId,
+      ep: episode.id,
+      l: logResult.id,
+      ip: normalizeIp(req.ip)
+    }, ttl);
+
+    const streamPath = `/stream/${token}/episode.${mediaLibrary.extension(episode)}`;
+
+    res.json({
+      success: true,
+      data: {
+        stream_url: server ? serverPool.url(server, streamPath) : streamPath,
+        expires_in: ttl,
+        series: episode.series_title,
+        season: episode.season_number,
+        episode: episode.episode_number,
+        title: episode.title,
+        duration: episode.duration,
+        resume_position: await watchProgress.resumePosition(userId, 'episode', episode.id),
+        server: server ? server.name : null,
+        log_id: logResult.id
+      }
+    });
+
+  } catch (error) {
+    console.error('Start episode error:', error);
+    res.status(500).json({
+      error: 'Internal server error.'
+    });
+  }
+});
+
 // Get channel details
 router.get('/:channelId', async (req, res) => {
   try {
     const { channelId } = req.params;
+    const access = bouquets.filter(req.user, 'channel', 'c.id');
 
     const channel = await db.get(`
       SELECT c.*, cat.name as category_name
       FROM channels c
       LEFT JOIN categories cat ON c.category_id = cat.id
-      WHERE c.id = ? AND c.status = 'active'
-    `, [channelId]);
+      WHERE c.id = ? AND c.status = 'active'${access.sql}
+    `, [channelId, ...access.params]);
 
     if (!channel) {
       return res.status(404).json({
@@ -198,17 +388,18 @@ router.get('/:channelId', async (req, res) => {
 router.get('/popular', async (req, res) => {
   try {
     const { limit = 20 } = req.query;
+    const access = bouquets.filter(req.user, 'channel', 'c.id');
 
     const popularChannels = await db.all(`
       SELECT c.*, cat.name as category_name, COUNT(sl.id) as stream_count
       FROM channels c
       LEFT JOIN categories cat ON c.category_id = cat.id
       LEFT JOIN stream_logs sl ON c.id = sl.channel_id
-      WHERE c.status = 'active'
+      WHERE c.status = 'active'${access.sql}
       GROUP BY c.id
       ORDER BY stream_count DESC
       LIMIT ?
-    `, [parseInt(limit)]);
+    `, [...access.params, parseInt(limit)]);
 
     res.json({
       success: true,
@@ -228,17 +419,18 @@ router.get('/recent', async (req, res) => {
   try {
     const userId = req.user.id;
     const { limit = 20 } = req.query;
+    const access = bouquets.filter(req.user, 'channel', 'c.id');
 
     const recentChannels = await db.all(`
       SELECT c.*, cat.name as category_name, MAX(sl.start_time) as last_watched
       FROM channels c
       LEFT JOIN categories cat ON c.category_id = cat.id
       LEFT JOIN stream_logs sl ON c.id = sl.channel_id AND sl.user_id = ?
-      WHERE c.status = 'active' AND sl.id IS NOT NULL
+      WHERE c.status = 'active' AND sl.id IS NOT NULL${access.sql}
       GROUP BY c.id
       ORDER BY last_watched DESC
       LIMIT ?
-    `, [userId, parseInt(limit)]);
+    `, [userId, ...access.params, parseInt(limit)]);
 
     res.json({
       success: true,
@@ -259,20 +451,21 @@ router.get('/quality/:quality', async (req, res) => {
     const { quality } = req.params;
     const { page = 1, limit = 50 } = req.query;
     const offset = (page - 1) * limit;
+    const access = bouquets.filter(req.user, 'channel', 'c.id');
 
     const channels = await db.all(`
       SELECT c.*, cat.name as category_name
       FROM channels c
       LEFT JOIN categories cat ON c.category_id = cat.id
-      WHERE c.quality = ? AND c.status = 'active'
+      WHERE c.quality = ? AND c.status = 'active'${access.sql}
       ORDER BY c.name
       LIMIT ? OFFSET ?
-    `, [quality, parseInt(limit), offset]);
+    `, [quality, ...access.params, parseInt(limit), offset]);
 
     // Get total count
     const countResult = await db.get(
-      'SELECT COUNT(*) as total FROM channels WHERE quality = ? AND status = ?',
-      [quality, 'active']
+      `SELECT COUNT(*) as total FROM channels c WHERE c.quality = ? AND c.status = ?${access.sql}`,
+      [quality, 'active', ...access.params]
     );
 
     res.json({
@@ -300,20 +493,21 @@ router.get('/language/:language', async (req, res) => {
     const { language } = req.params;
     const { page = 1, limit = 50 } = req.query;
     const offset = (page - 1) * limit;
+    const access = bouquets.filter(req.user, 'channel', 'c.id');
 
     const channels = await db.all(`
       SELECT c.*, cat.name as category_name
       FROM channels c
       LEFT JOIN categories cat ON c.category_id = cat.id
-      WHERE c.language = ? AND c.status = 'active'
+      WHERE c.language = ? AND c.status = 'active'${access.sql}
       ORDER BY c.name
       LIMIT ? OFFSET ?
-    `, [language, parseInt(limit), offset]);
+    `, [language, ...access.params, parseInt(limit), offset]);
 
     // Get total count
     const countResult = await db.get(
-      'SELECT COUNT(*) as total FROM channels WHERE language = ? AND status = ?',
-      [language, 'active']
+      `SELECT COUNT(*) as total FROM channels c WHERE c.language = ? AND c.status = ?${access.sql}`,
+      [language, 'active', ...access.params]
     );
 
     res.json({
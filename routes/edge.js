@@ -0,0 +1,53 @@
+const crypto = require('crypto');
+const express = require('express');
+const { serverAuth } = require('../middleware/auth');
+const serverPool = require('../services/serverPool');
+const edgeAgent = require('../services/edgeAgent');
+
+const router = express.Router();
+
+// Edge servers report their load and shared upstreams here every few seconds
+router.post('/heartbeat', serverAuth, async (req, res) => {
+  try {
+    const { connections, load, memory, restream } = req.body;
+
+    await serverPool.heartbeat(req.server.id, { connections, load, memory, restream });
+
+    res.json({
+      success: true,
+      data: {
+        server_id: req.server.id,
+        status: req.server.status
+      }
+    });
+
+  } catch (error) {
+    console.error('Edge heartbeat error:', error);
+    res.status(500).json({
+      error: 'Internal server error.'
+    });
+  }
+});
+
+// Called by the panel on an edge, with the edge's own key
+router.post('/sync', async (req, res) => {
+  try {
+    const expected = Buffer.from(edgeAgent.serverKey || '');
+    const actual = Buffer.from(req.get('X-Server-Key') || '');
+    if (!edgeAgent.server || expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return res.status(401).json({ error: 'Invalid server key.' });
+    }
+
+    await edgeAgent.sync();
+
+    res.json({ success: true });
+
+  } catch (error) {
+    console.error('Edge sync error:', error);
+    res.status(500).json({
+      error: 'Internal server error.'
+    });
+  }
+});
+
+module.exports = router;
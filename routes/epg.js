@@ -1,16 +1,35 @@
 const express = require('express');
 const db = require('../database/database');
+const { sendXmltv } = require('../services/xmltvExport');
+const bouquets = require('../services/bouquets');
 
 const router = express.Router();
 
+// Export the guide as XMLTV
+router.get('/xmltv', async (req, res) => {
+  try {
+    await sendXmltv(req, res);
+  } catch (error) {
+    console.error('XMLTV export error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        error: 'Internal server error.'
+      });
+    } else {
+      res.destroy();
+    }
+  }
+});
+
 // Get EPG for a specific channel
 router.get('/channel/:channelId', async (req, res) => {
   try {
     const { channelId } = req.params;
     const { date } = req.query;
+    const access = bouquets.filter(req.user, 'channel', 'channel_id');
 
     let dateFilter = '';
-    const params = [channelId];
+    const params = [channelId, ...access.params];
 
     if (date) {
       dateFilter = 'AND DATE(start_time) = ?';
@@ -22,7 +41,7 @@ router.get('/channel/:channelId', async (req, res) => {
 
     const epg = await db.all(`
       SELECT * FROM epg 
-      WHERE channel_id = ? ${dateFilter}
+      WHERE channel_id = ?${access.sql} ${dateFilter}
       ORDER BY start_time ASC
     `, params);
 
@@ -50,8 +69,10 @@ router.post('/channels', async (req, res) => {
       });
     }
 
+    const access = bouquets.filter(req.user, 'channel', 'e.channel_id');
+
     let dateFilter = '';
-    const params = [channelIds];
+    const params = [...channelIds, ...access.params];
 
     if (date) {
       dateFilter = 'AND DATE(start_time) = ?';
@@ -65,7 +86,7 @@ router.post('/channels', async (req, res) => {
       SELECT e.*, c.name as channel_name, c.logo_url
       FROM epg e
       LEFT JOIN channels c ON e.channel_id = c.id
-      WHERE e.channel_id IN (${channelIds.map(() => '?').join(',')}) ${dateFilter}
+      WHERE e.channel_id IN (${channelIds.map(() => '?').join(',')})${access.sql} ${dateFilter}
       ORDER BY e.start_time ASC
     `, params);
 
@@ -86,15 +107,16 @@ router.post('/channels', async (req, res) => {
 router.get('/channel/:channelId/current', async (req, res) => {
   try {
     const { channelId } = req.params;
+    const access = bouquets.filter(req.user, 'channel', 'channel_id');
 
     const currentProgram = await db.get(`
       SELECT * FROM epg 
-      WHERE channel_id = ? 
+      WHERE channel_id = ?${access.sql}
         AND start_time <= datetime('now') 
         AND end_time > datetime('now')
       ORDER BY start_time DESC 
       LIMIT 1
-    `, [channelId]);
+    `, [channelId, ...access.params]);
 
     if (!currentProgram) {
       return res.json({
@@ -120,14 +142,15 @@ router.get('/channel/:channelId/current', async (req, res) => {
 router.get('/channel/:channelId/next', async (req, res) => {
   try {
     const { channelId } = req.params;
+    const access = bouquets.filter(req.user, 'channel', 'channel_id');
 
     const nextProgram = await db.get(`
       SELECT * FROM epg 
-      WHERE channel_id = ? 
+      WHERE channel_id = ?${access.sql}
         AND start_time > datetime('now')
       ORDER BY start_time ASC 
       LIMIT 1
-    `, [channelId]);
+    `, [channelId, ...access.params]);
 
     if (!nextProgram) {
       return res.json({
@@ -155,15 +178,16 @@ router.get('/search', async (req, res) => {
     const { q, category, rating, date } = req.query;
     const { page = 1, limit = 50 } = req.query;
     const offset = (page - 1) * limit;
+    const access = bouquets.filter(req.user, 'channel', 'e.channel_id');
 
     let query = `
       SELECT e.*, c.name as channel_name, c.logo_url, cat.name as category_name
       FROM epg e
       LEFT JOIN channels c ON e.channel_id = c.id
       LEFT JOIN categories cat ON c.category_id = cat.id
-      WHERE 1=1
+      WHERE 1=1${access.sql}
     `;
-    const params = [];
+    const params = [...access.params];
 
     if (q) {
       query += ' AND (e.title LIKE ? OR e.description LIKE ?)';
@@ -198,9 +222,9 @@ router.get('/search', async (req, res) => {
       SELECT COUNT(*) as total
       FROM epg e
       LEFT JOIN channels c ON e.channel_id = c.id
-      WHERE 1=1
+      WHERE 1=1${access.sql}
     `;
-    const countParams = [];
+    const countParams = [...access.params];
 
     if (q) {
       countQuery += ' AND (e.title LIKE ? OR e.description LIKE ?)';
@@ -248,13 +272,15 @@ router.get('/search', async (req, res) => {
 // Get EPG categories
 router.get('/categories', async (req, res) => {
   try {
+    const access = bouquets.filter(req.user, 'channel', 'channel_id');
+
     const categories = await db.all(`
       SELECT DISTINCT category, COUNT(*) as program_count
       FROM epg 
-      WHERE category IS NOT NULL AND category != ''
+      WHERE category IS NOT NULL AND category != ''${access.sql}
       GROUP BY category
       ORDER BY program_count DESC
-    `);
+    `, access.params);
 
     res.json({
       success: true,
@@ -272,13 +298,15 @@ router.get('/categories', async (req, res) => {
 // Get EPG ratings
 router.get('/ratings', async (req, res) => {
   try {
+    const access = bouquets.filter(req.user, 'channel', 'channel_id');
+
     const ratings = await db.all(`
       SELECT DISTINCT rating, COUNT(*) as program_count
       FROM epg 
-      WHERE rating IS NOT NULL AND rating != ''
+      WHERE rating IS NOT NULL AND rating != ''${access.sql}
       GROUP BY rating
       ORDER BY program_count DESC
-    `);
+    `, access.params);
 
     res.json({
       success: true,
@@ -304,14 +332,16 @@ router.get('/range', async (req, res) => {
       });
     }
 
+    const access = bouquets.filter(req.user, 'channel', 'e.channel_id');
+
     let query = `
       SELECT e.*, c.name as channel_name, c.logo_url, cat.name as category_name
       FROM epg e
       LEFT JOIN channels c ON e.channel_id = c.id
       LEFT JOIN categories cat ON c.category_id = cat.id
-      WHERE e.start_time >= ? AND e.start_time <= ?
+      WHERE e.start_time >= ? AND e.start_time <= ?${access.sql}
     `;
-    const params = [start_date, end_date];
+    const params = [start_date, end_date, ...access.params];
 
     if (channel_ids) {
       const channelIds = channel_ids.split(',').map(id => parseInt(id.trim()));
@@ -0,0 +1,216 @@
+const express = require('express');
+const path = require('path');
+const fs = require('fs');
+const axios = require('axios');
+const db = require('../database/database');
+const { verify, isExpired, reissue } = require('../services/streamSigner');
+const { sendPlaylist } = require('../services/hlsProxy');
+const transcoder = require('../services/transcoder');
+const sessionTracker = require('../services/sessionTracker');
+const connectionMonitor = require('../services/connectionMonitor');
+const bouquets = require('../services/bouquets');
+const subscriptions = require('../services/subscriptions');
+const { isHlsResponse, rewritePlaylist } = require('../utils/hls');
+const { normalizeIp } = require('../utils/ip');
+
+const router = express.Router();
+
+// Verify a signed URL token with the same access control as the proxy:
+// same client IP, active and unexpired user and channel in the user's
+// bouquets, not blocked or cut off by an admin. Sends the error response and
+// resolves null when access is denied.
+const checkAccess = async (req, res) => {
+  const payload = verify(req.params.token, { ignoreExpiry: true });
+
+  if (!payload || (payload.ip && payload.ip !== normalizeIp(req.ip))) {
+    res.status(403).json({
+      error: 'Invalid or expired stream URL.'
+    });
+    return null;
+  }
+
+  // Players poll the same playlist URL for as long as they watch. Playlists
+  // list freshly signed URLs on every poll and a playlist polled with an
+  // expired token is redirected to a fresh one, so an expired token is only
+  // accepted for session_idle_timeout after it expires, while its session is open
+  const session = payload.l ? await sessionTracker.state(payload.l) : { open: false, killed: false };
+  const grace = await db.getSetting('session_idle_timeout', 60);
+
+  if (isExpired(payload) && (!session.open || isExpired(payload, grace))) {
+    res.status(403).json({
+      error: 'Invalid or expired stream URL.'
+    });
+    return null;
+  }
+
+  if (connectionMonitor.isBlocked(req.ip) || session.killed) {
+    res.status(403).json({
+      error: 'Access denied.'
+    });
+    return null;
+  }
+
+  const user = await db.get(
+    'SELECT id, role, status, expires_at FROM users WHERE id = ?',
+    [payload.u]
+  );
+
+  if (!user || user.status !== 'active' || await subscriptions.hasExpired(user)) {
+    res.status(403).json({
+      error: 'Access denied.'
+    });
+    return null;
+  }
+
+  const access = bouquets.filter(user, 'channel', 'id');
+  const channel = await db.get(
+    `SELECT id FROM channels WHERE id = ? AND status = ?${access.sql}`,
+    [payload.c, 'active', ...access.params]
+  );
+
+  if (!channel) {
+    res.status(404).json({
+      error: 'Stream not found.'
+    });
+    return null;
+  }
+
+  return payload;
+};
+
+// Transcoder HLS output (playlist and segments)
+router.get('/out/:token/:name', async (req, res) => {
+  try {
+    const payload = await checkAccess(req, res);
+    if (!payload) {
+      return;
+    }
+
+    const file = payload.j && transcoder.getFile(payload.j, req.params.name);
+    if (!file) {
+      return res.status(404).json({
+        error: 'Stream not found.'
+      });
+    }
+
+    const isPlaylist = file.endsWith('.m3u8');
+    if (isPlaylist && isExpired(payload)) {
+      return res.redirect(`/hls/out/${await reissue(payload)}/${req.params.name}`);
+    }
+
+    sessionTracker.touch(payload.l, res);
+
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    if (isPlaylist) {
+      // Segments and variants get their own fresh token instead of the polled one
+      let body;
+      try {
+        body = await fs.promises.readFile(file, 'utf8');
+      } catch (error) {
+        return res.status(404).json({
+          error: 'Stream not found.'
+        });
+      }
+
+      const token = await reissue(payload);
+      res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
+      res.setHeader('Cache-Control', 'no-cache');
+      return res.send(rewritePlaylist(body, 'http://out/', url => `/hls/out/${token}/${path.basename(new URL(url).pathname)}`));
+    }
+
+    res.setHeader('Content-Type', 'video/mp2t');
+
+    // Segments rotate out of the playlist and get deleted
+    res.sendFile(file, (error) => {
+      if (error && !res.headersSent) {
+        res.status(404).json({
+          error: 'Stream not found.'
+        });
+      }
+    });
+
+  } catch (error) {
+    console.error('HLS output error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        error: 'Internal server error.'
+      });
+    }
+  }
+});
+
+// Signed HLS variant playlists, segments, keys and init sections
+router.get('/:token/:name', async (req, res) => {
+  try {
+    const payload = await checkAccess(req, res);
+    if (!payload) {
+      return;
+    }
+
+    if (!payload.url) {
+      return res.status(404).json({
+        error: 'Stream not found.'
+      });
+    }
+
+    if (/\.m3u8?$/i.test(req.params.name) && isExpired(payload)) {
+      return res.redirect(`/hls/${await reissue(payload)}/${req.params.name}`);
+    }
+
+    sessionTracker.touch(payload.l, res);
+    res.setHeader('Access-Control-Allow-Origin', '*');
+
+    let response;
+    try {
+      response = await axios({
+        method: 'GET',
+        url: payload.url,
+        responseType: 'stream',
+        headers: {
+          'User-Agent': req.get('User-Agent') || 'IPTV-Panel/1.0',
+          'Range': req.headers.range || undefined
+        },
+        timeout: 30000
+      });
+    } catch (proxyError) {
+      console.error('HLS proxy error:', proxyError.message);
+      return res.status(502).json({
+        error: 'Failed to proxy stream.'
+      });
+    }
+
+    if (isHlsResponse(response.headers['content-type'], payload.url)) {
+      return sendPlaylist(res, response, {
+        userId: payload.u,
+        channelId: payload.c,
+        logId: payload.l,
+        ip: payload.ip
+      }, payload.url);
+    }
+
+    for (const header of ['content-type', 'content-length', 'accept-ranges', 'content-range']) {
+      if (response.headers[header]) {
+        res.setHeader(header, response.headers[header]);
+      }
+    }
+
+    res.status(response.status);
+    response.data.pipe(res);
+
+    response.data.on('error', (error) => {
+      console.error('HLS segment error:', error.message);
+      res.end();
+    });
+    req.on('close', () => response.data.destroy());
+
+  } catch (error) {
+    console.error('HLS segment error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        error: 'Internal server error.'
+      });
+    }
+  }
+});
+
+module.exports = router;
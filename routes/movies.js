@@ -0,0 +1,196 @@
+const express = require('express');
+const path = require('path');
+const db = require('../database/database');
+const { streamRateLimit } = require('../middleware/auth');
+const movieLibrary = require('../services/movieLibrary');
+const mediaLibrary = require('../services/mediaLibrary');
+const serverPool = require('../services/serverPool');
+const bouquets = require('../services/bouquets');
+const watchProgress = require('../services/watchProgress');
+const { sign, tokenTtl } = require('../services/streamSigner');
+const { normalizeIp } = require('../utils/ip');
+
+const router = express.Router();
+
+// Where a movie is stored stays on the server
+const publicMovie = ({ source_url, file_path, ...movie }) => movie;
+const publicTrack = ({ file_path, ...track }) => ({ ...track, external: Boolean(file_path) });
+
+// Browse the movie library
+router.get('/', async (req, res) => {
+  try {
+    const { search, category_id, genre, year } = req.query;
+    const { page = 1, limit = 50 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const access = bouquets.filter(req.user, 'movie', 'm.id');
+
+    let where = `WHERE m.status = 'active'${access.sql}`;
+    const params = [...access.params];
+
+    if (search) {
+      where += ' AND (m.title LIKE ? OR m.actors LIKE ? OR m.director LIKE ?)';
+      params.push(`%${search}%`, `%${search}%`, `%${search}%`);
+    }
+
+    if (category_id) {
+      where += ' AND m.category_id = ?';
+      params.push(category_id);
+    }
+
+    if (genre) {
+      where += ' AND m.genre LIKE ?';
+      params.push(`%${genre}%`);
+    }
+
+    if (year) {
+      where += ' AND m.year = ?';
+      params.push(parseInt(year));
+    }
+
+    const movies = await db.all(`
+      SELECT m.*, cat.name as category_name
+      FROM movies m
+      LEFT JOIN categories cat ON m.category_id = cat.id
+      ${where}
+      ORDER BY m.title
+      LIMIT ? OFFSET ?
+    `, [...params, parseInt(limit), offset]);
+
+    const countResult = await db.get(`SELECT COUNT(*) as total FROM movies m ${where}`, params);
+
+    res.json({
+      success: true,
+      data: movies.map(publicMovie),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: countResult.total,
+        pages: Math.ceil(countResult.total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get movies error:', error);
+    res.status(500).json({
+      error: 'Internal server error.'
+    });
+  }
+});
+
+// Movie details with its audio and subtitle tracks
+router.get('/:movieId', async (req, res) => {
+  try {
+    const movie = await movieLibrary.get(req.params.movieId, { activeOnly: true });
+
+    if (!movie || !(await bouquets.allows(req.user, 'movie', movie.id))) {
+      return res.status(404).json({
+        error: 'Movie not found.'
+      });
+    }
+
+    const tracks = await movieLibrary.getTracks(movie.id);
+
+    res.json({
+      success: true,
+      data: {
+        ...publicMovie(movie),
+        tracks: tracks.map(publicTrack)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get movie error:', error);
+    res.status(500).json({
+      error: 'Internal server error.'
+    });
+  }
+});
+
+// Start playback: a signed stream URL that supports seeking
+router.get('/:movieId/play', streamRateLimit, async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const movie = await movieLibrary.get(req.params.movieId, { activeOnly: true });
+    if (!movie || !(await bouquets.allows(req.user, 'movie', movie.id))) {
+      return res.status(404).json({
+        error: 'Movie not found.'
+      });
+    }
+
+    // Movies have no server assignments of their own; the user's still apply
+    const server = await serverPool.pick(userId, {});
+
+    const logResult = await db.run(
+      'INSERT INTO stream_logs (user_id, movie_id, stream_url, ip_address, user_agent, server_id) VALUES (?, ?, ?, ?, ?, ?)',
+      [userId, movie.id, movie.source_url || movie.file_path, req.ip, req.get('User-Agent'), server ? server.id : null]
+    );
+
+    const ttl = await tokenTtl();
+    const token = sign({
+      k: 'proxy',
+      u: userId,
+      m: movie.id,
+      l: logResult.id,
+      ip: normalizeIp(req.ip)
+    }, ttl);
+
+    const streamPath = `/stream/${token}/movie.${mediaLibrary.extension(movie)}`;
+
+    res.json({
+      success: true,
+      data: {
+        stream_url: server ? serverPool.url(server, streamPath) : streamPath,
+        expires_in: ttl,
+        title: movie.title,
+        duration: movie.duration,
+        resume_position: await watchProgress.resumePosition(userId, 'movie', movie.id),
+        server: server ? server.name : null,
+        log_id: logResult.id
+      }
+    });
+
+  } catch (error) {
+    console.error('Start movie error:', error);
+    res.status(500).json({
+      error: 'Internal server error.'
+    });
+  }
+});
+
+// Download a subtitle file that sits next to the movie
+router.get('/:movieId/subtitles/:trackId', async (req, res) => {
+  try {
+    const access = bouquets.filter(req.user, 'movie', 'm.id');
+
+    const track = await db.get(`
+      SELECT t.file_path
+      FROM movie_tracks t
+      INNER JOIN movies m ON t.movie_id = m.id
+      WHERE t.id = ? AND t.movie_id = ? AND t.kind = 'subtitle' AND m.status = 'active'${access.sql}
+    `, [req.params.trackId, req.params.movieId, ...access.params]);
+
+    if (!track || !track.file_path) {
+      return res.status(404).json({
+        error: 'Subtitle not found.'
+      });
+    }
+
+    res.sendFile(path.resolve(track.file_path), (error) => {
+      if (error && !res.headersSent) {
+        res.status(404).json({
+          error: 'Subtitle not found.'
+        });
+      }
+    });
+
+  } catch (error) {
+    console.error('Get subtitle error:', error);
+    res.status(500).json({
+      error: 'Internal server error.'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,162 @@
+const express = require('express');
+const db = require('../database/database');
+const { streamRateLimit } = require('../middleware/auth');
+const { proxyStream } = require('../services/streamProxy');
+const { verify, isExpired } = require('../services/streamSigner');
+const connectionMonitor = require('../services/connectionMonitor');
+const transcoder = require('../services/transcoder');
+const sessionTracker = require('../services/sessionTracker');
+const movieLibrary = require('../services/movieLibrary');
+const seriesLibrary = require('../services/seriesLibrary');
+const mediaLibrary = require('../services/mediaLibrary');
+const bouquets = require('../services/bouquets');
+const subscriptions = require('../services/subscriptions');
+const { normalizeIp } = require('../utils/ip');
+
+const router = express.Router();
+
+// Stream URLs handed out by /api/streams/:streamId/play, /api/movies/:movieId/play
+// and the episode /play. They carry a short-lived signed token instead of the
+// session JWT, bound to the user, channel, movie (m) or episode (ep) and client IP.
+const streamTokenAuth = async (req, res, next) => {
+  try {
+    const payload = verify(req.params.token, { ignoreExpiry: true });
+
+    if (!payload || payload.k !== 'proxy' || payload.ip !== normalizeIp(req.ip)) {
+      return res.status(403).json({
+        error: 'Invalid or expired stream URL.'
+      });
+    }
+
+    // Players seek in a movie or episode by requesting its URL again, so
+    // those URLs keep working while their session is open
+    const session = payload.l ? await sessionTracker.state(payload.l) : { open: false, killed: false };
+    if (isExpired(payload) && !((payload.m || payload.ep) && session.open)) {
+      return res.status(403).json({
+        error: 'Invalid or expired stream URL.'
+      });
+    }
+
+    if (session.killed || connectionMonitor.isBlocked(req.ip)) {
+      return res.status(403).json({
+        error: 'Access denied.'
+      });
+    }
+
+    const user = await db.get(
+      'SELECT id, username, email, role, status, max_connections, expires_at FROM users WHERE id = ? AND status = ?',
+      [payload.u, 'active']
+    );
+
+    if (!user || await subscriptions.hasExpired(user)) {
+      return res.status(403).json({
+        error: 'Access denied.'
+      });
+    }
+
+    req.user = user;
+    req.streamToken = payload;
+    req.streamLogId = payload.l;
+
+    next();
+  } catch (error) {
+    console.error('Stream token auth error:', error);
+    res.status(500).json({
+      error: 'Internal server error.'
+    });
+  }
+};
+
+// Movies and episodes are played from their file or source with Range
+// support; every range request continues the session opened by /play
+const playVod = async (req, res) => {
+  const { m: movieId, ep: episodeId, l: tokenLogId } = req.streamToken;
+  const userId = req.user.id;
+
+  const item = movieId
+    ? await movieLibrary.get(movieId, { activeOnly: true })
+    : await seriesLibrary.getEpisode(episodeId, { activeOnly: true });
+
+  const entitled = item && (movieId
+    ? await bouquets.allows(req.user, 'movie', item.id)
+    : await bouquets.allows(req.user, 'series', item.series_id));
+
+  if (!entitled) {
+    return res.status(404).json({
+      error: 'Stream not found.'
+    });
+  }
+
+  const log = await db.get(
+    'SELECT id FROM stream_logs WHERE id = ? AND user_id = ? AND end_time IS NULL',
+    [tokenLogId, userId]
+  );
+
+  const logId = log ? log.id : (await db.run(
+    `INSERT INTO stream_logs (user_id, ${movieId ? 'movie_id' : 'episode_id'}, stream_url, ip_address, user_agent) VALUES (?, ?, ?, ?, ?)`,
+    [userId, item.id, item.source_url || item.file_path, req.ip, req.get('User-Agent')]
+  )).id;
+
+  await mediaLibrary.play(req, res, item, logId);
+};
+
+// Stream proxy endpoint; the name is only there for players that sniff extensions
+router.get('/:token/:name?', streamTokenAuth, streamRateLimit, async (req, res) => {
+  try {
+    if (req.streamToken.m || req.streamToken.ep) {
+      return await playVod(req, res);
+    }
+
+    const { c: channelId, l: tokenLogId, p: requestedProfile } = req.streamToken;
+    const userId = req.user.id;
+
+    // Get stream details; a bouquet change takes effect on the next request
+    const access = bouquets.filter(req.user, 'channel', 'id');
+    const stream = await db.get(
+      `SELECT * FROM channels WHERE id = ? AND status = ?${access.sql}`,
+      [channelId, 'active', ...access.params]
+    );
+
+    if (!stream) {
+      return res.status(404).json({
+        error: 'Stream not found.'
+      });
+    }
+
+    // An explicit profile from /play overrides the channel's; 0 plays the original
+    const profileId = requestedProfile === undefined ? stream.transcode_profile_id : requestedProfile;
+    const profile = profileId ? await transcoder.getProfile(profileId) : null;
+
+    if (profileId && !profile) {
+      return res.status(404).json({
+        error: 'Transcode profile not found.'
+      });
+    }
+
+    // Continue the session opened by /play; reconnects after it ended get a new one
+    const log = await db.get(
+      'SELECT id FROM stream_logs WHERE id = ? AND user_id = ? AND end_time IS NULL',
+      [tokenLogId, userId]
+    );
+
+    const logId = log ? log.id : (await db.run(
+      'INSERT INTO stream_logs (user_id, channel_id, stream_url, ip_address, user_agent) VALUES (?, ?, ?, ?, ?)',
+      [userId, stream.id, stream.stream_url, req.ip, req.get('User-Agent')]
+    )).id;
+
+    // The bitrate ladder is the default for ABR channels unless a profile was asked for
+    const abr = !profile && stream.abr_enabled && requestedProfile === undefined;
+
+    await proxyStream(req, res, stream, logId, { profile, abr });
+
+  } catch (error) {
+    console.error('Stream proxy error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        error: 'Internal server error.'
+      });
+    }
+  }
+});
+
+module.exports = router;
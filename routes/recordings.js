@@ -0,0 +1,251 @@
+const express = require('express');
+const db = require('../database/database');
+const { streamRateLimit } = require('../middleware/auth');
+const dvr = require('../services/dvr');
+const bouquets = require('../services/bouquets');
+const { toDate, toSqlDate } = require('../utils/time');
+
+const router = express.Router();
+
+const MAX_RECORDING_HOURS = 12;
+
+const MB = 1024 * 1024;
+
+const getRecording = (id, userId) => db.get(
+  'SELECT * FROM recordings WHERE id = ? AND user_id = ?',
+  [id, userId]
+);
+
+// List the user's recordings with their storage usage
+router.get('/', async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { status } = req.query;
+
+    let query = `
+      SELECT r.*, c.name as channel_name
+      FROM recordings r
+      LEFT JOIN channels c ON r.channel_id = c.id
+      WHERE r.user_id = ?
+    `;
+    const params = [userId];
+
+    if (status) {
+      query += ' AND r.status = ?';
+      params.push(status);
+    }
+
+    query += ' ORDER BY r.start_time DESC';
+
+    const recordings = await db.all(query, params);
+
+    res.json({
+      success: true,
+      data: {
+        recordings,
+        used_mb: Math.round(await dvr.getUsage(userId) / MB),
+        quota_mb: Math.round(await dvr.getQuota(userId) / MB)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get recordings error:', error);
+    res.status(500).json({
+      error: 'Internal server error.'
+    });
+  }
+});
+
+// Schedule a recording from a guide programme (epg_id) or a manual channel and time window
+router.post('/', async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { epg_id } = req.body;
+    let { channel_id, start_time, end_time, title } = req.body;
+
+    if (epg_id) {
+      const programme = await db.get('SELECT * FROM epg WHERE id = ?', [epg_id]);
+      if (!programme) {
+        return res.status(404).json({
+          error: 'Programme not found.'
+        });
+      }
+
+      ({ channel_id, start_time, end_time, title } = programme);
+    }
+
+    if (!channel_id || !start_time || !end_time) {
+      return res.status(400).json({
+        error: 'A programme or a channel, start time and end time are required.'
+      });
+    }
+
+    const access = bouquets.filter(req.user, 'channel', 'id');
+    const channel = await db.get(
+      `SELECT id, name FROM channels WHERE id = ? AND stream_type = ? AND status = ?${access.sql}`,
+      [channel_id, 'live', 'active', ...access.params]
+    );
+
+    if (!channel) {
+      return res.status(404).json({
+        error: 'Channel not found.'
+      });
+    }
+
+    const start = toDate(start_time);
+    const end = toDate(end_time);
+
+    if (!start || !end || end <= start) {
+      return res.status(400).json({
+        error: 'Invalid start or end time.'
+      });
+    }
+
+    if (end <= new Date()) {
+      return res.status(400).json({
+        error: 'This programme has already ended.'
+      });
+    }
+
+    if (end - start > MAX_RECORDING_HOURS * 60 * 60 * 1000) {
+      return res.status(400).json({
+        error: `Recordings can be at most ${MAX_RECORDING_HOURS} hours long.`
+      });
+    }
+
+    const duplicate = await db.get(
+      `SELECT id FROM recordings
+       WHERE user_id = ? AND channel_id = ? AND start_time = ? AND end_time = ? AND status IN ('scheduled', 'recording')`,
+      [userId, channel.id, toSqlDate(start), toSqlDate(end)]
+    );
+
+    if (duplicate) {
+      return res.status(409).json({
+        error: 'This recording is already scheduled.'
+      });
+    }
+
+    if (await dvr.isOverQuota(userId)) {
+      return res.status(403).json({
+        error: 'Recording quota exceeded.'
+      });
+    }
+
+    const result = await db.run(
+      `INSERT INTO recordings (user_id, channel_id, epg_id, title, start_time, end_time, padding_before, padding_after)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        userId,
+        channel.id,
+        epg_id || null,
+        title || channel.name,
+        toSqlDate(start),
+        toSqlDate(end),
+        await db.getSetting('recording_padding_before', 60),
+        await db.getSetting('recording_padding_after', 300)
+      ]
+    );
+
+    // Programmes already on air start recording right away
+    dvr.tick().catch(error => console.error('Recording schedule error:', error));
+
+    res.status(201).json({
+      success: true,
+      data: await db.get('SELECT * FROM recordings WHERE id = ?', [result.id])
+    });
+
+  } catch (error) {
+    console.error('Create recording error:', error);
+    res.status(500).json({
+      error: 'Internal server error.'
+    });
+  }
+});
+
+// Get a single recording
+router.get('/:id', async (req, res) => {
+  try {
+    const recording = await getRecording(req.params.id, req.user.id);
+
+    if (!recording) {
+      return res.status(404).json({
+        error: 'Recording not found.'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: recording
+    });
+
+  } catch (error) {
+    console.error('Get recording error:', error);
+    res.status(500).json({
+      error: 'Internal server error.'
+    });
+  }
+});
+
+// Cancel a scheduled or running recording, or delete a finished one
+router.delete('/:id', async (req, res) => {
+  try {
+    const recording = await getRecording(req.params.id, req.user.id);
+
+    if (!recording) {
+      return res.status(404).json({
+        error: 'Recording not found.'
+      });
+    }
+
+    await dvr.remove(recording);
+
+    res.json({
+      success: true,
+      message: 'Recording deleted successfully.'
+    });
+
+  } catch (error) {
+    console.error('Delete recording error:', error);
+    res.status(500).json({
+      error: 'Internal server error.'
+    });
+  }
+});
+
+const findSession = async (req, res, next) => {
+  try {
+    req.streamLogId = await dvr.findSession(req.user.id, req.params.id, req.ip);
+    next();
+  } catch (error) {
+    console.error('Recording session error:', error);
+    res.status(500).json({
+      error: 'Internal server error.'
+    });
+  }
+};
+
+// Play a recording; one still being recorded plays what has been captured so far.
+// It counts towards max_connections like any other stream.
+router.get('/:id/stream', findSession, streamRateLimit, async (req, res) => {
+  try {
+    const recording = await getRecording(req.params.id, req.user.id);
+
+    if (!recording || !recording.file_path || !['recording', 'completed'].includes(recording.status)) {
+      return res.status(404).json({
+        error: 'Recording not found.'
+      });
+    }
+
+    await dvr.play(req, res, recording, req.streamLogId);
+
+  } catch (error) {
+    console.error('Stream recording error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        error: 'Internal server error.'
+      });
+    }
+  }
+});
+
+module.exports = router;
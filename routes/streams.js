@@ -1,23 +1,38 @@
 const express = require('express');
-const axios = require('axios');
 const db = require('../database/database');
 const { streamRateLimit } = require('../middleware/auth');
+const transcoder = require('../services/transcoder');
+const sessionTracker = require('../services/sessionTracker');
+const serverPool = require('../services/serverPool');
+const bouquets = require('../services/bouquets');
+const { sign, tokenTtl } = require('../services/streamSigner');
+const { isHlsUrl } = require('../utils/hls');
+const { normalizeIp } = require('../utils/ip');
 
 const router = express.Router();
 
+// ?profile= overrides the channel's transcode profile; profile=0 plays the original.
+// The choice travels to the proxy inside the stream token.
+const requestedProfileId = (req, stream) => {
+  if (req.query.profile === undefined) {
+    return stream.transcode_profile_id;
+  }
+  return parseInt(req.query.profile) || null;
+};
+
 // Get available streams for user
 router.get('/', async (req, res) => {
   try {
     const { category_id, stream_type, quality, language, country } = req.query;
-    const userId = req.user.id;
+    const access = bouquets.filter(req.user, 'channel', 'c.id');
 
     let query = `
       SELECT c.*, cat.name as category_name 
       FROM channels c 
       LEFT JOIN categories cat ON c.category_id = cat.id 
-      WHERE c.status = 'active'
+      WHERE c.status = 'active'${access.sql}
     `;
-    const params = [];
+    const params = [...access.params];
 
     if (category_id) {
       query += ' AND c.category_id = ?';
@@ -44,7 +59,10 @@ router.get('/', async (req, res) => {
       params.push(country);
     }
 
-    query += ' ORDER BY cat.sort_order, c.name';
+    // In the order of the user's bouquets
+    const order = bouquets.order(req.user, 'channel', 'c.id');
+    query += ` ORDER BY ${order.sql}cat.sort_order, c.name`;
+    params.push(...order.params);
 
     const streams = await db.all(query, params);
 
@@ -65,14 +83,14 @@ router.get('/', async (req, res) => {
 router.get('/:streamId', async (req, res) => {
   try {
     const { streamId } = req.params;
-    const userId = req.user.id;
+    const access = bouquets.filter(req.user, 'channel', 'c.id');
 
     const stream = await db.get(`
       SELECT c.*, cat.name as category_name 
       FROM channels c 
       LEFT JOIN categories cat ON c.category_id = cat.id 
-      WHERE c.id = ? AND c.status = 'active'
-    `, [streamId]);
+      WHERE c.id = ? AND c.status = 'active'${access.sql}
+    `, [streamId, ...access.params]);
 
     if (!stream) {
       return res.status(404).json({
@@ -101,10 +119,11 @@ router.get('/:streamId/play', streamRateLimit, async (req, res) => {
     const userAgent = req.get('User-Agent');
     const ipAddress = req.ip;
 
-    // Get stream details
+    // Get stream details; channels outside the user's bouquets do not exist for them
+    const access = bouquets.filter(req.user, 'channel', 'id');
     const stream = await db.get(
-      'SELECT * FROM channels WHERE id = ? AND status = ?',
-      [streamId, 'active']
+      `SELECT * FROM channels WHERE id = ? AND status = ?${access.sql}`,
+      [streamId, 'active', ...access.params]
     );
 
     if (!stream) {
@@ -113,24 +132,55 @@ router.get('/:streamId/play', streamRateLimit, async (req, res) => {
       });
     }
 
+    const profileId = requestedProfileId(req, stream);
+    const profile = profileId ? await transcoder.getProfile(profileId) : null;
+
+    if (profileId && !profile) {
+      return res.status(404).json({
+        error: 'Transcode profile not found.'
+      });
+    }
+
+    // The least-loaded edge server plays it, or the panel when there is none
+    const server = await serverPool.pick(userId, stream);
+
     // Log stream start
     const logResult = await db.run(
-      'INSERT INTO stream_logs (user_id, channel_id, stream_url, ip_address, user_agent) VALUES (?, ?, ?, ?, ?)',
-      [userId, streamId, stream.stream_url, ipAddress, userAgent]
+      'INSERT INTO stream_logs (user_id, channel_id, stream_url, ip_address, user_agent, server_id) VALUES (?, ?, ?, ?, ?, ?)',
+      [userId, streamId, stream.stream_url, ipAddress, userAgent, server ? server.id : null]
     );
 
     const logId = logResult.id;
 
-    // Create proxy URL
-    const proxyUrl = `/api/streams/${streamId}/proxy?log_id=${logId}`;
+    // Short-lived proxy URL bound to this user, channel, session and IP,
+    // so it is useless to anyone it leaks to
+    const ttl = await tokenTtl();
+    const token = sign({
+      k: 'proxy',
+      u: userId,
+      c: stream.id,
+      l: logId,
+      ip: normalizeIp(ipAddress),
+      p: req.query.profile !== undefined ? (profile ? profile.id : 0) : undefined
+    }, ttl);
+
+    // The name only helps players guess the format
+    const name = stream.abr_enabled || isHlsUrl(stream.stream_url) || (profile && profile.output_format === 'hls')
+      ? 'index.m3u8'
+      : 'stream.ts';
+
+    const streamPath = `/stream/${token}/${name}`;
 
     res.json({
       success: true,
       data: {
-        stream_url: proxyUrl,
+        stream_url: server ? serverPool.url(server, streamPath) : streamPath,
+        expires_in: ttl,
         original_url: stream.stream_url,
         name: stream.name,
         quality: stream.quality,
+        transcode_profile: profile ? profile.name : null,
+        server: server ? server.name : null,
         log_id: logId
       }
     });
@@ -143,112 +193,6 @@ router.get('/:streamId/play', streamRateLimit, async (req, res) => {
   }
 });
 
-// Stream proxy endpoint
-router.get('/:streamId/proxy', streamRateLimit, async (req, res) => {
-  try {
-    const { streamId } = req.params;
-    const { log_id } = req.query;
-    const userId = req.user.id;
-
-    // Get stream details
-    const stream = await db.get(
-      'SELECT * FROM channels WHERE id = ? AND status = ?',
-      [streamId, 'active']
-    );
-
-    if (!stream) {
-      return res.status(404).json({
-        error: 'Stream not found.'
-      });
-    }
-
-    // Update log with start time
-    if (log_id) {
-      await db.run(
-        'UPDATE stream_logs SET start_time = ? WHERE id = ? AND user_id = ?',
-        [new Date(), log_id, userId]
-      );
-    }
-
-    // Set headers for streaming
-    res.setHeader('Content-Type', 'video/mp2t');
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Range');
-
-    // Handle range requests
-    const range = req.headers.range;
-    if (range) {
-      res.setHeader('Accept-Ranges', 'bytes');
-    }
-
-    // Proxy the stream
-    try {
-      const response = await axios({
-        method: 'GET',
-        url: stream.stream_url,
-        responseType: 'stream',
-        headers: {
-          'User-Agent': req.get('User-Agent') || 'IPTV-Panel/1.0',
-          'Range': range || undefined
-        },
-        timeout: 30000
-      });
-
-      // Forward headers
-      if (response.headers['content-type']) {
-        res.setHeader('Content-Type', response.headers['content-type']);
-      }
-      if (response.headers['content-length']) {
-        res.setHeader('Content-Length', response.headers['content-length']);
-      }
-      if (response.headers['accept-ranges']) {
-        res.setHeader('Accept-Ranges', response.headers['accept-ranges']);
-      }
-      if (response.headers['content-range']) {
-        res.setHeader('Content-Range', response.headers['content-range']);
-      }
-
-      // Pipe the stream
-      response.data.pipe(res);
-
-      // Handle stream end
-      response.data.on('end', async () => {
-        if (log_id) {
-          await db.run(
-            'UPDATE stream_logs SET end_time = ?, duration = ? WHERE id = ?',
-            [new Date(), Math.floor((new Date() - new Date()) / 1000), log_id]
-          );
-        }
-      });
-
-      // Handle stream error
-      response.data.on('error', async (error) => {
-        console.error('Stream proxy error:', error);
-        if (log_id) {
-          await db.run(
-            'UPDATE stream_logs SET end_time = ? WHERE id = ?',
-            [new Date(), log_id]
-          );
-        }
-        res.end();
-      });
-
-    } catch (proxyError) {
-      console.error('Proxy error:', proxyError);
-      res.status(502).json({
-        error: 'Failed to proxy stream.'
-      });
-    }
-
-  } catch (error) {
-    console.error('Stream proxy error:', error);
-    res.status(500).json({
-      error: 'Internal server error.'
-    });
-  }
-});
-
 // Stop stream
 router.post('/:streamId/stop', async (req, res) => {
   try {
@@ -256,11 +200,13 @@ router.post('/:streamId/stop', async (req, res) => {
     const { log_id } = req.body;
     const userId = req.user.id;
 
-    if (log_id) {
-      await db.run(
-        'UPDATE stream_logs SET end_time = ?, duration = ? WHERE id = ? AND user_id = ?',
-        [new Date(), Math.floor((new Date() - new Date()) / 1000), log_id, userId]
-      );
+    const log = log_id && await db.get(
+      'SELECT id FROM stream_logs WHERE id = ? AND user_id = ?',
+      [log_id, userId]
+    );
+
+    if (log) {
+      await sessionTracker.end(log.id, 0, new Date(), 'stopped');
     }
 
     res.json({
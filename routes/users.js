@@ -1,5 +1,8 @@
 const express = require('express');
 const db = require('../database/database');
+const watchProgress = require('../services/watchProgress');
+const bouquets = require('../services/bouquets');
+const { toSqlDate } = require('../utils/time');
 
 const router = express.Router();
 
@@ -9,7 +12,11 @@ router.get('/profile', async (req, res) => {
     const userId = req.user.id;
 
     const user = await db.get(
-      'SELECT id, username, email, role, status, max_connections, created_at, expires_at, last_login FROM users WHERE id = ?',
+      `SELECT u.id, u.username, u.email, u.role, u.status, u.max_connections, u.created_at, u.expires_at, u.last_login,
+              u.plan_id, p.name as plan_name, u.grace_started_at
+       FROM users u
+       LEFT JOIN plans p ON u.plan_id = p.id
+       WHERE u.id = ?`,
       [userId]
     );
 
@@ -78,10 +85,16 @@ router.get('/history', async (req, res) => {
     const offset = (page - 1) * limit;
 
     const history = await db.all(`
-      SELECT sl.*, c.name as channel_name, c.logo_url, cat.name as category_name
+      SELECT sl.*, c.name as channel_name, c.logo_url, cat.name as category_name,
+             m.title as movie_title, e.title as episode_title, e.episode_number,
+             se.season_number, sr.id as series_id, sr.title as series_title
       FROM stream_logs sl
       LEFT JOIN channels c ON sl.channel_id = c.id
       LEFT JOIN categories cat ON c.category_id = cat.id
+      LEFT JOIN movies m ON sl.movie_id = m.id
+      LEFT JOIN episodes e ON sl.episode_id = e.id
+      LEFT JOIN seasons se ON e.season_id = se.id
+      LEFT JOIN series sr ON e.series_id = sr.id
       WHERE sl.user_id = ? AND sl.end_time IS NOT NULL
       ORDER BY sl.start_time DESC
       LIMIT ? OFFSET ?
@@ -112,19 +125,121 @@ router.get('/history', async (req, res) => {
   }
 });
 
+// Movies and episodes the user started and has not finished
+router.get('/continue-watching', async (req, res) => {
+  try {
+    const { limit = 20 } = req.query;
+
+    res.json({
+      success: true,
+      data: await watchProgress.continueWatching(req.user, parseInt(limit))
+    });
+
+  } catch (error) {
+    console.error('Get continue watching error:', error);
+    res.status(500).json({
+      error: 'Internal server error.'
+    });
+  }
+});
+
+// Movies and episodes the user has finished
+router.get('/watched', async (req, res) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const { items, total } = await watchProgress.watched(req.user, { limit: parseInt(limit), offset });
+
+    res.json({
+      success: true,
+      data: items,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get watched error:', error);
+    res.status(500).json({
+      error: 'Internal server error.'
+    });
+  }
+});
+
+// Players report the playback position every so often, in seconds
+router.post('/progress', async (req, res) => {
+  try {
+    const { type, id, position, duration, completed } = req.body;
+
+    const invalid = watchProgress.validate(type, position);
+    if (invalid) {
+      return res.status(400).json({
+        error: invalid
+      });
+    }
+
+    const item = await watchProgress.findItem(req.user, type, id);
+    if (!item) {
+      return res.status(404).json({
+        error: type === 'movie' ? 'Movie not found.' : 'Episode not found.'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await watchProgress.save(req.user.id, type, item, { position, duration, completed })
+    });
+
+  } catch (error) {
+    console.error('Save progress error:', error);
+    res.status(500).json({
+      error: 'Internal server error.'
+    });
+  }
+});
+
+// Forget the position, e.g. to drop an item from "continue watching"
+router.delete('/progress/:type(movie|episode)/:id', async (req, res) => {
+  try {
+    const removed = await watchProgress.remove(req.user.id, req.params.type, req.params.id);
+
+    if (!removed) {
+      return res.status(404).json({
+        error: 'No progress saved for this item.'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Progress removed.'
+    });
+
+  } catch (error) {
+    console.error('Remove progress error:', error);
+    res.status(500).json({
+      error: 'Internal server error.'
+    });
+  }
+});
+
 // Get user's favorite channels
 router.get('/favorites', async (req, res) => {
   try {
     const userId = req.user.id;
+    const access = bouquets.filter(req.user, 'channel', 'c.id');
 
     const favorites = await db.all(`
       SELECT c.*, cat.name as category_name
       FROM user_favorites uf
       LEFT JOIN channels c ON uf.channel_id = c.id
       LEFT JOIN categories cat ON c.category_id = cat.id
-      WHERE uf.user_id = ? AND c.status = 'active'
+      WHERE uf.user_id = ? AND c.status = 'active'${access.sql}
       ORDER BY uf.created_at DESC
-    `, [userId]);
+    `, [userId, ...access.params]);
 
     res.json({
       success: true,
@@ -146,9 +261,10 @@ router.post('/favorites/:channelId', async (req, res) => {
     const { channelId } = req.params;
 
     // Check if channel exists
+    const access = bouquets.filter(req.user, 'channel', 'id');
     const channel = await db.get(
-      'SELECT id FROM channels WHERE id = ? AND status = ?',
-      [channelId, 'active']
+      `SELECT id FROM channels WHERE id = ? AND status = ?${access.sql}`,
+      [channelId, 'active', ...access.params]
     );
 
     if (!channel) {
@@ -211,6 +327,72 @@ router.delete('/favorites/:channelId', async (req, res) => {
   }
 });
 
+// Subscription notices, newest first; ?unread=true for the unread ones only
+router.get('/notifications', async (req, res) => {
+  try {
+    const { page = 1, limit = 20, unread } = req.query;
+    const offset = (page - 1) * limit;
+    const condition = unread === 'true' ? ' AND read_at IS NULL' : '';
+
+    const notifications = await db.all(
+      `SELECT id, kind, days, expires_at, message, read_at, created_at
+       FROM notifications
+       WHERE user_id = ?${condition}
+       ORDER BY created_at DESC, id DESC
+       LIMIT ? OFFSET ?`,
+      [req.user.id, parseInt(limit), offset]
+    );
+
+    const { total } = await db.get(
+      `SELECT COUNT(*) as total FROM notifications WHERE user_id = ?${condition}`,
+      [req.user.id]
+    );
+
+    res.json({
+      success: true,
+      data: notifications,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({
+      error: 'Internal server error.'
+    });
+  }
+});
+
+router.put('/notifications/:id/read', async (req, res) => {
+  try {
+    const result = await db.run(
+      'UPDATE notifications SET read_at = COALESCE(read_at, ?) WHERE id = ? AND user_id = ?',
+      [toSqlDate(new Date()), req.params.id, req.user.id]
+    );
+
+    if (result.changes === 0) {
+      return res.status(404).json({
+        error: 'Notification not found.'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Notification marked as read.'
+    });
+
+  } catch (error) {
+    console.error('Mark notification error:', error);
+    res.status(500).json({
+      error: 'Internal server error.'
+    });
+  }
+});
+
 // Get user's stream statistics
 router.get('/stats', async (req, res) => {
   try {
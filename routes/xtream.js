@@ -0,0 +1,814 @@
+const express = require('express');
+const db = require('../database/database');
+const { xtreamAuth, streamRateLimit } = require('../middleware/auth');
+const { proxyStream } = require('../services/streamProxy');
+const { sendXmltv } = require('../services/xmltvExport');
+const transcoder = require('../services/transcoder');
+const archiver = require('../services/archiver');
+const dvr = require('../services/dvr');
+const sessionTracker = require('../services/sessionTracker');
+const serverPool = require('../services/serverPool');
+const movieLibrary = require('../services/movieLibrary');
+const seriesLibrary = require('../services/seriesLibrary');
+const mediaLibrary = require('../services/mediaLibrary');
+const bouquets = require('../services/bouquets');
+const { sign, tokenTtl } = require('../services/streamSigner');
+const { normalizeIp } = require('../utils/ip');
+const { toDate, toUnix, toSqlDate } = require('../utils/time');
+
+const router = express.Router();
+
+// Xtream Codes API compatibility layer (player_api.php and friends)
+
+// Xtream clients expect 'Y-m-d H:i:s'
+const formatXtreamDate = (value) => {
+  const date = toDate(value);
+  return date ? toSqlDate(date) : '';
+};
+
+const base64 = (value) => Buffer.from(value || '', 'utf8').toString('base64');
+
+const countActiveConnections = async (userId) => {
+  const result = await db.get(
+    'SELECT COUNT(*) as count FROM stream_logs WHERE user_id = ? AND end_time IS NULL',
+    [userId]
+  );
+  return result.count;
+};
+
+const buildAccountInfo = async (req) => {
+  const user = req.user;
+  const now = new Date();
+  const host = req.get('host') || '';
+  const port = host.includes(':') ? host.split(':').pop() : String(process.env.PORT || 80);
+  const siteName = await db.get(
+    'SELECT setting_value FROM settings WHERE setting_key = ?',
+    ['site_name']
+  );
+
+  return {
+    user_info: {
+      username: user.username,
+      password: req.xtreamPassword,
+      message: siteName ? siteName.setting_value : '',
+      auth: 1,
+      status: 'Active',
+      exp_date: user.expires_at ? String(toUnix(user.expires_at)) : null,
+      is_trial: '0',
+      active_cons: String(await countActiveConnections(user.id)),
+      created_at: String(toUnix(user.created_at) || ''),
+      max_connections: String(user.max_connections),
+      allowed_output_formats: ['m3u8', 'ts']
+    },
+    server_info: {
+      url: req.hostname,
+      port,
+      https_port: req.protocol === 'https' ? port : '',
+      server_protocol: req.protocol,
+      rtmp_port: '',
+      timezone: 'UTC',
+      timestamp_now: Math.floor(now.getTime() / 1000),
+      time_now: toSqlDate(now)
+    }
+  };
+};
+
+// Listings only hold what the user's bouquets have, in bouquet order
+const getCategories = async (user, streamType) => {
+  const access = bouquets.filter(user, 'channel', 'c.id');
+  const categories = await db.all(`
+    SELECT DISTINCT cat.id, cat.name, cat.parent_id, cat.sort_order
+    FROM categories cat
+    INNER JOIN channels c ON c.category_id = cat.id
+    WHERE c.status = 'active' AND c.stream_type = ?${access.sql}
+    ORDER BY cat.sort_order, cat.name
+  `, [streamType, ...access.params]);
+
+  return categories.map(category => ({
+    category_id: String(category.id),
+    category_name: category.name,
+    parent_id: category.parent_id || 0
+  }));
+};
+
+// Categories with active movies or series
+const getLibraryCategories = async (user, table, type) => {
+  const access = bouquets.filter(user, type, 'item.id');
+  const categories = await db.all(`
+    SELECT DISTINCT cat.id, cat.name, cat.parent_id, cat.sort_order
+    FROM categories cat
+    INNER JOIN ${table} item ON item.category_id = cat.id
+    WHERE item.status = 'active'${access.sql}
+    ORDER BY cat.sort_order, cat.name
+  `, access.params);
+
+  return categories.map(category => ({
+    category_id: String(category.id),
+    category_name: category.name,
+    parent_id: category.parent_id || 0
+  }));
+};
+
+const getMovies = async (user, categoryId) => {
+  const access = bouquets.filter(user, 'movie', 'm.id');
+  let query = `
+    SELECT m.*, cat.name as category_name
+    FROM movies m
+    LEFT JOIN categories cat ON m.category_id = cat.id
+    WHERE m.status = 'active'${access.sql}
+  `;
+  const params = [...access.params];
+
+  if (categoryId) {
+    query += ' AND m.category_id = ?';
+    params.push(categoryId);
+  }
+
+  const order = bouquets.order(user, 'movie', 'm.id');
+  query += ` ORDER BY ${order.sql}cat.sort_order, m.title`;
+  params.push(...order.params);
+
+  return db.all(query, params);
+};
+
+const getSeries = async (user, categoryId) => {
+  const access = bouquets.filter(user, 'series', 's.id');
+  let query = `
+    SELECT s.*, cat.name as category_name,
+           (SELECT MAX(e.updated_at) FROM episodes e WHERE e.series_id = s.id) as last_episode_update,
+           (SELECT AVG(e.duration) FROM episodes e WHERE e.series_id = s.id) as episode_run_time
+    FROM series s
+    LEFT JOIN categories cat ON s.category_id = cat.id
+    WHERE s.status = 'active'${access.sql}
+  `;
+  const params = [...access.params];
+
+  if (categoryId) {
+    query += ' AND s.category_id = ?';
+    params.push(categoryId);
+  }
+
+  const order = bouquets.order(user, 'series', 's.id');
+  query += ` ORDER BY ${order.sql}cat.sort_order, s.title`;
+  params.push(...order.params);
+
+  return db.all(query, params);
+};
+
+const getChannels = async (user, streamType, categoryId) => {
+  const access = bouquets.filter(user, 'channel', 'c.id');
+  let query = `
+    SELECT c.*, cat.name as category_name
+    FROM channels c
+    LEFT JOIN categories cat ON c.category_id = cat.id
+    WHERE c.status = 'active' AND c.stream_type = ?${access.sql}
+  `;
+  const params = [streamType, ...access.params];
+
+  if (categoryId) {
+    query += ' AND c.category_id = ?';
+    params.push(categoryId);
+  }
+
+  const order = bouquets.order(user, 'channel', 'c.id');
+  query += ` ORDER BY ${order.sql}cat.sort_order, c.name`;
+  params.push(...order.params);
+
+  return db.all(query, params);
+};
+
+const formatLiveStream = (channel, index) => ({
+  num: index + 1,
+  name: channel.name,
+  stream_type: 'live',
+  stream_id: channel.id,
+  stream_icon: channel.logo_url || '',
+  epg_channel_id: channel.epg_id || null,
+  added: String(toUnix(channel.created_at) || ''),
+  category_id: channel.category_id ? String(channel.category_id) : null,
+  custom_sid: '',
+  tv_archive: channel.tv_archive ? 1 : 0,
+  direct_source: '',
+  tv_archive_duration: channel.tv_archive ? channel.tv_archive_duration : 0
+});
+
+const formatVodStream = (movie, index) => ({
+  num: index + 1,
+  name: movie.title,
+  stream_type: 'movie',
+  stream_id: movie.id,
+  stream_icon: movie.poster_url || '',
+  rating: movie.rating ? String(movie.rating) : '',
+  rating_5based: movie.rating ? Math.round(movie.rating * 5) / 10 : 0,
+  added: String(toUnix(movie.created_at) || ''),
+  category_id: movie.category_id ? String(movie.category_id) : null,
+  container_extension: mediaLibrary.extension(movie),
+  custom_sid: '',
+  direct_source: ''
+});
+
+// Xtream durations are 'HH:MM:SS'
+const formatDuration = (seconds) => {
+  const total = Math.max(0, parseInt(seconds) || 0);
+  return [Math.floor(total / 3600), Math.floor(total / 60) % 60, total % 60]
+    .map(part => String(part).padStart(2, '0'))
+    .join(':');
+};
+
+const formatSeries = (series, index) => ({
+  num: index + 1,
+  name: series.title,
+  series_id: series.id,
+  cover: series.poster_url || '',
+  plot: series.plot || '',
+  cast: series.actors || '',
+  director: series.director || '',
+  genre: series.genre || series.category_name || '',
+  releaseDate: series.year ? String(series.year) : '',
+  last_modified: String(toUnix(series.last_episode_update || series.updated_at) || ''),
+  rating: series.rating ? String(series.rating) : '0',
+  rating_5based: series.rating ? Math.round(series.rating * 5) / 10 : 0,
+  backdrop_path: series.backdrop_url ? [series.backdrop_url] : [],
+  youtube_trailer: series.trailer || '',
+  episode_run_time: series.episode_run_time ? String(Math.round(series.episode_run_time / 60)) : '0',
+  category_id: series.category_id ? String(series.category_id) : null
+});
+
+// Video details the way Xtream info objects carry them
+const formatVideo = (item) => (item.video_codec
+  ? { codec_name: item.video_codec, width: parseInt(item.resolution) || 0, height: parseInt(String(item.resolution).split('x')[1]) || 0 }
+  : []);
+
+const formatEpisode = (episode) => ({
+  id: String(episode.id),
+  episode_num: episode.episode_number,
+  title: episode.title || `Episode ${episode.episode_number}`,
+  container_extension: mediaLibrary.extension(episode),
+  info: {
+    movie_image: episode.poster_url || '',
+    plot: episode.plot || '',
+    releasedate: episode.air_date || '',
+    rating: episode.rating ? String(episode.rating) : '',
+    duration_secs: episode.duration || 0,
+    duration: formatDuration(episode.duration),
+    video: formatVideo(episode),
+    bitrate: 0
+  },
+  custom_sid: '',
+  added: String(toUnix(episode.created_at) || ''),
+  season: episode.season_number,
+  direct_source: ''
+});
+
+// Finished programmes inside the channel's archive window can be played back through timeshift
+const hasArchive = (channel, start, stop, now) => Boolean(channel.tv_archive) &&
+  stop <= now && start >= now - channel.tv_archive_duration * 24 * 60 * 60;
+
+const formatProgramme = (programme, channel, now) => {
+  const start = toUnix(programme.start_time);
+  const stop = toUnix(programme.end_time);
+
+  return {
+    id: String(programme.id),
+    epg_id: channel.epg_id || '',
+    title: base64(programme.title),
+    lang: channel.language || '',
+    start: formatXtreamDate(programme.start_time),
+    end: formatXtreamDate(programme.end_time),
+    description: base64(programme.description),
+    channel_id: channel.epg_id || '',
+    start_timestamp: String(start),
+    stop_timestamp: String(stop),
+    now_playing: start <= now && stop > now ? 1 : 0,
+    has_archive: hasArchive(channel, start, stop, now) ? 1 : 0
+  };
+};
+
+const getVodInfo = async (user, vodId) => {
+  const movie = await movieLibrary.get(vodId, { activeOnly: true });
+  if (!movie || !(await bouquets.allows(user, 'movie', movie.id))) {
+    return {};
+  }
+
+  const tracks = await movieLibrary.getTracks(movie.id);
+  const audio = tracks.find(track => track.kind === 'audio');
+
+  return {
+    info: {
+      name: movie.title,
+      o_name: movie.title,
+      movie_image: movie.poster_url || '',
+      cover_big: movie.poster_url || '',
+      plot: movie.plot || '',
+      cast: movie.actors || '',
+      actors: movie.actors || '',
+      director: movie.director || '',
+      genre: movie.genre || movie.category_name || '',
+      releasedate: movie.year ? String(movie.year) : '',
+      duration_secs: movie.duration || 0,
+      duration: formatDuration(movie.duration),
+      rating: movie.rating ? String(movie.rating) : '',
+      backdrop_path: movie.backdrop_url ? [movie.backdrop_url] : [],
+      youtube_trailer: movie.trailer || '',
+      video: formatVideo(movie),
+      audio: audio ? { codec_name: audio.codec, channels: audio.channels, tags: { language: audio.language } } : [],
+      subtitles: tracks.filter(track => track.kind === 'subtitle').map(track => ({ language: track.language, codec_name: track.codec })),
+      bitrate: 0
+    },
+    movie_data: {
+      stream_id: movie.id,
+      name: movie.title,
+      added: String(toUnix(movie.created_at) || ''),
+      category_id: movie.category_id ? String(movie.category_id) : null,
+      container_extension: mediaLibrary.extension(movie),
+      custom_sid: '',
+      direct_source: ''
+    }
+  };
+};
+
+// Seasons, and episodes grouped by season number; episode ids are the
+// stream ids of /series/ URLs
+const getSeriesInfo = async (user, seriesId) => {
+  const series = await seriesLibrary.get(seriesId, { activeOnly: true });
+  if (!series || !(await bouquets.allows(user, 'series', series.id))) {
+    return {};
+  }
+
+  const seasons = await seriesLibrary.getSeasons(series.id, { activeOnly: true });
+  const episodes = await seriesLibrary.getEpisodes(series.id, { activeOnly: true });
+
+  const durations = episodes.map(episode => episode.duration).filter(Boolean);
+
+  const bySeason = {};
+  for (const episode of episodes) {
+    (bySeason[episode.season_number] = bySeason[episode.season_number] || []).push(formatEpisode(episode));
+  }
+
+  return {
+    seasons: seasons.filter(season => season.episode_count > 0).map(season => ({
+      id: season.id,
+      season_number: season.season_number,
+      name: season.name || `Season ${season.season_number}`,
+      overview: season.overview || '',
+      air_date: season.air_date || '',
+      episode_count: season.episode_count,
+      cover: season.poster_url || series.poster_url || '',
+      cover_big: season.poster_url || series.poster_url || ''
+    })),
+    info: formatSeries({
+      ...series,
+      last_episode_update: episodes.map(episode => episode.updated_at).sort().pop(),
+      episode_run_time: durations.length > 0 ? durations.reduce((sum, duration) => sum + duration, 0) / durations.length : 0
+    }, 0),
+    episodes: bySeason
+  };
+};
+
+const getEpgListings = async (user, streamId, limit) => {
+  const access = bouquets.filter(user, 'channel', 'id');
+  const channel = await db.get(
+    `SELECT id, epg_id, language, tv_archive, tv_archive_duration FROM channels WHERE id = ? AND status = ?${access.sql}`,
+    [streamId, 'active', ...access.params]
+  );
+
+  if (!channel) {
+    return { epg_listings: [] };
+  }
+
+  let query = 'SELECT * FROM epg WHERE channel_id = ?';
+  const params = [channel.id];
+
+  if (limit) {
+    query += ' AND end_time > ? ORDER BY start_time ASC LIMIT ?';
+    params.push(toSqlDate(new Date()), limit);
+  } else {
+    query += ' ORDER BY start_time ASC';
+  }
+
+  const programmes = await db.all(query, params);
+  const now = Math.floor(Date.now() / 1000);
+
+  return {
+    epg_listings: programmes.map(programme => formatProgramme(programme, channel, now))
+  };
+};
+
+const handlePlayerApi = async (req, res) => {
+  try {
+    const params = { ...req.body, ...req.query };
+    const { action, category_id } = params;
+    const { user } = req;
+
+    switch (action) {
+      case undefined:
+      case '':
+        return res.json(await buildAccountInfo(req));
+
+      case 'get_live_categories':
+        return res.json(await getCategories(user, 'live'));
+
+      case 'get_vod_categories':
+        return res.json(await getLibraryCategories(user, 'movies', 'movie'));
+
+      case 'get_series_categories':
+        return res.json(await getLibraryCategories(user, 'series', 'series'));
+
+      case 'get_live_streams':
+        return res.json((await getChannels(user, 'live', category_id)).map(formatLiveStream));
+
+      case 'get_vod_streams':
+        return res.json((await getMovies(user, category_id)).map(formatVodStream));
+
+      case 'get_series':
+        return res.json((await getSeries(user, category_id)).map(formatSeries));
+
+      case 'get_series_info':
+        return res.json(await getSeriesInfo(user, params.series_id));
+
+      case 'get_vod_info':
+        return res.json(await getVodInfo(user, params.vod_id));
+
+      case 'get_short_epg':
+        return res.json(await getEpgListings(user, params.stream_id, parseInt(params.limit) || 4));
+
+      case 'get_simple_data_table':
+        return res.json(await getEpgListings(user, params.stream_id));
+
+      default:
+        return res.json([]);
+    }
+
+  } catch (error) {
+    console.error('Player API error:', error);
+    res.status(500).json({
+      error: 'Internal server error.'
+    });
+  }
+};
+
+// Build a direct stream handler for one channel stream type
+const handleDirectStream = (streamType) => async (req, res) => {
+  try {
+    const { streamId } = req.params;
+    const userId = req.user.id;
+
+    const access = bouquets.filter(req.user, 'channel', 'id');
+    const stream = await db.get(
+      `SELECT * FROM channels WHERE id = ? AND stream_type = ? AND status = ?${access.sql}`,
+      [streamId, streamType, 'active', ...access.params]
+    );
+
+    if (!stream) {
+      return res.status(404).json({
+        error: 'Stream not found.'
+      });
+    }
+
+    const server = await serverPool.pick(userId, stream);
+
+    // Log stream start
+    const logResult = await db.run(
+      'INSERT INTO stream_logs (user_id, channel_id, stream_url, ip_address, user_agent, server_id) VALUES (?, ?, ?, ?, ?, ?)',
+      [userId, stream.id, stream.stream_url, req.ip, req.get('User-Agent'), server ? server.id : null]
+    );
+
+    // Channels with a transcode profile are always served through it
+    const profile = stream.transcode_profile_id
+      ? await transcoder.getProfile(stream.transcode_profile_id)
+      : null;
+
+    // ABR ladders are HLS, so only .m3u8 requests get one
+    const abr = !profile && stream.abr_enabled && req.params.ext === 'm3u8';
+
+    // Redirect to the edge with the same kind of stream URL /play hands out
+    if (server) {
+      const token = sign({
+        k: 'proxy',
+        u: userId,
+        c: stream.id,
+        l: logResult.id,
+        ip: normalizeIp(req.ip),
+        p: profile ? profile.id : (abr ? undefined : 0)
+      }, await tokenTtl());
+
+      return res.redirect(302, serverPool.url(server, `/stream/${token}/stream.${req.params.ext}`));
+    }
+
+    await proxyStream(req, res, stream, logResult.id, { profile, abr });
+
+  } catch (error) {
+    console.error('Direct stream error:', error);
+    res.status(500).json({
+      error: 'Internal server error.'
+    });
+  }
+};
+
+// Movies and series episodes: the stream_logs column, stream token claim,
+// lookup of each and whether the user's bouquets have it
+const VOD_KINDS = {
+  movie: {
+    column: 'movie_id',
+    claim: 'm',
+    find: (id) => movieLibrary.get(id, { activeOnly: true }),
+    allows: (user, movie) => bouquets.allows(user, 'movie', movie.id)
+  },
+  episode: {
+    column: 'episode_id',
+    claim: 'ep',
+    find: (id) => seriesLibrary.getEpisode(id, { activeOnly: true }),
+    allows: (user, episode) => bouquets.allows(user, 'series', episode.series_id)
+  }
+};
+
+// Players send a new request for every seek in a movie or episode, so a
+// request continues the user's open session for it from the same IP
+const findVodSession = (kind) => async (req, res, next) => {
+  try {
+    const log = await db.get(
+      `SELECT id FROM stream_logs WHERE user_id = ? AND ${VOD_KINDS[kind].column} = ? AND ip_address = ? AND end_time IS NULL ORDER BY id DESC`,
+      [req.user.id, req.params.streamId, req.ip]
+    );
+
+    req.streamLogId = log ? log.id : undefined;
+    next();
+  } catch (error) {
+    console.error('VOD session error:', error);
+    res.status(500).json({
+      error: 'Internal server error.'
+    });
+  }
+};
+
+// Movies and episodes, with Range support for seeking
+const handleVod = (kind) => async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { column, claim, find, allows } = VOD_KINDS[kind];
+
+    const item = await find(req.params.streamId);
+    if (!item || !(await allows(req.user, item))) {
+      return res.status(404).json({
+        error: 'Stream not found.'
+      });
+    }
+
+    // A continued session stays on its server
+    let logId = req.streamLogId;
+    let server = null;
+
+    if (logId) {
+      const log = await db.get('SELECT server_id FROM stream_logs WHERE id = ?', [logId]);
+      server = log.server_id ? await db.get('SELECT * FROM servers WHERE id = ?', [log.server_id]) : null;
+    } else {
+      server = await serverPool.pick(userId, {});
+      logId = (await db.run(
+        `INSERT INTO stream_logs (user_id, ${column}, stream_url, ip_address, user_agent, server_id) VALUES (?, ?, ?, ?, ?, ?)`,
+        [userId, item.id, item.source_url || item.file_path, req.ip, req.get('User-Agent'), server ? server.id : null]
+      )).id;
+    }
+
+    if (server) {
+      const token = sign({ k: 'proxy', u: userId, [claim]: item.id, l: logId, ip: normalizeIp(req.ip) }, await tokenTtl());
+      return res.redirect(302, serverPool.url(server, `/stream/${token}/${kind}.${mediaLibrary.extension(item)}`));
+    }
+
+    await mediaLibrary.play(req, res, item, logId);
+
+  } catch (error) {
+    console.error('VOD stream error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        error: 'Internal server error.'
+      });
+    }
+  }
+};
+
+// Xtream timeshift start times look like '2024-01-31:20-00', in the server's timezone (UTC)
+const parseTimeshiftStart = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2}):(\d{2})[-:](\d{2})$/.exec(String(value || ''));
+  if (!match) {
+    return null;
+  }
+
+  const [year, month, day, hour, minute] = match.slice(1).map(Number);
+  return Date.UTC(year, month - 1, day, hour, minute) / 1000;
+};
+
+// Catch-up playback from the channel archive
+const handleTimeshift = async (req, res) => {
+  try {
+    const params = { ...req.query, ...req.params };
+    const streamId = params.streamId || params.stream;
+    const userId = req.user.id;
+
+    const access = bouquets.filter(req.user, 'channel', 'id');
+    const channel = await db.get(
+      `SELECT * FROM channels WHERE id = ? AND tv_archive = 1 AND status = ?${access.sql}`,
+      [streamId, 'active', ...access.params]
+    );
+
+    if (!channel) {
+      return res.status(404).json({
+        error: 'Stream not found.'
+      });
+    }
+
+    const start = parseTimeshiftStart(params.start);
+    const duration = Math.min(parseInt(params.duration) || 0, 24 * 60);
+
+    if (start === null || duration <= 0) {
+      return res.status(400).json({
+        error: 'Invalid start or duration.'
+      });
+    }
+
+    const files = await archiver.findSegments(channel.id, start, start + duration * 60);
+    if (files.length === 0) {
+      return res.status(404).json({
+        error: 'Archive not available.'
+      });
+    }
+
+    const logResult = await db.run(
+      'INSERT INTO stream_logs (user_id, channel_id, stream_url, ip_address, user_agent) VALUES (?, ?, ?, ?, ?)',
+      [userId, channel.id, channel.stream_url, req.ip, req.get('User-Agent')]
+    );
+
+    await sessionTracker.begin(logResult.id);
+    sessionTracker.attach(logResult.id, res);
+    res.setHeader('Content-Type', 'video/mp2t');
+    res.setHeader('Access-Control-Allow-Origin', '*');
+
+    await archiver.sendSegments(res, files);
+
+  } catch (error) {
+    console.error('Timeshift error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        error: 'Internal server error.'
+      });
+    }
+  }
+};
+
+const findRecordingSession = async (req, res, next) => {
+  try {
+    req.streamLogId = await dvr.findSession(req.user.id, req.params.recordingId, req.ip);
+    next();
+  } catch (error) {
+    console.error('Recording session error:', error);
+    res.status(500).json({
+      error: 'Internal server error.'
+    });
+  }
+};
+
+// DVR recordings play like VOD, but only for the user who recorded them
+const handleRecording = async (req, res) => {
+  try {
+    const recording = await db.get(
+      'SELECT * FROM recordings WHERE id = ? AND user_id = ?',
+      [req.params.recordingId, req.user.id]
+    );
+
+    if (!recording || !recording.file_path || !['recording', 'completed'].includes(recording.status)) {
+      return res.status(404).json({
+        error: 'Stream not found.'
+      });
+    }
+
+    await dvr.play(req, res, recording, req.streamLogId);
+
+  } catch (error) {
+    console.error('Recording stream error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        error: 'Internal server error.'
+      });
+    }
+  }
+};
+
+// Keep playlist attribute values on one line and free of quotes
+const m3uAttr = (value) => String(value || '').replace(/"/g, '\'').replace(/[\r\n]+/g, ' ').trim();
+
+// 'Show S01E02 Title' for playlist entries
+const episodeName = (episode) => {
+  const number = `S${String(episode.season_number).padStart(2, '0')}E${String(episode.episode_number).padStart(2, '0')}`;
+  return [episode.series_title, number, episode.title].filter(Boolean).join(' ');
+};
+
+// M3U playlist
+router.get('/get.php', xtreamAuth, async (req, res) => {
+  try {
+    const { type = 'm3u_plus', output = 'ts' } = req.query;
+    const liveExtension = output === 'm3u8' || output === 'hls' ? 'm3u8' : 'ts';
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+    const credentials = `${encodeURIComponent(req.user.username)}/${encodeURIComponent(req.xtreamPassword)}`;
+    const xmltvUrl = `${baseUrl}/xmltv.php?username=${encodeURIComponent(req.user.username)}&password=${encodeURIComponent(req.xtreamPassword)}`;
+
+    const channels = await getChannels(req.user, 'live');
+
+    const lines = [type === 'm3u_plus' ? `#EXTM3U url-tvg="${xmltvUrl}" x-tvg-url="${xmltvUrl}"` : '#EXTM3U'];
+
+    for (const channel of channels) {
+      if (type === 'm3u_plus') {
+        lines.push(
+          `#EXTINF:-1 tvg-id="${m3uAttr(channel.epg_id)}" tvg-name="${m3uAttr(channel.name)}" ` +
+          `tvg-logo="${m3uAttr(channel.logo_url)}" group-title="${m3uAttr(channel.category_name)}",${m3uAttr(channel.name)}`
+        );
+      } else {
+        lines.push(`#EXTINF:-1,${m3uAttr(channel.name)}`);
+      }
+
+      lines.push(`${baseUrl}/live/${credentials}/${channel.id}.${liveExtension}`);
+    }
+
+    for (const movie of await getMovies(req.user)) {
+      if (type === 'm3u_plus') {
+        lines.push(
+          `#EXTINF:-1 tvg-id="" tvg-name="${m3uAttr(movie.title)}" ` +
+          `tvg-logo="${m3uAttr(movie.poster_url)}" group-title="${m3uAttr(movie.category_name)}",${m3uAttr(movie.title)}`
+        );
+      } else {
+        lines.push(`#EXTINF:-1,${m3uAttr(movie.title)}`);
+      }
+
+      lines.push(`${baseUrl}/movie/${credentials}/${movie.id}.${mediaLibrary.extension(movie)}`);
+    }
+
+    const seriesAccess = bouquets.filter(req.user, 'series', 's.id');
+    const seriesOrder = bouquets.order(req.user, 'series', 's.id');
+    const episodes = await db.all(`
+      SELECT e.*, se.season_number, s.title as series_title, s.poster_url as series_poster, cat.name as category_name
+      FROM episodes e
+      INNER JOIN seasons se ON e.season_id = se.id
+      INNER JOIN series s ON e.series_id = s.id
+      LEFT JOIN categories cat ON s.category_id = cat.id
+      WHERE e.status = 'active' AND s.status = 'active'${seriesAccess.sql}
+      ORDER BY ${seriesOrder.sql}cat.sort_order, s.title, se.season_number, e.episode_number
+    `, [...seriesAccess.params, ...seriesOrder.params]);
+
+    for (const episode of episodes) {
+      const name = episodeName(episode);
+
+      if (type === 'm3u_plus') {
+        lines.push(
+          `#EXTINF:-1 tvg-id="" tvg-name="${m3uAttr(name)}" ` +
+          `tvg-logo="${m3uAttr(episode.poster_url || episode.series_poster)}" group-title="${m3uAttr(episode.category_name)}",${m3uAttr(name)}`
+        );
+      } else {
+        lines.push(`#EXTINF:-1,${m3uAttr(name)}`);
+      }
+
+      lines.push(`${baseUrl}/series/${credentials}/${episode.id}.${mediaLibrary.extension(episode)}`);
+    }
+
+    res.setHeader('Content-Type', 'audio/x-mpegurl; charset=utf-8');
+    res.setHeader('Content-Disposition', 'attachment; filename="playlist.m3u"');
+    res.send(lines.join('\n') + '\n');
+
+  } catch (error) {
+    console.error('Get playlist error:', error);
+    res.status(500).json({
+      error: 'Internal server error.'
+    });
+  }
+});
+
+// XMLTV guide
+router.get('/xmltv.php', xtreamAuth, async (req, res) => {
+  try {
+    await sendXmltv(req, res);
+  } catch (error) {
+    console.error('XMLTV export error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        error: 'Internal server error.'
+      });
+    } else {
+      res.destroy();
+    }
+  }
+});
+
+// Xtream player API
+router.get('/player_api.php', xtreamAuth, handlePlayerApi);
+router.post('/player_api.php', xtreamAuth, handlePlayerApi);
+
+// Direct stream URLs
+router.get('/live/:username/:password/:streamId(\\d+).:ext(ts|m3u8)', xtreamAuth, streamRateLimit, handleDirectStream('live'));
+router.get('/movie/:username/:password/:streamId(\\d+).:ext', xtreamAuth, findVodSession('movie'), streamRateLimit, handleVod('movie'));
+router.get('/series/:username/:password/:streamId(\\d+).:ext', xtreamAuth, findVodSession('episode'), streamRateLimit, handleVod('episode'));
+
+// Catch-up: duration in minutes, start as YYYY-MM-DD:HH-MM
+router.get('/timeshift/:username/:password/:duration(\\d+)/:start/:streamId(\\d+).:ext(ts)', xtreamAuth, streamRateLimit, handleTimeshift);
+router.get('/streaming/timeshift.php', xtreamAuth, streamRateLimit, handleTimeshift);
+
+// DVR recordings
+router.get('/recording/:username/:password/:recordingId(\\d+).:ext(ts)', xtreamAuth, findRecordingSession, streamRateLimit, handleRecording);
+
+module.exports = router;
@@ -15,13 +15,25 @@ const channelRoutes = require('./routes/channels');
 const epgRoutes = require('./routes/epg');
 const adminRoutes = require('./routes/admin');
 const licenseRoutes = require('./routes/license');
+const xtreamRoutes = require('./routes/xtream');
+const hlsRoutes = require('./routes/hls');
+const recordingRoutes = require('./routes/recordings');
+const proxyRoutes = require('./routes/proxy');
+const edgeRoutes = require('./routes/edge');
+const movieRoutes = require('./routes/movies');
 
 // Import database
 const db = require('./database/database');
 
+// Import background jobs
+const scheduler = require('./services/scheduler');
+const connectionMonitor = require('./services/connectionMonitor');
+const edgeAgent = require('./services/edgeAgent');
+const transcoder = require('./services/transcoder');
+
 // Import middleware
-const authMiddleware = require('./middleware/auth');
-const adminMiddleware = require('./middleware/admin');
+const { authMiddleware, socketAdminAuth } = require('./middleware/auth');
+const { adminMiddleware } = require('./middleware/admin');
 
 const app = express();
 const server = http.createServer(app);
@@ -45,6 +57,10 @@ app.use(helmet({
   }
 }));
 
+// Edge server heartbeats arrive every few seconds from the same few IPs,
+// so they are mounted ahead of the API rate limit
+app.use('/api/edge', express.json(), edgeRoutes);
+
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -67,9 +83,20 @@ app.use('/api/users', authMiddleware, userRoutes);
 app.use('/api/streams', authMiddleware, streamRoutes);
 app.use('/api/channels', authMiddleware, channelRoutes);
 app.use('/api/epg', authMiddleware, epgRoutes);
+app.use('/api/recordings', authMiddleware, recordingRoutes);
+app.use('/api/movies', authMiddleware, movieRoutes);
 app.use('/api/admin', authMiddleware, adminMiddleware, adminRoutes);
 app.use('/api/license', licenseRoutes);
 
+// Signed HLS playlists and segments
+app.use('/hls', hlsRoutes);
+
+// Stream proxy behind short-lived stream tokens from the channel, movie and episode /play endpoints
+app.use('/stream', proxyRoutes);
+
+// Xtream Codes compatible routes (player_api.php, ...)
+app.use('/', xtreamRoutes);
+
 // License validation endpoint for main app
 app.post('/api/validate-license', async (req, res) => {
   try {
@@ -109,11 +136,6 @@ app.post('/api/validate-license', async (req, res) => {
   }
 });
 
-// Stream proxy endpoint
-app.get('/stream/:streamId', (req, res) => {
-  // Stream proxy logic will be implemented here
-  res.status(200).send('Stream endpoint');
-});
 
 // Socket.IO connection handling
 io.on('connection', (socket) => {
@@ -134,6 +156,11 @@ io.on('connection', (socket) => {
   });
 });
 
+// Live connections monitor for admins
+const adminNamespace = io.of('/admin');
+adminNamespace.use(socketAdminAuth);
+connectionMonitor.attach(adminNamespace);
+
 // Error handling middleware
 app.use((err, req, res, next) => {
   console.error(err.stack);
@@ -151,7 +178,18 @@ app.use('*', (req, res) => {
 const PORT = process.env.PORT || 3000;
 
 // Initialize database and start server
-db.init().then(() => {
+db.init().then(async () => {
+  await connectionMonitor.loadBlocked();
+
+  // Edge servers only stream; the panel runs the background jobs
+  if (process.env.PANEL_URL) {
+    await edgeAgent.start(process.env.PANEL_URL, process.env.SERVER_KEY);
+    await transcoder.init(`server-${edgeAgent.server.id}`);
+  } else {
+    await transcoder.init('panel');
+    scheduler.start();
+  }
+
   server.listen(PORT, () => {
     console.log(`🚀 IPTV Panel Server running on port ${PORT}`);
     console.log(`📺 Admin Panel: http://localhost:${PORT}/admin`);
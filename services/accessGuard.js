@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+const db = require('../database/database');
+const sessionTracker = require('./sessionTracker');
+const { toSqlDate } = require('../utils/time');
+const { normalizeIp, isValidIpRule, matchesIpRules } = require('../utils/ip');
+
+// Per-user restrictions against credential sharing: IP allow-lists, locking
+// to the first N IPs or devices, user agent allow-lists, and what happens
+// when a user is already at max_connections
+
+const POLICIES = ['reject', 'replace_oldest'];
+
+// Comma-separated list columns (allowed_ips, allowed_user_agents)
+const splitList = (value) => String(value || '')
+  .split(',')
+  .map(item => item.trim())
+  .filter(Boolean);
+
+// Devices are told apart by their user agent
+const deviceFingerprint = (userAgent) => crypto
+  .createHash('sha256')
+  .update(String(userAgent || '').trim().toLowerCase())
+  .digest('hex')
+  .slice(0, 16);
+
+class AccessGuard {
+  // Returns an error message for invalid restriction settings, or null
+  validateRestrictions({ allowed_ips, max_ips, max_devices, connection_policy }) {
+    const invalid = splitList(allowed_ips).find(rule => !isValidIpRule(rule));
+    if (invalid) {
+      return `Invalid IP address or CIDR range: ${invalid}`;
+    }
+
+    for (const [field, value] of Object.entries({ max_ips, max_devices })) {
+      if (value !== undefined && value !== null && !(Number.isInteger(Number(value)) && Number(value) >= 0)) {
+        return `${field} must be a whole number (0 for no limit).`;
+      }
+    }
+
+    if (connection_policy && !POLICIES.includes(connection_policy)) {
+      return `connection_policy must be one of: ${POLICIES.join(', ')}.`;
+    }
+
+    return null;
+  }
+
+  // Error message when the user may not stream from this IP and device, or null
+  async check(user, ip, userAgent) {
+    const address = normalizeIp(ip);
+    const agent = String(userAgent || '');
+
+    const ipRules = splitList(user.allowed_ips);
+    if (ipRules.length > 0 && !matchesIpRules(address, ipRules)) {
+      return 'Streaming is not allowed from this IP address.';
+    }
+
+    const agentRules = splitList(user.allowed_user_agents);
+    if (agentRules.length > 0 && !agentRules.some(rule => agent.toLowerCase().includes(rule.toLowerCase()))) {
+      return 'Streaming is not allowed from this device.';
+    }
+
+    if (user.max_ips > 0 && !(await this.lock(user.id, 'ip', address, address, user.max_ips))) {
+      return `This account is locked to ${user.max_ips} IP address(es).`;
+    }
+
+    if (user.max_devices > 0 && !(await this.lock(user.id, 'device', deviceFingerprint(agent), agent, user.max_devices))) {
+      return `This account is locked to ${user.max_devices} device(s).`;
+    }
+
+    return null;
+  }
+
+  // Remember a new IP or device while the user has fewer than `limit`; false when the lock is full
+  async lock(userId, kind, value, label, limit) {
+    const now = toSqlDate(new Date());
+    const known = await db.get(
+      'SELECT id FROM user_locks WHERE user_id = ? AND kind = ? AND value = ?',
+      [userId, kind, value]
+    );
+
+    if (known) {
+      await db.run('UPDATE user_locks SET last_seen = ? WHERE id = ?', [now, known.id]);
+      return true;
+    }
+
+    const count = await db.get(
+      'SELECT COUNT(*) as count FROM user_locks WHERE user_id = ? AND kind = ?',
+      [userId, kind]
+    );
+
+    if (count.count >= limit) {
+      return false;
+    }
+
+    await db.run(
+      'INSERT OR IGNORE INTO user_locks (user_id, kind, value, label, first_seen, last_seen) VALUES (?, ?, ?, ?, ?, ?)',
+      [userId, kind, value, label, now, now]
+    );
+    return true;
+  }
+
+  // Make room for one more connection. Resolves false when the user is at
+  // max_connections and their policy is to reject; `excludeLogId` is the
+  // session the request continues.
+  async makeRoom(user, excludeLogId) {
+    const open = await db.all(
+      'SELECT id FROM stream_logs WHERE user_id = ? AND end_time IS NULL AND id != ? ORDER BY start_time, id',
+      [user.id, excludeLogId || 0]
+    );
+
+    if (open.length < user.max_connections) {
+      return true;
+    }
+
+    const policy = user.connection_policy || await db.getSetting('connection_policy', 'reject');
+    if (policy !== 'replace_oldest' || user.max_connections <= 0) {
+      return false;
+    }
+
+    for (const log of open.slice(0, open.length - user.max_connections + 1)) {
+      await sessionTracker.kill(log.id, 'replaced');
+    }
+    return true;
+  }
+}
+
+module.exports = new AccessGuard();
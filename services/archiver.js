@@ -0,0 +1,238 @@
+const fs = require('fs');
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+const db = require('../database/database');
+const sourceManager = require('./sourceManager');
+
+// Records catch-up archives for channels with tv_archive enabled. Each channel
+// gets a directory of one-minute MPEG-TS files named by their start time in
+// epoch seconds, so a time range maps straight onto file names.
+
+const ARCHIVE_DIR = process.env.ARCHIVE_DIR || 'archive';
+
+const SEGMENT_SECONDS = 60;
+
+const segmentStart = (file) => {
+  const match = /^(\d+)\.ts$/.exec(file);
+  return match ? parseInt(match[1]) : null;
+};
+
+class Archiver {
+  constructor() {
+    this.recorders = new Map();
+    this.syncing = false;
+  }
+
+  channelDir(channelId) {
+    return path.join(ARCHIVE_DIR, String(channelId));
+  }
+
+  // Start recorders for archive channels, stop the rest and apply retention
+  async sync() {
+    if (this.syncing) {
+      return;
+    }
+
+    this.syncing = true;
+    try {
+      const channels = await db.all('SELECT * FROM channels WHERE tv_archive = 1');
+      const recording = channels.filter(channel => channel.status === 'active');
+      const wanted = new Set(recording.map(channel => channel.id));
+
+      for (const channelId of this.recorders.keys()) {
+        if (!wanted.has(channelId)) {
+          this.stop(channelId);
+        }
+      }
+
+      for (const channel of recording) {
+        if (!this.recorders.has(channel.id)) {
+          await this.start(channel).catch(error => {
+            console.error(`Archive recorder error (${channel.name}):`, error.message);
+          });
+        }
+      }
+
+      // Inactive channels keep their archive until it expires
+      for (const channel of channels) {
+        await this.prune(channel.id, channel.tv_archive_duration);
+      }
+
+      await this.removeOrphans(new Set(channels.map(channel => channel.id)));
+    } finally {
+      this.syncing = false;
+    }
+  }
+
+  async start(channel) {
+    const recorder = { channelId: channel.id, command: null, upstream: null, startedAt: new Date(), closed: false };
+    this.recorders.set(channel.id, recorder);
+
+    try {
+      const dir = this.channelDir(channel.id);
+      await fs.promises.mkdir(dir, { recursive: true });
+
+      const { input, upstream } = await sourceManager.openInput(channel);
+      recorder.upstream = upstream;
+
+      if (recorder.closed) {
+        this.stop(channel.id, recorder);
+        return;
+      }
+
+      // Segments start on the minute so neighbouring files line up with clock time
+      recorder.command = ffmpeg(input)
+        .outputOptions(
+          '-map', '0:v?', '-map', '0:a?',
+          '-c', 'copy',
+          '-f', 'segment',
+          '-segment_time', String(SEGMENT_SECONDS),
+          '-segment_atclocktime', '1',
+          '-segment_format', 'mpegts',
+          '-reset_timestamps', '1',
+          '-strftime', '1'
+        )
+        .output(path.join(dir, '%s.ts'));
+
+      // A recorder that dies is restarted by the next sync
+      recorder.command.on('error', (error) => {
+        if (!recorder.closed) {
+          console.error(`Archive recorder stopped (${channel.name}):`, error.message);
+        }
+        this.stop(channel.id, recorder);
+      });
+      recorder.command.on('end', () => this.stop(channel.id, recorder));
+
+      recorder.command.run();
+    } catch (error) {
+      this.stop(channel.id, recorder);
+      throw error;
+    }
+  }
+
+  stop(channelId, recorder = this.recorders.get(channelId)) {
+    if (!recorder || recorder.closed) {
+      return;
+    }
+
+    recorder.closed = true;
+    if (this.recorders.get(channelId) === recorder) {
+      this.recorders.delete(channelId);
+    }
+
+    if (recorder.command) {
+      recorder.command.kill('SIGKILL');
+    }
+    if (recorder.upstream) {
+      recorder.upstream.destroy();
+    }
+  }
+
+  async listSegments(channelId) {
+    let files;
+    try {
+      files = await fs.promises.readdir(this.channelDir(channelId));
+    } catch (error) {
+      return [];
+    }
+
+    return files
+      .map(file => ({ file, start: segmentStart(file) }))
+      .filter(segment => segment.start !== null)
+      .sort((a, b) => a.start - b.start);
+  }
+
+  // Files covering [from, to) in epoch seconds, in playback order
+  async findSegments(channelId, from, to) {
+    const segments = await this.listSegments(channelId);
+    const dir = this.channelDir(channelId);
+
+    return segments
+      .filter((segment, i) => {
+        // Recording gaps mean the next file can start much later
+        const next = segments[i + 1] ? segments[i + 1].start : Infinity;
+        const end = Math.min(next, segment.start + SEGMENT_SECONDS);
+        return segment.start < to && end > from;
+      })
+      .map(segment => path.join(dir, segment.file));
+  }
+
+  // Pipe files one after another; MPEG-TS segments concatenate cleanly
+  async sendSegments(res, files) {
+    let current = null;
+    let closed = false;
+    res.on('close', () => {
+      closed = true;
+      if (current) {
+        current.destroy();
+      }
+    });
+
+    for (const file of files) {
+      if (closed) {
+        break;
+      }
+
+      await new Promise((resolve) => {
+        current = fs.createReadStream(file);
+        current.on('error', resolve);
+        current.on('end', resolve);
+        current.on('close', resolve);
+        current.pipe(res, { end: false });
+      });
+    }
+
+    res.end();
+  }
+
+  async prune(channelId, days) {
+    const cutoff = Math.floor(Date.now() / 1000) - (days || 0) * 24 * 60 * 60;
+    const dir = this.channelDir(channelId);
+
+    for (const segment of await this.listSegments(channelId)) {
+      if (segment.start < cutoff) {
+        await fs.promises.unlink(path.join(dir, segment.file)).catch(() => {});
+      }
+    }
+  }
+
+  // Archives of channels with tv_archive turned off are removed
+  async removeOrphans(archived) {
+    let dirs;
+    try {
+      dirs = await fs.promises.readdir(ARCHIVE_DIR);
+    } catch (error) {
+      return;
+    }
+
+    for (const dir of dirs) {
+      if (/^\d+$/.test(dir) && !archived.has(parseInt(dir))) {
+        await fs.promises.rm(path.join(ARCHIVE_DIR, dir), { recursive: true, force: true });
+      }
+    }
+  }
+
+  async stats() {
+    const channels = await db.all(
+      'SELECT id, name, tv_archive_duration FROM channels WHERE tv_archive = 1 ORDER BY name'
+    );
+
+    return Promise.all(channels.map(async (channel) => {
+      const segments = await this.listSegments(channel.id);
+      const recorder = this.recorders.get(channel.id);
+
+      return {
+        channel_id: channel.id,
+        channel_name: channel.name,
+        days: channel.tv_archive_duration,
+        recording: Boolean(recorder && recorder.command),
+        recording_since: recorder ? recorder.startedAt : null,
+        segments: segments.length,
+        oldest: segments.length > 0 ? new Date(segments[0].start * 1000) : null,
+        newest: segments.length > 0 ? new Date(segments[segments.length - 1].start * 1000) : null
+      };
+    }));
+  }
+}
+
+module.exports = new Archiver();
@@ -0,0 +1,185 @@
+const db = require('../database/database');
+const { toSqlDate } = require('../utils/time');
+
+// Bouquets are named, ordered sets of channels, movies and series. Users see
+// and play only what is in the bouquets assigned to them; admins are not
+// limited. Episodes come with their series.
+
+// Request field, item_type and table of each kind of bouquet item
+const ITEM_KINDS = {
+  channels: { type: 'channel', table: 'channels', label: 'name' },
+  movies: { type: 'movie', table: 'movies', label: 'title' },
+  series: { type: 'series', table: 'series', label: 'title' }
+};
+
+const USER_ITEMS = `
+  SELECT bi.item_id
+  FROM bouquet_items bi
+  INNER JOIN user_bouquets ub ON ub.bouquet_id = bi.bouquet_id
+  WHERE ub.user_id = ? AND bi.item_type = ?
+`;
+
+const unlimited = { sql: '', params: [] };
+
+class Bouquets {
+  unrestricted(user) {
+    return user.role === 'admin';
+  }
+
+  // ' AND <column> IN (...)' limiting a query to the user's items of a type
+  filter(user, type, column) {
+    if (this.unrestricted(user)) {
+      return unlimited;
+    }
+    return { sql: ` AND ${column} IN (${USER_ITEMS})`, params: [user.id, type] };
+  }
+
+  // Leading ORDER BY term that lists items in bouquet order: by the
+  // bouquet's sort_order, then the item's position in it
+  order(user, type, column) {
+    if (this.unrestricted(user)) {
+      return unlimited;
+    }
+    return {
+      sql: `(SELECT MIN(b.sort_order * 1000000 + bi.sort_order)
+             FROM bouquet_items bi
+             INNER JOIN bouquets b ON bi.bouquet_id = b.id
+             INNER JOIN user_bouquets ub ON ub.bouquet_id = b.id
+             WHERE ub.user_id = ? AND bi.item_type = ? AND bi.item_id = ${column}), `,
+      params: [user.id, type]
+    };
+  }
+
+  async allows(user, type, itemId) {
+    if (this.unrestricted(user)) {
+      return true;
+    }
+
+    const row = await db.get(`${USER_ITEMS} AND bi.item_id = ? LIMIT 1`, [user.id, type, itemId]);
+    return Boolean(row);
+  }
+
+  // Ids from a list or a comma-separated string
+  parseIds(value) {
+    return (Array.isArray(value) ? value : String(value || '').split(','))
+      .map(id => parseInt(id))
+      .filter(id => id > 0);
+  }
+
+  // Item lists of a bouquet request; only the kinds present are returned
+  parseItems(body) {
+    const items = {};
+    for (const field of Object.keys(ITEM_KINDS)) {
+      if (body[field] !== undefined) {
+        items[field] = [...new Set(this.parseIds(body[field]))];
+      }
+    }
+    return items;
+  }
+
+  async validateItems(items) {
+    for (const [field, ids] of Object.entries(items)) {
+      const { table } = ITEM_KINDS[field];
+      for (const id of ids) {
+        if (!(await db.get(`SELECT id FROM ${table} WHERE id = ?`, [id]))) {
+          return `Unknown ${ITEM_KINDS[field].type} id: ${id}.`;
+        }
+      }
+    }
+    return null;
+  }
+
+  async validateIds(ids) {
+    for (const id of ids) {
+      if (!(await db.get('SELECT id FROM bouquets WHERE id = ?', [id]))) {
+        return `Unknown bouquet id: ${id}.`;
+      }
+    }
+    return null;
+  }
+
+  // Replace the lists given; each list's order is the order users see.
+  // Bouquets can hold thousands of items, so this runs on its own connection.
+  async setItems(bouquetId, items) {
+    await db.isolatedTransaction(async (tx) => {
+      for (const [field, ids] of Object.entries(items)) {
+        const { type } = ITEM_KINDS[field];
+        await tx.run('DELETE FROM bouquet_items WHERE bouquet_id = ? AND item_type = ?', [bouquetId, type]);
+        await tx.insertRows('bouquet_items', ['bouquet_id', 'item_type', 'item_id', 'sort_order'],
+          ids.map((id, position) => [bouquetId, type, id, position]));
+      }
+
+      await tx.run('UPDATE bouquets SET updated_at = ? WHERE id = ?', [toSqlDate(new Date()), bouquetId]);
+    });
+  }
+
+  // Append newly created items to the end of each bouquet. conn is the
+  // connection of an import's transaction, when there is one.
+  async addItems(type, itemIds, bouquetIds, conn = db) {
+    if (itemIds.length === 0) {
+      return;
+    }
+
+    for (const bouquetId of bouquetIds) {
+      const last = await conn.get(
+        'SELECT MAX(sort_order) as position FROM bouquet_items WHERE bouquet_id = ? AND item_type = ?',
+        [bouquetId, type]
+      );
+      const start = last.position === null ? 0 : last.position + 1;
+
+      await conn.insertRows('bouquet_items', ['bouquet_id', 'item_type', 'item_id', 'sort_order'],
+        itemIds.map((itemId, index) => [bouquetId, type, itemId, start + index]));
+      await conn.run('UPDATE bouquets SET updated_at = ? WHERE id = ?', [toSqlDate(new Date()), bouquetId]);
+    }
+  }
+
+  // The bouquet's channels, movies and series in order
+  async getItems(bouquetId) {
+    const items = {};
+    for (const [field, { type, table, label }] of Object.entries(ITEM_KINDS)) {
+      items[field] = await db.all(
+        `SELECT t.id, t.${label} as name, t.status
+         FROM bouquet_items bi
+         INNER JOIN ${table} t ON bi.item_id = t.id
+         WHERE bi.bouquet_id = ? AND bi.item_type = ?
+         ORDER BY bi.sort_order`,
+        [bouquetId, type]
+      );
+    }
+    return items;
+  }
+
+  async userBouquetIds(userId) {
+    const rows = await db.all(
+      `SELECT ub.bouquet_id
+       FROM user_bouquets ub
+       INNER JOIN bouquets b ON ub.bouquet_id = b.id
+       WHERE ub.user_id = ?
+       ORDER BY b.sort_order, b.name`,
+      [userId]
+    );
+    return rows.map(row => row.bouquet_id);
+  }
+
+  async assign(userId, bouquetIds) {
+    await db.isolatedTransaction(async (tx) => {
+      await tx.run('DELETE FROM user_bouquets WHERE user_id = ?', [userId]);
+      await tx.insertRows('user_bouquets', ['user_id', 'bouquet_id'],
+        [...new Set(bouquetIds)].map(bouquetId => [userId, bouquetId]));
+    });
+  }
+
+  // Take a deleted channel, movie or series out of every bouquet
+  async removeItem(type, itemId, conn = db) {
+    await conn.run('DELETE FROM bouquet_items WHERE item_type = ? AND item_id = ?', [type, itemId]);
+  }
+
+  async remove(bouquetId) {
+    await db.run('DELETE FROM user_bouquets WHERE bouquet_id = ?', [bouquetId]);
+    await db.run('DELETE FROM plan_bouquets WHERE bouquet_id = ?', [bouquetId]);
+    await db.run('DELETE FROM bouquet_items WHERE bouquet_id = ?', [bouquetId]);
+    await db.run('DELETE FROM bouquets WHERE id = ?', [bouquetId]);
+  }
+}
+
+module.exports = new Bouquets();
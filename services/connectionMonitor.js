@@ -0,0 +1,171 @@
+const db = require('../database/database');
+const sessionTracker = require('./sessionTracker');
+const serverPool = require('./serverPool');
+const { toDate } = require('../utils/time');
+const { normalizeIp } = require('../utils/ip');
+
+// Live "who's watching what" for the admin Socket.IO namespace, and the
+// admin actions on open connections: kill one, kick a user, block an IP
+
+// How often connected admins get bitrate updates
+const STATS_INTERVAL = 5000;
+
+class ConnectionMonitor {
+  constructor() {
+    this.namespace = null;
+    this.blocked = new Set();
+    // logId -> { bytes, at } from the previous stats sample
+    this.samples = new Map();
+    this.timer = null;
+  }
+
+  async loadBlocked() {
+    const rows = await db.all('SELECT ip_address FROM blocked_ips');
+    this.blocked = new Set(rows.map(row => normalizeIp(row.ip_address)));
+  }
+
+  isBlocked(ip) {
+    return this.blocked.has(normalizeIp(ip));
+  }
+
+  // Serve the admin namespace; the caller authenticates its sockets
+  attach(namespace) {
+    this.namespace = namespace;
+
+    namespace.on('connection', async (socket) => {
+      try {
+        socket.emit('connections', await this.list());
+      } catch (error) {
+        console.error('Connection monitor error:', error);
+      }
+    });
+
+    sessionTracker.on('start', (logId) => {
+      this.get(logId)
+        .then(connection => connection && namespace.emit('connection:start', connection))
+        .catch(error => console.error('Connection monitor error:', error));
+    });
+
+    sessionTracker.on('end', (logId, reason) => {
+      this.samples.delete(logId);
+      namespace.emit('connection:end', { id: logId, reason });
+    });
+
+    this.timer = setInterval(() => {
+      if (namespace.sockets.size === 0) {
+        return;
+      }
+
+      this.list()
+        .then(connections => namespace.emit('connections', connections))
+        .catch(error => console.error('Connection monitor error:', error));
+    }, STATS_INTERVAL);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  query(where) {
+    return `
+      SELECT sl.id, sl.user_id, u.username, sl.channel_id, c.name as channel_name,
+             sl.ip_address, sl.user_agent, sl.start_time, sl.last_activity, sl.bytes_transferred,
+             sl.server_id, s.name as server_name, sl.movie_id, m.title as movie_title,
+             sl.episode_id, e.title as episode_title, e.episode_number, se.season_number, sr.title as series_title,
+             sl.recording_id, r.title as recording_title
+      FROM stream_logs sl
+      LEFT JOIN users u ON sl.user_id = u.id
+      LEFT JOIN channels c ON sl.channel_id = c.id
+      LEFT JOIN servers s ON sl.server_id = s.id
+      LEFT JOIN movies m ON sl.movie_id = m.id
+      LEFT JOIN episodes e ON sl.episode_id = e.id
+      LEFT JOIN seasons se ON e.season_id = se.id
+      LEFT JOIN series sr ON e.series_id = sr.id
+      LEFT JOIN recordings r ON sl.recording_id = r.id
+      WHERE sl.end_time IS NULL ${where}
+      ORDER BY sl.start_time DESC
+    `;
+  }
+
+  // Bytes so far and the bitrate since the previous sample, in bits per second
+  describe(row) {
+    const now = Date.now();
+    const bytes = (row.bytes_transferred || 0) + sessionTracker.pendingBytes(row.id);
+    const previous = this.samples.get(row.id);
+    this.samples.set(row.id, { bytes, at: now });
+
+    const startedAt = toDate(row.start_time);
+    const elapsed = previous ? (now - previous.at) / 1000 : (startedAt ? (now - startedAt.getTime()) / 1000 : 0);
+    const sent = previous ? bytes - previous.bytes : bytes;
+
+    return {
+      ...row,
+      bytes_transferred: bytes,
+      bitrate: elapsed > 0 ? Math.round(sent * 8 / elapsed) : 0,
+      duration: startedAt ? Math.floor((now - startedAt.getTime()) / 1000) : 0
+    };
+  }
+
+  async list() {
+    const rows = await db.all(this.query(''));
+    return rows.map(row => this.describe(row));
+  }
+
+  async get(logId) {
+    const row = await db.get(this.query('AND sl.id = ?'), [logId]);
+    return row ? this.describe(row) : null;
+  }
+
+  // Returns the number of connections closed
+  async kill(logId, reason = 'killed') {
+    const log = await db.get('SELECT id FROM stream_logs WHERE id = ? AND end_time IS NULL', [logId]);
+    if (!log) {
+      return 0;
+    }
+
+    await sessionTracker.kill(log.id, reason);
+    await serverPool.syncEdges();
+    return 1;
+  }
+
+  async kickUser(userId, reason = 'kicked') {
+    const logs = await db.all('SELECT id FROM stream_logs WHERE user_id = ? AND end_time IS NULL', [userId]);
+    for (const log of logs) {
+      await sessionTracker.kill(log.id, reason);
+    }
+    if (logs.length > 0) {
+      await serverPool.syncEdges();
+    }
+    return logs.length;
+  }
+
+  // Block an IP and cut off everything it is watching
+  async blockIp(ip, reason, blockedBy) {
+    const address = normalizeIp(ip);
+
+    await db.run(
+      'INSERT OR REPLACE INTO blocked_ips (ip_address, reason, blocked_by) VALUES (?, ?, ?)',
+      [address, reason || null, blockedBy || null]
+    );
+    this.blocked.add(address);
+
+    const logs = await db.all('SELECT id, ip_address FROM stream_logs WHERE end_time IS NULL');
+    const matching = logs.filter(log => normalizeIp(log.ip_address) === address);
+    for (const log of matching) {
+      await sessionTracker.kill(log.id, 'blocked');
+    }
+    await serverPool.syncEdges();
+    return matching.length;
+  }
+
+  async unblockIp(ip) {
+    const address = normalizeIp(ip);
+    const result = await db.run('DELETE FROM blocked_ips WHERE ip_address = ?', [address]);
+    this.blocked.delete(address);
+    await serverPool.syncEdges();
+    return result.changes > 0;
+  }
+}
+
+module.exports = new ConnectionMonitor();
@@ -0,0 +1,299 @@
+const fs = require('fs');
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+const db = require('../database/database');
+const sourceManager = require('./sourceManager');
+const mediaLibrary = require('./mediaLibrary');
+const { toDate, toSqlDate } = require('../utils/time');
+
+// Scheduled user recordings: captures a channel to disk for a programme's
+// time window plus padding, within each user's storage quota
+
+const RECORDINGS_DIR = process.env.RECORDINGS_DIR || 'recordings';
+
+const MB = 1024 * 1024;
+
+// A capture whose upstream drops earlier than this before the end of its
+// window is reopened after RETRY_DELAY and appended to
+const RESUME_MARGIN = 10 * 1000;
+const RETRY_DELAY = 5 * 1000;
+
+class Dvr {
+  constructor() {
+    this.active = new Map();
+    this.ticking = false;
+  }
+
+  // Quota in bytes: the user's own recording_quota_mb or the recording_quota_mb setting
+  async getQuota(userId) {
+    const user = await db.get('SELECT recording_quota_mb FROM users WHERE id = ?', [userId]);
+    const quotaMb = user && user.recording_quota_mb !== null
+      ? user.recording_quota_mb
+      : await db.getSetting('recording_quota_mb', 5120);
+
+    return quotaMb * MB;
+  }
+
+  async getUsage(userId) {
+    const row = await db.get(
+      'SELECT COALESCE(SUM(file_size), 0) as used FROM recordings WHERE user_id = ? AND status IN (?, ?)',
+      [userId, 'recording', 'completed']
+    );
+    return row.used;
+  }
+
+  async isOverQuota(userId) {
+    return (await this.getUsage(userId)) >= (await this.getQuota(userId));
+  }
+
+  // Recording window with padding, as Dates
+  window(recording) {
+    return {
+      from: new Date(toDate(recording.start_time).getTime() - recording.padding_before * 1000),
+      to: new Date(toDate(recording.end_time).getTime() + recording.padding_after * 1000)
+    };
+  }
+
+  filePath(recording) {
+    return path.join(RECORDINGS_DIR, String(recording.user_id), `${recording.id}.ts`);
+  }
+
+  // Start due recordings, retry ones whose stream could not be opened or
+  // dropped, update the size of running ones and enforce quotas
+  async tick() {
+    if (this.ticking) {
+      return;
+    }
+
+    this.ticking = true;
+    try {
+      const now = new Date();
+      const pending = await db.all('SELECT * FROM recordings WHERE status IN (?, ?)', ['scheduled', 'recording']);
+
+      for (const recording of pending) {
+        if (this.active.has(recording.id)) {
+          continue;
+        }
+
+        const { from, to } = this.window(recording);
+
+        if (to <= now) {
+          await this.close(recording, recording.error || 'Missed: the server was not running');
+        } else if (from <= now) {
+          await this.start(recording).catch(error => {
+            console.error(`Recording ${recording.id} error:`, error.message);
+          });
+        }
+      }
+
+      for (const [recordingId, capture] of this.active) {
+        const size = await this.fileSize(capture.filePath);
+        await db.run('UPDATE recordings SET file_size = ? WHERE id = ?', [size, recordingId]);
+
+        if (await this.isOverQuota(capture.userId)) {
+          this.stop(recordingId, 'Stopped: recording quota reached');
+        }
+      }
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  async start(recording) {
+    if (this.active.has(recording.id)) {
+      return;
+    }
+
+    // Reserved before any await so a tick and a resume cannot both start it
+    const filePath = this.filePath(recording);
+    const capture = { userId: recording.user_id, filePath, command: null, upstream: null, error: null, stopped: false };
+    this.active.set(recording.id, capture);
+
+    if (await this.isOverQuota(recording.user_id)) {
+      this.active.delete(recording.id);
+      return this.close(recording, 'Recording quota exceeded');
+    }
+
+    const channel = await db.get('SELECT * FROM channels WHERE id = ?', [recording.channel_id]);
+    if (!channel) {
+      this.active.delete(recording.id);
+      return this.close(recording, 'Channel no longer exists');
+    }
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+    let input;
+    try {
+      ({ input, upstream: capture.upstream } = await sourceManager.openInput(channel));
+    } catch (error) {
+      // Tried again on the next tick, until the window ends
+      if (this.active.get(recording.id) === capture) {
+        this.active.delete(recording.id);
+        await db.run('UPDATE recordings SET error = ? WHERE id = ?', [`Could not open stream: ${error.message}`, recording.id]);
+      }
+      return;
+    }
+
+    // Cancelled while the stream was opening
+    if (this.active.get(recording.id) !== capture) {
+      if (capture.upstream) {
+        capture.upstream.destroy();
+      }
+      return;
+    }
+
+    const seconds = Math.ceil((this.window(recording).to - Date.now()) / 1000);
+
+    await db.run(
+      'UPDATE recordings SET status = ?, file_path = ?, started_at = COALESCE(started_at, ?) WHERE id = ?',
+      ['recording', filePath, toSqlDate(new Date()), recording.id]
+    );
+
+    // MPEG-TS can be concatenated, so a resumed capture appends to what is there
+    const output = fs.createWriteStream(filePath, { flags: 'a' });
+    output.on('close', () => this.onCaptureEnd(recording, capture));
+
+    capture.command = ffmpeg(input)
+      .outputOptions('-map', '0:v?', '-map', '0:a?', '-c', 'copy', '-t', String(seconds))
+      .format('mpegts');
+
+    capture.command.on('end', () => output.end());
+    capture.command.on('error', (error) => {
+      if (!capture.error) {
+        capture.error = error.message.split('\n').filter(Boolean).pop();
+      }
+      output.end();
+    });
+
+    capture.command.pipe(output, { end: true });
+  }
+
+  // Stop a running capture early; whatever was recorded is kept
+  stop(recordingId, reason) {
+    const capture = this.active.get(recordingId);
+    if (!capture || !capture.command) {
+      return;
+    }
+
+    capture.error = reason;
+    capture.stopped = true;
+    capture.command.kill('SIGKILL');
+  }
+
+  async onCaptureEnd(recording, capture) {
+    if (this.active.get(recording.id) !== capture) {
+      return;
+    }
+
+    this.active.delete(recording.id);
+    if (capture.upstream) {
+      capture.upstream.destroy();
+    }
+
+    // The upstream dropped: reopen it for the rest of the window
+    if (!capture.stopped && this.window(recording).to - Date.now() > RESUME_MARGIN) {
+      await db.run(
+        'UPDATE recordings SET file_size = ?, error = ? WHERE id = ?',
+        [await this.fileSize(capture.filePath), capture.error || 'Stream ended early', recording.id]
+      );
+      setTimeout(async () => {
+        try {
+          const current = await db.get('SELECT * FROM recordings WHERE id = ? AND status = ?', [recording.id, 'recording']);
+          if (current) {
+            await this.start(current);
+          }
+        } catch (error) {
+          console.error(`Recording ${recording.id} error:`, error.message);
+        }
+      }, RETRY_DELAY);
+      return;
+    }
+
+    await this.close(recording, capture.error);
+  }
+
+  // End a recording for good. One with data on disk, even if cut short,
+  // counts as a (partial) recording.
+  async close(recording, error = null) {
+    const size = await this.fileSize(this.filePath(recording));
+    const status = size > 0 ? 'completed' : 'failed';
+
+    await db.run('UPDATE recordings SET file_size = ? WHERE id = ?', [size, recording.id]);
+    await this.finish(recording, status, size > 0 ? error : (error || 'Nothing was recorded'));
+  }
+
+  async finish(recording, status, error = null) {
+    await db.run(
+      'UPDATE recordings SET status = ?, error = ?, finished_at = ? WHERE id = ?',
+      [status, error, toSqlDate(new Date()), recording.id]
+    );
+  }
+
+  // Cancel a scheduled or running recording, or delete a finished one and its file
+  async remove(recording) {
+    if (this.active.has(recording.id)) {
+      const capture = this.active.get(recording.id);
+      this.active.delete(recording.id);
+      if (capture.command) {
+        capture.command.kill('SIGKILL');
+      }
+      if (capture.upstream) {
+        capture.upstream.destroy();
+      }
+    }
+
+    if (recording.file_path) {
+      await fs.promises.unlink(recording.file_path).catch(() => {});
+    }
+
+    await db.run('DELETE FROM recordings WHERE id = ?', [recording.id]);
+  }
+
+  // The user's open session for a recording from this IP, so a seek
+  // continues it instead of counting as another connection
+  async findSession(userId, recordingId, ip) {
+    const log = await db.get(
+      'SELECT id FROM stream_logs WHERE user_id = ? AND recording_id = ? AND ip_address = ? AND end_time IS NULL ORDER BY id DESC',
+      [userId, recordingId, ip]
+    );
+    return log ? log.id : undefined;
+  }
+
+  // Recordings play like movies, on a stream session of their own
+  async play(req, res, recording, logId) {
+    if (!logId) {
+      logId = (await db.run(
+        'INSERT INTO stream_logs (user_id, recording_id, stream_url, ip_address, user_agent) VALUES (?, ?, ?, ?, ?)',
+        [req.user.id, recording.id, recording.file_path, req.ip, req.get('User-Agent')]
+      )).id;
+    }
+
+    await mediaLibrary.play(req, res, { file_path: recording.file_path }, logId);
+  }
+
+  // Captures interrupted by a restart keep what they recorded
+  async recover() {
+    const interrupted = await db.all('SELECT * FROM recordings WHERE status = ?', ['recording']);
+
+    for (const recording of interrupted) {
+      // Still inside its window: the next tick resumes it
+      if (this.window(recording).to > new Date()) {
+        continue;
+      }
+
+      const size = recording.file_path ? await this.fileSize(recording.file_path) : 0;
+      await db.run('UPDATE recordings SET file_size = ? WHERE id = ?', [size, recording.id]);
+      await this.finish(recording, size > 0 ? 'completed' : 'failed', 'Interrupted by a server restart');
+    }
+  }
+
+  async fileSize(filePath) {
+    try {
+      return (await fs.promises.stat(filePath)).size;
+    } catch (error) {
+      return 0;
+    }
+  }
+}
+
+module.exports = new Dvr();
@@ -0,0 +1,87 @@
+const os = require('os');
+const axios = require('axios');
+const cron = require('node-cron');
+const db = require('../database/database');
+const sessionTracker = require('./sessionTracker');
+const connectionMonitor = require('./connectionMonitor');
+const restreamHub = require('./restreamHub');
+
+// Runs in place of the scheduler when this process is an edge server
+// (PANEL_URL and SERVER_KEY set): reports load and shared upstreams to the
+// panel and keeps the edge's own sessions accurate. Everything else is the
+// panel's job.
+
+const HEARTBEAT_INTERVAL = 10 * 1000;
+
+class EdgeAgent {
+  constructor() {
+    this.server = null;
+    this.panelUrl = null;
+    this.serverKey = null;
+    this.timer = null;
+    this.sweepJob = null;
+  }
+
+  async start(panelUrl, serverKey) {
+    // The edge shares the panel's database, so it can find itself by key
+    const server = await db.get('SELECT id, name FROM servers WHERE api_key = ?', [serverKey || '']);
+    if (!server) {
+      throw new Error('SERVER_KEY does not match any server on the panel');
+    }
+
+    this.server = server;
+    this.panelUrl = panelUrl.replace(/\/+$/, '');
+    this.serverKey = serverKey;
+    sessionTracker.serverId = server.id;
+
+    await sessionTracker.closeOrphans();
+
+    this.beat().catch(error => console.error('Edge heartbeat error:', error.message));
+    this.timer = setInterval(() => {
+      this.beat().catch(error => console.error('Edge heartbeat error:', error.message));
+    }, HEARTBEAT_INTERVAL);
+
+    this.sweepJob = cron.schedule('* * * * *', () => {
+      sessionTracker.sweep().catch(error => console.error('Session watchdog error:', error));
+    });
+
+    console.log(`Running as edge server "${server.name}" for ${this.panelUrl}`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    if (this.sweepJob) {
+      this.sweepJob.stop();
+      this.sweepJob = null;
+    }
+  }
+
+  // Cut sessions the panel has ended and reload the blocked IPs. Runs on
+  // every heartbeat and when the panel asks for it after a kill or block.
+  async sync() {
+    await sessionTracker.flush();
+    await connectionMonitor.loadBlocked();
+  }
+
+  async beat() {
+    await this.sync();
+
+    const open = await db.get(
+      'SELECT COUNT(*) as count FROM stream_logs WHERE server_id = ? AND end_time IS NULL',
+      [this.server.id]
+    );
+
+    await axios.post(`${this.panelUrl}/api/edge/heartbeat`, {
+      connections: open.count,
+      load: os.loadavg()[0] / os.cpus().length,
+      memory: 1 - os.freemem() / os.totalmem(),
+      restream: restreamHub.stats()
+    }, {
+      headers: { 'X-Server-Key': this.serverKey },
+      timeout: 5000
+    });
+  }
+}
+
+module.exports = new EdgeAgent();
@@ -0,0 +1,258 @@
+const fs = require('fs');
+const zlib = require('zlib');
+const sax = require('sax');
+const axios = require('axios');
+const db = require('../database/database');
+const { parseXmltvDate } = require('../utils/xmltv');
+const { toSqlDate } = require('../utils/time');
+
+// Imports XMLTV guides from EPG sources into the epg table
+
+const PROGRAMME_FIELDS = ['title', 'desc', 'category'];
+
+// Resolve with the source stream, transparently gunzipped when it starts with the gzip magic bytes
+const decompressIfGzip = (stream) => new Promise((resolve, reject) => {
+  stream.once('error', reject);
+  stream.once('readable', () => {
+    const head = stream.read(2);
+    if (head) {
+      stream.unshift(head);
+    }
+
+    if (head && head[0] === 0x1f && head[1] === 0x8b) {
+      const gunzip = zlib.createGunzip();
+      stream.on('error', error => gunzip.destroy(error));
+      resolve(stream.pipe(gunzip));
+    } else {
+      resolve(stream);
+    }
+  });
+});
+
+class EpgImporter {
+  constructor() {
+    this.running = new Set();
+  }
+
+  async openSource(source) {
+    if (source.source_type === 'file') {
+      return decompressIfGzip(fs.createReadStream(source.file_path));
+    }
+
+    const response = await axios({
+      method: 'GET',
+      url: source.url,
+      responseType: 'stream',
+      timeout: 60000
+    });
+
+    return decompressIfGzip(response.data);
+  }
+
+  // Stream-parse XMLTV, keeping only programmes for the wanted channel ids
+  parse(stream, wantedIds) {
+    return new Promise((resolve, reject) => {
+      const parser = sax.createStream(false, { lowercase: true, trim: false });
+      const channels = [];
+      const programmes = [];
+      let channel = null;
+      let programme = null;
+      let field = null;
+      let text = '';
+      let inRating = false;
+
+      parser.on('opentag', (node) => {
+        const attrs = node.attributes;
+
+        if (node.name === 'channel') {
+          channel = { id: attrs.id, display_name: null, icon: null };
+        } else if (node.name === 'programme') {
+          programme = wantedIds.has(attrs.channel)
+            ? { channel: attrs.channel, start: parseXmltvDate(attrs.start), stop: parseXmltvDate(attrs.stop) }
+            : null;
+        } else if (channel && node.name === 'icon' && !channel.icon) {
+          channel.icon = attrs.src || null;
+        } else if (channel && node.name === 'display-name' && !channel.display_name) {
+          field = 'display-name';
+          text = '';
+        } else if (programme && PROGRAMME_FIELDS.includes(node.name) && !programme[node.name]) {
+          field = node.name;
+          text = '';
+        } else if (programme && node.name === 'rating') {
+          inRating = true;
+        } else if (programme && inRating && node.name === 'value' && !programme.rating) {
+          field = 'rating';
+          text = '';
+        }
+      });
+
+      const onText = (value) => {
+        if (field) {
+          text += value;
+        }
+      };
+      parser.on('text', onText);
+      parser.on('cdata', onText);
+
+      parser.on('closetag', (name) => {
+        if (name === 'rating') {
+          inRating = false;
+        }
+
+        if (field && (name === field || (field === 'rating' && name === 'value'))) {
+          if (channel && field === 'display-name') {
+            channel.display_name = text.trim();
+          } else if (programme) {
+            programme[field] = text.trim();
+          }
+          field = null;
+        } else if (name === 'channel' && channel) {
+          if (channel.id) {
+            channels.push(channel);
+          }
+          channel = null;
+        } else if (name === 'programme' && programme) {
+          if (programme.start && programme.stop && programme.title) {
+            programmes.push(programme);
+          }
+          programme = null;
+        }
+      });
+
+      // Keep going past malformed markup, which is common in provider feeds
+      parser.on('error', function() {
+        this._parser.error = null;
+        this._parser.resume();
+      });
+
+      parser.on('end', () => resolve({ channels, programmes }));
+      stream.on('error', reject);
+      stream.pipe(parser);
+    });
+  }
+
+  async refreshSource(sourceId) {
+    if (this.running.has(sourceId)) {
+      throw new Error('EPG source is already updating');
+    }
+
+    const source = await db.get('SELECT * FROM epg_sources WHERE id = ?', [sourceId]);
+    if (!source) {
+      throw new Error('EPG source not found');
+    }
+
+    this.running.add(sourceId);
+    await db.run('UPDATE epg_sources SET status = ? WHERE id = ?', ['updating', sourceId]);
+
+    try {
+      // Several panel channels can share one XMLTV channel id
+      const mapped = await db.all(
+        "SELECT id, epg_id FROM channels WHERE epg_id IS NOT NULL AND epg_id != ''"
+      );
+      const channelIds = new Map();
+      for (const { id, epg_id } of mapped) {
+        if (!channelIds.has(epg_id)) {
+          channelIds.set(epg_id, []);
+        }
+        channelIds.get(epg_id).push(id);
+      }
+
+      const stream = await this.openSource(source);
+      const { channels, programmes } = await this.parse(stream, new Set(channelIds.keys()));
+
+      const guide = programmes.flatMap(programme => channelIds.get(programme.channel).map(channelId => [
+        channelId,
+        programme.title,
+        programme.desc || null,
+        toSqlDate(programme.start),
+        toSqlDate(programme.stop),
+        programme.category || null,
+        programme.rating || null,
+        sourceId
+      ]));
+      const programmeCount = guide.length;
+
+      // The first entry wins when a feed lists a channel twice
+      const guideChannels = new Map();
+      for (const channel of channels) {
+        if (!guideChannels.has(channel.id)) {
+          guideChannels.set(channel.id, channel);
+        }
+      }
+
+      // On its own connection so a failed import cannot roll back stream
+      // logs or admin edits made meanwhile; those wait for the commit
+      await db.isolatedTransaction(async (tx) => {
+        await tx.run('DELETE FROM epg_channels WHERE source_id = ?', [sourceId]);
+        await tx.insertRows('epg_channels', ['source_id', 'xmltv_id', 'display_name', 'icon_url'],
+          [...guideChannels.values()].map(channel => [sourceId, channel.id, channel.display_name, channel.icon]));
+
+        // Replace this source's programmes from the start of the new guide onwards
+        if (programmes.length > 0) {
+          const earliest = programmes.reduce((min, p) => (p.start < min ? p.start : min), programmes[0].start);
+          await tx.run(
+            'DELETE FROM epg WHERE source_id = ? AND start_time >= ?',
+            [sourceId, toSqlDate(earliest)]
+          );
+        }
+
+        await tx.insertRows(
+          'epg',
+          ['channel_id', 'title', 'description', 'start_time', 'end_time', 'category', 'rating', 'source_id'],
+          guide
+        );
+      });
+
+      await this.prune();
+
+      await db.run(
+        'UPDATE epg_sources SET status = ?, last_error = NULL, last_updated = ?, channel_count = ?, programme_count = ? WHERE id = ?',
+        ['ok', toSqlDate(new Date()), channels.length, programmeCount, sourceId]
+      );
+
+      return { channels: channels.length, programmes: programmeCount };
+
+    } catch (error) {
+      await db.run(
+        'UPDATE epg_sources SET status = ?, last_error = ?, last_updated = ? WHERE id = ?',
+        ['error', error.message, toSqlDate(new Date()), sourceId]
+      );
+      throw error;
+    } finally {
+      this.running.delete(sourceId);
+    }
+  }
+
+  // Drop programmes that ended before the retention window
+  async prune() {
+    const retentionDays = await db.getSetting('epg_retention_days', 7);
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+
+    await db.run('DELETE FROM epg WHERE end_time < ?', [toSqlDate(cutoff)]);
+  }
+
+  // Refresh every enabled source whose epg_update_interval has elapsed
+  async refreshDue() {
+    const interval = await db.getSetting('epg_update_interval', 3600);
+    const dueBefore = new Date(Date.now() - interval * 1000);
+
+    const sources = await db.all(
+      'SELECT id, name FROM epg_sources WHERE enabled = 1 AND (last_updated IS NULL OR last_updated <= ?)',
+      [toSqlDate(dueBefore)]
+    );
+
+    for (const source of sources) {
+      if (this.running.has(source.id)) {
+        continue;
+      }
+
+      try {
+        await this.refreshSource(source.id);
+      } catch (error) {
+        console.error(`EPG refresh error (${source.name}):`, error.message);
+      }
+    }
+  }
+}
+
+module.exports = new EpgImporter();
@@ -0,0 +1,186 @@
+const axios = require('axios');
+const ffmpeg = require('fluent-ffmpeg');
+const db = require('../database/database');
+const { toSqlDate } = require('../utils/time');
+const { readFirstChunk } = require('../utils/stream');
+
+// Periodically checks live channel upstreams and flags the ones that keep failing
+
+const ffprobe = (url, timeout) => new Promise((resolve, reject) => {
+  // rw_timeout is in microseconds
+  ffmpeg.ffprobe(url, ['-rw_timeout', String(timeout * 1000)], (error, metadata) => {
+    if (error) {
+      reject(error);
+    } else {
+      resolve(metadata);
+    }
+  });
+});
+
+const describeMedia = (metadata) => {
+  const streams = metadata.streams || [];
+  const video = streams.find(stream => stream.codec_type === 'video');
+  const audio = streams.find(stream => stream.codec_type === 'audio');
+
+  // Live MPEG-TS usually has no container bitrate, so fall back to the streams' own
+  const bitrate = parseInt(metadata.format && metadata.format.bit_rate) ||
+    streams.reduce((sum, stream) => sum + (parseInt(stream.bit_rate) || 0), 0) || null;
+
+  return {
+    video_codec: video ? video.codec_name : null,
+    audio_codec: audio ? audio.codec_name : null,
+    resolution: video && video.width ? `${video.width}x${video.height}` : null,
+    bitrate
+  };
+};
+
+class HealthProber {
+  constructor() {
+    this.running = false;
+    this.ffprobeMissing = false;
+  }
+
+  // HTTP status and first bytes, then ffprobe for the media details
+  async probe(channel) {
+    const timeout = (await db.getSetting('stream_timeout', 30)) * 1000;
+    const startedAt = Date.now();
+    const result = {
+      status: 'offline',
+      http_status: null,
+      response_ms: null,
+      video_codec: null,
+      audio_codec: null,
+      resolution: null,
+      bitrate: null,
+      error: null
+    };
+
+    try {
+      const response = await axios({
+        method: 'GET',
+        url: channel.stream_url,
+        responseType: 'stream',
+        headers: { 'User-Agent': 'IPTV-Panel/1.0' },
+        timeout
+      });
+      result.http_status = response.status;
+
+      const chunk = await readFirstChunk(response.data, timeout);
+      response.data.destroy();
+      result.response_ms = Date.now() - startedAt;
+
+      if (chunk.length === 0) {
+        throw new Error('Upstream sent no data');
+      }
+    } catch (error) {
+      if (error.response) {
+        result.http_status = error.response.status;
+        error.response.data.destroy();
+      }
+      result.error = error.message;
+      return result;
+    }
+
+    if (!this.ffprobeMissing) {
+      try {
+        const media = describeMedia(await ffprobe(channel.stream_url, timeout));
+        Object.assign(result, media);
+
+        if (!media.video_codec && !media.audio_codec) {
+          result.error = 'No audio or video streams found';
+          return result;
+        }
+      } catch (error) {
+        // Without the binary only the HTTP checks can run
+        if (error.message === 'Cannot find ffprobe') {
+          console.warn('ffprobe not found, health checks will skip media probing');
+          this.ffprobeMissing = true;
+        } else {
+          result.error = error.message.split('\n').filter(Boolean).pop();
+          return result;
+        }
+      }
+    }
+
+    result.status = 'online';
+    return result;
+  }
+
+  // Probe one channel, record the result and update its failure count
+  async checkChannel(channel) {
+    const result = await this.probe(channel);
+    const checkedAt = toSqlDate(new Date());
+
+    await db.run(
+      `INSERT INTO channel_health (channel_id, status, http_status, response_ms, video_codec, audio_codec, resolution, bitrate, error, checked_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [channel.id, result.status, result.http_status, result.response_ms, result.video_codec,
+        result.audio_codec, result.resolution, result.bitrate, result.error, checkedAt]
+    );
+
+    if (result.status === 'online') {
+      await db.run(
+        'UPDATE channels SET health_status = ?, health_failures = 0, last_health_check = ? WHERE id = ?',
+        ['online', checkedAt, channel.id]
+      );
+      return result;
+    }
+
+    const threshold = await db.getSetting('health_fail_threshold', 3);
+    const failures = (channel.health_failures || 0) + 1;
+    const healthStatus = failures >= threshold ? 'offline' : channel.health_status;
+
+    if (healthStatus === 'offline' && channel.health_status !== 'offline') {
+      console.warn(`Channel ${channel.name} flagged offline after ${failures} failed health checks: ${result.error}`);
+    }
+
+    await db.run(
+      'UPDATE channels SET health_status = ?, health_failures = ?, last_health_check = ? WHERE id = ?',
+      [healthStatus, failures, checkedAt, channel.id]
+    );
+
+    return result;
+  }
+
+  // Check every active live channel whose last check is older than health_check_interval
+  async probeDue() {
+    const interval = await db.getSetting('health_check_interval', 900);
+    if (this.running || interval <= 0) {
+      return;
+    }
+
+    this.running = true;
+    try {
+      const dueBefore = new Date(Date.now() - interval * 1000);
+      const channels = await db.all(
+        `SELECT id, name, stream_url, health_status, health_failures FROM channels
+         WHERE stream_type = 'live' AND status = 'active' AND (last_health_check IS NULL OR last_health_check <= ?)
+         ORDER BY last_health_check`,
+        [toSqlDate(dueBefore)]
+      );
+
+      // One at a time so probing doesn't compete with viewers for bandwidth
+      for (const channel of channels) {
+        try {
+          await this.checkChannel(channel);
+        } catch (error) {
+          console.error(`Health check error (${channel.name}):`, error.message);
+        }
+      }
+
+      await this.prune();
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async prune() {
+    const days = await db.getSetting('health_history_days', 7);
+    await db.run(
+      'DELETE FROM channel_health WHERE checked_at < ?',
+      [toSqlDate(new Date(Date.now() - days * 24 * 60 * 60 * 1000))]
+    );
+  }
+}
+
+module.exports = new HealthProber();
@@ -0,0 +1,54 @@
+const path = require('path');
+const { sign, tokenTtl } = require('./streamSigner');
+const { rewritePlaylist } = require('../utils/hls');
+
+// Rewrites upstream HLS playlists so every URI goes back through /hls
+
+const MAX_PLAYLIST_SIZE = 5 * 1024 * 1024;
+
+const readBody = (stream) => new Promise((resolve, reject) => {
+  const chunks = [];
+  let size = 0;
+
+  stream.on('data', (chunk) => {
+    size += chunk.length;
+    if (size > MAX_PLAYLIST_SIZE) {
+      stream.destroy();
+      reject(new Error('Playlist too large'));
+      return;
+    }
+    chunks.push(chunk);
+  });
+  stream.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+  stream.on('error', reject);
+});
+
+// Signed panel URL for one upstream URI; the trailing name keeps players' extension sniffing happy
+const panelUrl = (session, url, isPlaylist, ttl) => {
+  let name = path.basename(new URL(url).pathname).replace(/[^\w.-]/g, '') || '';
+  if (isPlaylist && !/\.m3u8?$/i.test(name)) {
+    name = 'index.m3u8';
+  } else if (!name) {
+    name = 'segment.ts';
+  }
+
+  const token = sign({ u: session.userId, c: session.channelId, l: session.logId, ip: session.ip, url }, ttl);
+  return `/hls/${token}/${name}`;
+};
+
+// Send an upstream playlist response with its URIs rewritten
+const sendPlaylist = async (res, response, session, fallbackUrl) => {
+  const body = await readBody(response.data);
+  const ttl = await tokenTtl();
+  const baseUrl = (response.request && response.request.res && response.request.res.responseUrl) || fallbackUrl;
+  const playlist = rewritePlaylist(body, baseUrl, (url, isPlaylist) => panelUrl(session, url, isPlaylist, ttl));
+
+  res.removeHeader('Content-Length');
+  res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.send(playlist);
+};
+
+module.exports = {
+  sendPlaylist
+};
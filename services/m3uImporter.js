@@ -0,0 +1,249 @@
+const db = require('../database/database');
+const seriesLibrary = require('./seriesLibrary');
+const bouquets = require('./bouquets');
+const sourceManager = require('./sourceManager');
+const { parseEpisodeName } = require('../utils/media');
+
+// Import parsed M3U entries into categories, channels, movies and series.
+// A plan is built first so admins can review the diff before committing.
+
+// Provider playlists put VOD and series under /movie/ and /series/ paths
+const guessStreamType = (url) => {
+  if (/\/movie\//i.test(url)) {
+    return 'vod';
+  }
+  if (/\/series\//i.test(url)) {
+    return 'series';
+  }
+  return 'live';
+};
+
+// Stable key: tvg-id and name when the playlist has a tvg-id (HD and SD
+// variants often share one), otherwise the stream URL
+const channelKey = (epgId, name, url) => (epgId ? `epg:${epgId}:${(name || '').toLowerCase()}` : `url:${url}`);
+const entryKey = (entry) => channelKey(entry.tvgId, entry.name, entry.url);
+
+const buildImportPlan = async (entries) => {
+  const categories = await db.all('SELECT id, name FROM categories');
+  const categoryIds = new Map(categories.map(category => [category.name.toLowerCase(), category.id]));
+
+  const channels = await db.all('SELECT * FROM channels');
+  const byKey = new Map();
+  const byEpgId = new Map();
+  const byUrl = new Map();
+  for (const channel of channels) {
+    const key = channelKey(channel.epg_id, channel.name, channel.stream_url);
+    if (!byKey.has(key)) {
+      byKey.set(key, channel);
+    }
+    if (channel.epg_id) {
+      byEpgId.set(channel.epg_id, [...(byEpgId.get(channel.epg_id) || []), channel]);
+    }
+    if (!byUrl.has(channel.stream_url)) {
+      byUrl.set(channel.stream_url, channel);
+    }
+  }
+
+  // VOD entries go to the movie library and series entries to the series
+  // library, matched by URL
+  const movieUrls = new Set((await db.all('SELECT source_url FROM movies WHERE source_url IS NOT NULL')).map(movie => movie.source_url));
+  const episodeUrls = new Set((await db.all('SELECT source_url FROM episodes WHERE source_url IS NOT NULL')).map(episode => episode.source_url));
+
+  const plan = {
+    categories: [],
+    added: [],
+    updated: [],
+    unchanged: 0,
+    removed: [],
+    duplicates: [],
+    movies: [],
+    episodes: []
+  };
+  const seenKeys = new Map();
+  const matchedIds = new Set();
+  const importedCategories = new Set();
+
+  for (const entry of entries) {
+    const key = entryKey(entry);
+    if (seenKeys.has(key)) {
+      plan.duplicates.push({ name: entry.name, stream_url: entry.url, duplicate_of: seenKeys.get(key).url });
+      continue;
+    }
+    seenKeys.set(key, entry);
+
+    const categoryName = entry.group || null;
+    if (categoryName) {
+      importedCategories.add(categoryName.toLowerCase());
+      if (!categoryIds.has(categoryName.toLowerCase()) && !plan.categories.includes(categoryName)) {
+        plan.categories.push(categoryName);
+      }
+    }
+
+    if (guessStreamType(entry.url) === 'vod') {
+      if (movieUrls.has(entry.url)) {
+        plan.unchanged++;
+      } else {
+        plan.movies.push({ title: entry.name, source_url: entry.url, poster_url: entry.logo, category: categoryName });
+      }
+      continue;
+    }
+
+    if (guessStreamType(entry.url) === 'series') {
+      if (episodeUrls.has(entry.url)) {
+        plan.unchanged++;
+        continue;
+      }
+
+      // Entries without S01E02 in their name become a series of one episode
+      const parsed = parseEpisodeName(entry.name || '') || { series: entry.name, season: 1, episode: 1, title: null };
+      plan.episodes.push({
+        series: parsed.series || entry.name,
+        season_number: parsed.season,
+        episode_number: parsed.episode,
+        title: parsed.title,
+        source_url: entry.url,
+        poster_url: entry.logo,
+        category: categoryName
+      });
+      continue;
+    }
+
+    const channel = {
+      name: entry.name,
+      stream_url: entry.url,
+      logo_url: entry.logo,
+      epg_id: entry.tvgId,
+      category: categoryName,
+      stream_type: guessStreamType(entry.url)
+    };
+
+    // A renamed channel is still found by its tvg-id, as long as no other
+    // entry has claimed it
+    const existing = [
+      byKey.get(key),
+      byUrl.get(entry.url),
+      ...(byEpgId.get(entry.tvgId) || [])
+    ].find(candidate => candidate && !matchedIds.has(candidate.id));
+    if (!existing) {
+      plan.added.push(channel);
+      continue;
+    }
+
+    matchedIds.add(existing.id);
+
+    const existingCategory = categories.find(category => category.id === existing.category_id);
+    const changes = {};
+    if (existing.name !== channel.name) changes.name = channel.name;
+    if (existing.stream_url !== channel.stream_url) changes.stream_url = channel.stream_url;
+    if (channel.logo_url && existing.logo_url !== channel.logo_url) changes.logo_url = channel.logo_url;
+    if (channel.epg_id && existing.epg_id !== channel.epg_id) changes.epg_id = channel.epg_id;
+    if (categoryName && (!existingCategory || existingCategory.name.toLowerCase() !== categoryName.toLowerCase())) {
+      changes.category = categoryName;
+    }
+
+    if (Object.keys(changes).length > 0) {
+      plan.updated.push({ id: existing.id, name: existing.name, changes });
+    } else {
+      plan.unchanged++;
+    }
+  }
+
+  // Only channels in the categories this playlist covers are candidates for removal
+  for (const channel of channels) {
+    const category = categories.find(cat => cat.id === channel.category_id);
+    if (category && importedCategories.has(category.name.toLowerCase()) && !matchedIds.has(channel.id)) {
+      plan.removed.push({ id: channel.id, name: channel.name, stream_url: channel.stream_url });
+    }
+  }
+
+  return plan;
+};
+
+// New channels, movies and series are appended to bouquetIds. A large import
+// runs on a connection of its own, so viewers' session writes stay out of it.
+const applyImportPlan = async (plan, { removeMissing = false, bouquetIds = [] } = {}) => {
+  await db.isolatedTransaction(async (tx) => {
+    const categories = await tx.all('SELECT id, name FROM categories');
+    const categoryIds = new Map(categories.map(category => [category.name.toLowerCase(), category.id]));
+
+    for (const name of plan.categories) {
+      const result = await tx.run('INSERT INTO categories (name) VALUES (?)', [name]);
+      categoryIds.set(name.toLowerCase(), result.id);
+    }
+
+    const categoryId = (name) => (name ? categoryIds.get(name.toLowerCase()) : null);
+
+    const added = { channel: [], movie: [], series: [] };
+
+    for (const channel of plan.added) {
+      added.channel.push((await tx.run(
+        'INSERT INTO channels (name, stream_url, logo_url, category_id, epg_id, stream_type) VALUES (?, ?, ?, ?, ?, ?)',
+        [channel.name, channel.stream_url, channel.logo_url, categoryId(channel.category), channel.epg_id, channel.stream_type]
+      )).id);
+    }
+
+    for (const movie of plan.movies) {
+      added.movie.push((await tx.run(
+        'INSERT INTO movies (title, poster_url, category_id, source_url) VALUES (?, ?, ?, ?)',
+        [movie.title, movie.poster_url, categoryId(movie.category), movie.source_url]
+      )).id);
+    }
+
+    const existingSeries = new Set((await tx.all('SELECT id FROM series')).map(series => series.id));
+    for (const episode of plan.episodes) {
+      const seriesId = await seriesLibrary.findOrCreate(episode.series, {
+        posterUrl: episode.poster_url,
+        categoryId: categoryId(episode.category)
+      }, tx);
+      if (!existingSeries.has(seriesId) && !added.series.includes(seriesId)) {
+        added.series.push(seriesId);
+      }
+
+      if (!(await seriesLibrary.findEpisode(seriesId, episode.season_number, episode.episode_number, tx))) {
+        await seriesLibrary.addEpisode(seriesId, episode, ['title', 'source_url'], tx);
+      }
+    }
+
+    for (const { id, changes } of plan.updated) {
+      const fields = [];
+      const params = [];
+
+      for (const field of ['name', 'stream_url', 'logo_url', 'epg_id']) {
+        if (changes[field] !== undefined) {
+          fields.push(`${field} = ?`);
+          params.push(changes[field]);
+        }
+      }
+      if (changes.category !== undefined) {
+        fields.push('category_id = ?');
+        params.push(categoryId(changes.category));
+      }
+
+      fields.push('updated_at = ?');
+      params.push(new Date(), id);
+
+      await tx.run(`UPDATE channels SET ${fields.join(', ')} WHERE id = ?`, params);
+    }
+
+    for (const [type, ids] of Object.entries(added)) {
+      await bouquets.addItems(type, ids, bouquetIds, tx);
+    }
+
+    if (removeMissing) {
+      for (const channel of plan.removed) {
+        await sourceManager.removeChannel(channel.id, tx);
+      }
+    }
+  });
+
+  if (removeMissing) {
+    for (const channel of plan.removed) {
+      sourceManager.forget(channel.id);
+    }
+  }
+};
+
+module.exports = {
+  buildImportPlan,
+  applyImportPlan
+};
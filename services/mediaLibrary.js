@@ -0,0 +1,205 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const ffmpeg = require('fluent-ffmpeg');
+const db = require('../database/database');
+const sessionTracker = require('./sessionTracker');
+const { isVideoFile, isSubtitleFile, subtitleLanguage, extensionOf, describeFile } = require('../utils/media');
+
+// Local and remote media files for VOD movies and episodes: probing,
+// folder scans and range-request playback so players can seek
+
+const ffprobe = (filePath) => new Promise((resolve, reject) => {
+  ffmpeg.ffprobe(filePath, (error, metadata) => {
+    if (error) {
+      reject(error);
+    } else {
+      resolve(metadata);
+    }
+  });
+});
+
+class MediaLibrary {
+  constructor() {
+    this.ffprobeMissing = false;
+  }
+
+  // Error message for a movie or episode without a usable source, or null
+  validateSource(item) {
+    if (!item.source_url && !item.file_path) {
+      return 'A source_url or a file_path is required.';
+    }
+    if (item.source_url) {
+      try {
+        if (!['http:', 'https:'].includes(new URL(item.source_url).protocol)) {
+          return 'source_url must be an http or https URL.';
+        }
+      } catch (error) {
+        return 'source_url must be an http or https URL.';
+      }
+    }
+    if (item.file_path && !isVideoFile(item.file_path)) {
+      return 'file_path must be a video file.';
+    }
+    return null;
+  }
+
+  // What ffprobe finds in a file, or null when ffprobe is not installed
+  async probe(filePath) {
+    if (this.ffprobeMissing) {
+      return null;
+    }
+
+    try {
+      return describeFile(await ffprobe(filePath));
+    } catch (error) {
+      if (error.message === 'Cannot find ffprobe') {
+        console.warn('ffprobe not found, media files are imported without probing');
+        this.ffprobeMissing = true;
+        return null;
+      }
+      throw new Error(error.message.split('\n').filter(Boolean).pop());
+    }
+  }
+
+  // Video and subtitle files under a folder, recursively, in name order
+  async scan(dir) {
+    const found = { videos: [], subtitles: [] };
+
+    const walk = async (current) => {
+      const entries = await fs.promises.readdir(current, { withFileTypes: true });
+      entries.sort((a, b) => a.name.localeCompare(b.name));
+
+      for (const entry of entries) {
+        const entryPath = path.join(current, entry.name);
+        if (entry.isDirectory() && !entry.name.startsWith('.')) {
+          await walk(entryPath);
+        } else if (entry.isFile() && isVideoFile(entryPath)) {
+          found.videos.push(entryPath);
+        } else if (entry.isFile() && isSubtitleFile(entryPath)) {
+          found.subtitles.push(entryPath);
+        }
+      }
+    };
+
+    await walk(path.resolve(dir));
+    return found;
+  }
+
+  // Subtitle files next to a video that share its name; `subtitles` is a
+  // scan's list, otherwise the video's folder is read
+  async sidecarSubtitles(videoPath, subtitles = null) {
+    const dir = path.dirname(videoPath);
+    const base = path.basename(videoPath, path.extname(videoPath));
+
+    if (!subtitles) {
+      const names = await fs.promises.readdir(dir).catch(() => []);
+      subtitles = names.map(name => path.join(dir, name)).filter(isSubtitleFile);
+    }
+
+    return subtitles
+      .filter(file => path.dirname(file) === dir && path.basename(file).startsWith(`${base}.`))
+      .map(file => ({
+        kind: 'subtitle',
+        stream_index: null,
+        language: subtitleLanguage(videoPath, file),
+        codec: extensionOf(file),
+        title: null,
+        channels: null,
+        is_default: 0,
+        file_path: file
+      }));
+  }
+
+  async fileSize(filePath) {
+    try {
+      return (await fs.promises.stat(filePath)).size;
+    } catch (error) {
+      return 0;
+    }
+  }
+
+  // Container extension players are told about, e.g. in Xtream URLs
+  extension(item) {
+    if (item.container_extension) {
+      return item.container_extension;
+    }
+
+    let source = item.file_path || '';
+    if (!source && item.source_url) {
+      // URLs from M3U imports are not validated and may not parse
+      try {
+        source = new URL(item.source_url).pathname;
+      } catch (error) {
+        source = item.source_url.split(/[?#]/)[0];
+      }
+    }
+    return extensionOf(source) || 'mp4';
+  }
+
+  // Send a movie or episode on a stream session. Players seek with new range
+  // requests on the same session, so only the first one starts it.
+  async play(req, res, item, logId) {
+    const log = await db.get('SELECT last_activity FROM stream_logs WHERE id = ?', [logId]);
+    if (log && !log.last_activity) {
+      await sessionTracker.begin(logId);
+    }
+
+    sessionTracker.serve(logId, res);
+
+    try {
+      await this.send(req, res, item);
+    } catch (error) {
+      console.error('Media source error:', error.message);
+      if (!res.headersSent) {
+        res.status(502).json({
+          error: 'Failed to load stream.'
+        });
+      }
+    }
+  }
+
+  // Play a local file_path or a remote source_url, honouring Range requests
+  async send(req, res, item) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+
+    if (item.file_path) {
+      res.sendFile(path.resolve(item.file_path), (error) => {
+        if (error && !res.headersSent) {
+          res.status(404).json({
+            error: 'Media file not found.'
+          });
+        }
+      });
+      return;
+    }
+
+    const timeout = (await db.getSetting('stream_timeout', 30)) * 1000;
+    const response = await axios({
+      method: 'GET',
+      url: item.source_url,
+      responseType: 'stream',
+      headers: {
+        'User-Agent': req.get('User-Agent') || 'IPTV-Panel/1.0',
+        'Range': req.headers.range || undefined
+      },
+      timeout
+    });
+
+    res.status(response.status);
+    for (const header of ['content-type', 'content-length', 'content-range', 'accept-ranges']) {
+      if (response.headers[header]) {
+        res.setHeader(header, response.headers[header]);
+      }
+    }
+
+    response.data.pipe(res);
+    req.on('close', () => response.data.destroy());
+    response.data.on('error', (error) => {
+      console.error('Media proxy error:', error.message);
+      res.end();
+    });
+  }
+}
+
+module.exports = new MediaLibrary();
@@ -0,0 +1,127 @@
+const fs = require('fs');
+const db = require('../database/database');
+const mediaLibrary = require('./mediaLibrary');
+const bouquets = require('./bouquets');
+const { extensionOf, parseMovieName } = require('../utils/media');
+const { toSqlDate } = require('../utils/time');
+
+// The VOD movie library: metadata, audio/subtitle tracks and folder imports
+
+const STATUSES = ['active', 'inactive'];
+const TRACK_KINDS = ['audio', 'subtitle'];
+
+class MovieLibrary {
+  validateMovie(movie) {
+    const invalidSource = mediaLibrary.validateSource(movie);
+    if (invalidSource) {
+      return invalidSource;
+    }
+    if (movie.rating !== undefined && movie.rating !== null && movie.rating !== '' &&
+      !(Number(movie.rating) >= 0 && Number(movie.rating) <= 10)) {
+      return 'Rating must be between 0 and 10.';
+    }
+    if (movie.status && !STATUSES.includes(movie.status)) {
+      return `Status must be one of: ${STATUSES.join(', ')}.`;
+    }
+    if (movie.tracks !== undefined) {
+      if (!Array.isArray(movie.tracks) || movie.tracks.some(track => !TRACK_KINDS.includes(track.kind))) {
+        return `Tracks must be a list with a kind of: ${TRACK_KINDS.join(', ')}.`;
+      }
+    }
+    return null;
+  }
+
+  async get(movieId, { activeOnly = false } = {}) {
+    return db.get(
+      `SELECT m.*, cat.name as category_name
+       FROM movies m
+       LEFT JOIN categories cat ON m.category_id = cat.id
+       WHERE m.id = ? ${activeOnly ? "AND m.status = 'active'" : ''}`,
+      [movieId]
+    );
+  }
+
+  async getTracks(movieId) {
+    return db.all('SELECT * FROM movie_tracks WHERE movie_id = ? ORDER BY kind, stream_index, id', [movieId]);
+  }
+
+  async saveTracks(movieId, tracks) {
+    await db.run('DELETE FROM movie_tracks WHERE movie_id = ?', [movieId]);
+
+    for (const track of tracks) {
+      await db.run(
+        `INSERT INTO movie_tracks (movie_id, kind, stream_index, language, codec, title, channels, is_default, file_path)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [movieId, track.kind, track.stream_index ?? null, track.language || null, track.codec || null,
+          track.title || null, track.channels || null, track.is_default ? 1 : 0, track.file_path || null]
+      );
+    }
+  }
+
+  // Fill duration, video details, size and tracks of a local movie from the file.
+  // `subtitles` are sidecar files found by a folder scan.
+  async probe(movieId, filePath, subtitles = null) {
+    const media = await mediaLibrary.probe(filePath);
+    const sidecars = await mediaLibrary.sidecarSubtitles(filePath, subtitles);
+
+    await db.run(
+      `UPDATE movies SET duration = COALESCE(?, duration), video_codec = ?, resolution = ?, file_size = ?,
+       container_extension = ?, updated_at = ? WHERE id = ?`,
+      [media ? media.duration : null, media ? media.video_codec : null, media ? media.resolution : null,
+        await mediaLibrary.fileSize(filePath), extensionOf(filePath), toSqlDate(new Date()), movieId]
+    );
+
+    await this.saveTracks(movieId, [...(media ? media.tracks : []), ...sidecars]);
+  }
+
+  // Import every video under a folder that is not in the library yet.
+  // Titles and years come from the file names; admins fill in the rest.
+  async importFolder(dir, { categoryId = null, bouquetIds = [] } = {}) {
+    const stat = await fs.promises.stat(dir).catch(() => null);
+    if (!stat || !stat.isDirectory()) {
+      throw new Error(`Folder not found: ${dir}`);
+    }
+
+    const { videos, subtitles } = await mediaLibrary.scan(dir);
+    const result = { imported: 0, skipped: 0, failed: [] };
+
+    for (const filePath of videos) {
+      const existing = await db.get('SELECT id FROM movies WHERE file_path = ?', [filePath]);
+      if (existing) {
+        result.skipped++;
+        continue;
+      }
+
+      const { title, year } = parseMovieName(filePath);
+      let movieId = null;
+
+      try {
+        movieId = (await db.run(
+          'INSERT INTO movies (title, year, category_id, file_path, container_extension) VALUES (?, ?, ?, ?, ?)',
+          [title, year, categoryId, filePath, extensionOf(filePath)]
+        )).id;
+
+        await this.probe(movieId, filePath, subtitles);
+        await bouquets.addItems('movie', [movieId], bouquetIds);
+        result.imported++;
+      } catch (error) {
+        // Unreadable files are left out so the next import tries them again
+        if (movieId) {
+          await this.remove(movieId);
+        }
+        result.failed.push({ file: filePath, error: error.message });
+      }
+    }
+
+    return result;
+  }
+
+  async remove(movieId) {
+    await db.run("DELETE FROM watch_progress WHERE item_type = 'movie' AND item_id = ?", [movieId]);
+    await bouquets.removeItem('movie', movieId);
+    await db.run('DELETE FROM movie_tracks WHERE movie_id = ?', [movieId]);
+    await db.run('DELETE FROM movies WHERE id = ?', [movieId]);
+  }
+}
+
+module.exports = new MovieLibrary();
@@ -0,0 +1,253 @@
+const db = require('../database/database');
+const sourceManager = require('./sourceManager');
+const { isHlsResponse } = require('../utils/hls');
+
+// Shares one upstream connection per live channel between all its viewers
+
+// Recent data replayed to new viewers so playback starts immediately
+const BACKLOG_BYTES = 1024 * 1024;
+
+// Viewers that fall further behind than this are disconnected
+const MAX_CLIENT_BUFFER = 8 * 1024 * 1024;
+
+class RestreamHub {
+  constructor() {
+    this.channels = new Map();
+    this.hlsChannels = new Map();
+  }
+
+  // Attach a viewer. Resolves false when the upstream turns out to be HLS,
+  // which is proxied per request instead.
+  async join(channel, req, res, onLeave) {
+    if (this.hlsChannels.get(channel.id) === channel.stream_url) {
+      return false;
+    }
+
+    let entry = this.channels.get(channel.id);
+    if (!entry || entry.url !== channel.stream_url) {
+      if (entry) {
+        this.teardown(entry);
+      }
+      entry = this.start(channel);
+    }
+
+    try {
+      await entry.ready;
+    } catch (error) {
+      if (error.code === 'HLS_UPSTREAM') {
+        return false;
+      }
+      throw error;
+    }
+
+    // The upstream may have ended while we were waiting
+    if (this.channels.get(channel.id) !== entry) {
+      return this.join(channel, req, res, onLeave);
+    }
+
+    this.addClient(entry, req, res, onLeave);
+    return true;
+  }
+
+  start(channel) {
+    const entry = {
+      channelId: channel.id,
+      channel,
+      url: channel.stream_url,
+      source: null,
+      clients: new Set(),
+      backlog: [],
+      backlogSize: 0,
+      bytesIn: 0,
+      contentType: 'video/mp2t',
+      upstream: null,
+      stopWatch: null,
+      idleTimer: null,
+      closed: false,
+      startedAt: new Date()
+    };
+
+    entry.ready = this.connect(entry);
+    entry.ready.catch(() => {
+      if (this.channels.get(channel.id) === entry) {
+        this.channels.delete(channel.id);
+      }
+    });
+
+    this.channels.set(channel.id, entry);
+    return entry;
+  }
+
+  // Open the next working source; `after` is the source that just failed
+  async connect(entry, after) {
+    const { response, source, firstChunk, timeout } = await sourceManager.open(entry.channel, {
+      headers: { 'User-Agent': 'IPTV-Panel/1.0' },
+      after
+    });
+
+    if (entry.closed) {
+      response.data.destroy();
+      return;
+    }
+
+    if (isHlsResponse(response.headers['content-type'], source.url)) {
+      response.data.destroy();
+      this.hlsChannels.set(entry.channelId, entry.url);
+
+      const error = new Error('Upstream is HLS');
+      error.code = 'HLS_UPSTREAM';
+      throw error;
+    }
+
+    if (response.headers['content-type']) {
+      entry.contentType = response.headers['content-type'];
+    }
+
+    entry.source = source;
+    entry.upstream = response.data;
+
+    if (firstChunk.length > 0) {
+      this.broadcast(entry, firstChunk);
+    }
+
+    const upstream = entry.upstream;
+    entry.stopWatch = sourceManager.watchStall(upstream, timeout, (error) => this.failover(entry, upstream, error));
+    upstream.on('data', (chunk) => this.broadcast(entry, chunk));
+    upstream.on('end', () => this.failover(entry, upstream, new Error('Upstream ended')));
+    upstream.on('error', (error) => this.failover(entry, upstream, error));
+    upstream.resume();
+  }
+
+  // A live upstream should never end: switch to the next source and keep the viewers attached
+  async failover(entry, upstream, error) {
+    if (entry.closed || entry.upstream !== upstream) {
+      return;
+    }
+
+    console.error(`Restream upstream error (channel ${entry.channelId}):`, error.message);
+
+    entry.stopWatch();
+    entry.upstream = null;
+    upstream.destroy();
+
+    if (entry.clients.size === 0) {
+      return this.teardown(entry);
+    }
+
+    try {
+      await sourceManager.markFailed(entry.channel, entry.source, error);
+      await this.connect(entry, entry.source.url);
+    } catch (connectError) {
+      console.error(`Restream failover failed (channel ${entry.channelId}):`, connectError.message);
+      this.teardown(entry);
+    }
+  }
+
+  broadcast(entry, chunk) {
+    entry.bytesIn += chunk.length;
+
+    entry.backlog.push(chunk);
+    entry.backlogSize += chunk.length;
+    while (entry.backlogSize > BACKLOG_BYTES && entry.backlog.length > 1) {
+      entry.backlogSize -= entry.backlog.shift().length;
+    }
+
+    for (const client of entry.clients) {
+      if (client.res.writableLength > MAX_CLIENT_BUFFER) {
+        console.warn(`Dropping slow viewer on channel ${entry.channelId}`);
+        client.res.destroy();
+        continue;
+      }
+      client.res.write(chunk);
+    }
+  }
+
+  addClient(entry, req, res, onLeave) {
+    clearTimeout(entry.idleTimer);
+    entry.idleTimer = null;
+
+    const client = { res, onLeave, joinedAt: new Date(), ip: req.ip };
+    entry.clients.add(client);
+
+    res.setHeader('Content-Type', entry.contentType);
+    res.status(200);
+    for (const chunk of entry.backlog) {
+      res.write(chunk);
+    }
+
+    res.on('close', () => this.removeClient(entry, client));
+  }
+
+  removeClient(entry, client) {
+    if (!entry.clients.delete(client)) {
+      return;
+    }
+
+    if (client.onLeave) {
+      Promise.resolve(client.onLeave()).catch(error => console.error('Restream leave error:', error));
+    }
+
+    if (entry.clients.size === 0 && this.channels.get(entry.channelId) === entry) {
+      this.scheduleIdle(entry).catch((error) => {
+        console.error('Restream idle error:', error);
+        // Without a grace period the idle upstream is closed right away
+        if (entry.clients.size === 0 && !entry.closed) {
+          this.teardown(entry);
+        }
+      });
+    }
+  }
+
+  // Keep the upstream open for a grace period so quick channel flips don't reconnect
+  async scheduleIdle(entry) {
+    const idleTimeout = await db.getSetting('restream_idle_timeout', 30);
+
+    if (entry.clients.size > 0 || entry.idleTimer) {
+      return;
+    }
+
+    entry.idleTimer = setTimeout(() => {
+      if (entry.clients.size === 0) {
+        this.teardown(entry);
+      }
+    }, idleTimeout * 1000);
+  }
+
+  teardown(entry) {
+    entry.closed = true;
+    clearTimeout(entry.idleTimer);
+
+    if (this.channels.get(entry.channelId) === entry) {
+      this.channels.delete(entry.channelId);
+    }
+
+    if (entry.upstream) {
+      entry.stopWatch();
+      entry.upstream.destroy();
+      entry.upstream = null;
+    }
+
+    for (const client of [...entry.clients]) {
+      client.res.end();
+      this.removeClient(entry, client);
+    }
+  }
+
+  stats() {
+    return [...this.channels.values()].map(entry => ({
+      channel_id: entry.channelId,
+      source_url: entry.source ? entry.source.url : null,
+      viewers: entry.clients.size,
+      started_at: entry.startedAt,
+      bytes_in: entry.bytesIn,
+      idle: entry.clients.size === 0
+    }));
+  }
+
+  viewerCount(channelId) {
+    const entry = this.channels.get(channelId);
+    return entry ? entry.clients.size : 0;
+  }
+}
+
+module.exports = new RestreamHub();
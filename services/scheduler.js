@@ -0,0 +1,66 @@
+const cron = require('node-cron');
+const epgImporter = require('./epgImporter');
+const healthProber = require('./healthProber');
+const archiver = require('./archiver');
+const dvr = require('./dvr');
+const sessionTracker = require('./sessionTracker');
+const serverPool = require('./serverPool');
+const subscriptions = require('./subscriptions');
+
+// Background jobs started once the database is ready
+
+const jobs = [];
+
+const start = () => {
+  // Sessions still open from before the restart would count against connection limits
+  sessionTracker.closeOrphans().catch(error => console.error('Session cleanup error:', error));
+  jobs.push(cron.schedule('* * * * *', () => {
+    sessionTracker.sweep().catch(error => console.error('Session watchdog error:', error));
+    serverPool.reapDown().catch(error => console.error('Edge server watchdog error:', error));
+  }));
+
+  // Recordings cut off by the last shutdown are closed, or resumed if still
+  // inside their window, before new ones start
+  dvr.recover()
+    .then(() => dvr.tick())
+    .catch(error => console.error('Recording schedule error:', error));
+
+  // Recordings start on the minute tick, so padding_before should be at least a minute
+  jobs.push(cron.schedule('* * * * *', () => {
+    dvr.tick().catch(error => console.error('Recording schedule error:', error));
+  }));
+
+  // Sources carry their own last_updated, so a minute tick honours epg_update_interval changes immediately
+  jobs.push(cron.schedule('* * * * *', () => {
+    epgImporter.refreshDue().catch(error => console.error('EPG schedule error:', error));
+  }));
+
+  // Channels carry their own last_health_check, same as EPG sources
+  jobs.push(cron.schedule('* * * * *', () => {
+    healthProber.probeDue().catch(error => console.error('Health check schedule error:', error));
+  }));
+
+  // Restarts recorders that died and applies archive retention; the first run starts them right away
+  archiver.sync().catch(error => console.error('Archive schedule error:', error));
+  jobs.push(cron.schedule('* * * * *', () => {
+    archiver.sync().catch(error => console.error('Archive schedule error:', error));
+  }));
+
+  // Expiry notices, grace downgrades and suspensions; also run at start so a
+  // panel that was down at midnight catches up
+  subscriptions.checkExpiry().catch(error => console.error('Subscription schedule error:', error));
+  jobs.push(cron.schedule('0 0 * * *', () => {
+    subscriptions.checkExpiry().catch(error => console.error('Subscription schedule error:', error));
+  }));
+};
+
+const stop = () => {
+  while (jobs.length > 0) {
+    jobs.pop().stop();
+  }
+};
+
+module.exports = {
+  start,
+  stop
+};
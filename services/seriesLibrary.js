@@ -0,0 +1,300 @@
+const path = require('path');
+const fs = require('fs');
+const db = require('../database/database');
+const mediaLibrary = require('./mediaLibrary');
+const bouquets = require('./bouquets');
+const { extensionOf, parseEpisodeName } = require('../utils/media');
+const { toSqlDate } = require('../utils/time');
+
+// TV series: series -> seasons -> episodes, each episode with its own source
+
+const STATUSES = ['active', 'inactive'];
+
+const isRating = (value) => value === undefined || value === null || value === '' ||
+  (Number(value) >= 0 && Number(value) <= 10);
+
+const isPositiveNumber = (value) => Number.isInteger(Number(value)) && Number(value) > 0;
+
+class SeriesLibrary {
+  validateSeries(series) {
+    if (!isRating(series.rating)) {
+      return 'Rating must be between 0 and 10.';
+    }
+    if (series.status && !STATUSES.includes(series.status)) {
+      return `Status must be one of: ${STATUSES.join(', ')}.`;
+    }
+    return null;
+  }
+
+  validateEpisode(episode) {
+    if (!isPositiveNumber(episode.season_number) || !isPositiveNumber(episode.episode_number)) {
+      return 'season_number and episode_number must be positive numbers.';
+    }
+    const invalidSource = mediaLibrary.validateSource(episode);
+    if (invalidSource) {
+      return invalidSource;
+    }
+    if (!isRating(episode.rating)) {
+      return 'Rating must be between 0 and 10.';
+    }
+    if (episode.status && !STATUSES.includes(episode.status)) {
+      return `Status must be one of: ${STATUSES.join(', ')}.`;
+    }
+    return null;
+  }
+
+  async get(seriesId, { activeOnly = false } = {}) {
+    return db.get(
+      `SELECT s.*, cat.name as category_name
+       FROM series s
+       LEFT JOIN categories cat ON s.category_id = cat.id
+       WHERE s.id = ? ${activeOnly ? "AND s.status = 'active'" : ''}`,
+      [seriesId]
+    );
+  }
+
+  async getSeasons(seriesId, { activeOnly = false } = {}) {
+    return db.all(
+      `SELECT se.*,
+              (SELECT COUNT(*) FROM episodes e
+               WHERE e.season_id = se.id ${activeOnly ? "AND e.status = 'active'" : ''}) as episode_count
+       FROM seasons se
+       WHERE se.series_id = ?
+       ORDER BY se.season_number`,
+      [seriesId]
+    );
+  }
+
+  // Episodes in viewing order
+  async getEpisodes(seriesId, { activeOnly = false } = {}) {
+    return db.all(
+      `SELECT e.*, se.season_number
+       FROM episodes e
+       INNER JOIN seasons se ON e.season_id = se.id
+       WHERE e.series_id = ? ${activeOnly ? "AND e.status = 'active'" : ''}
+       ORDER BY se.season_number, e.episode_number`,
+      [seriesId]
+    );
+  }
+
+  // An episode with its season number and series title; activeOnly also
+  // requires the series to be active
+  async getEpisode(episodeId, { activeOnly = false } = {}) {
+    return db.get(
+      `SELECT e.*, se.season_number, s.title as series_title
+       FROM episodes e
+       INNER JOIN seasons se ON e.season_id = se.id
+       INNER JOIN series s ON e.series_id = s.id
+       WHERE e.id = ? ${activeOnly ? "AND e.status = 'active' AND s.status = 'active'" : ''}`,
+      [episodeId]
+    );
+  }
+
+  async findEpisode(seriesId, seasonNumber, episodeNumber, conn = db) {
+    return conn.get(
+      `SELECT e.id
+       FROM episodes e
+       INNER JOIN seasons se ON e.season_id = se.id
+       WHERE e.series_id = ? AND se.season_number = ? AND e.episode_number = ?`,
+      [seriesId, seasonNumber, episodeNumber]
+    );
+  }
+
+  // Id of a season, created when the series does not have it yet
+  async ensureSeason(seriesId, seasonNumber, conn = db) {
+    await conn.run(
+      'INSERT OR IGNORE INTO seasons (series_id, season_number) VALUES (?, ?)',
+      [seriesId, seasonNumber]
+    );
+    const season = await conn.get(
+      'SELECT id FROM seasons WHERE series_id = ? AND season_number = ?',
+      [seriesId, seasonNumber]
+    );
+    return season.id;
+  }
+
+  // Series are matched by title when playlists and folders are imported.
+  // Import transactions pass their connection as conn.
+  async findOrCreate(title, { posterUrl = null, categoryId = null } = {}, conn = db) {
+    const existing = await conn.get('SELECT id FROM series WHERE title = ? COLLATE NOCASE', [title]);
+    if (existing) {
+      return existing.id;
+    }
+
+    return (await conn.run(
+      'INSERT INTO series (title, poster_url, category_id) VALUES (?, ?, ?)',
+      [title, posterUrl, categoryId]
+    )).id;
+  }
+
+  async addEpisode(seriesId, episode, fields, conn = db) {
+    const seasonId = await this.ensureSeason(seriesId, parseInt(episode.season_number), conn);
+
+    const result = await conn.run(
+      `INSERT INTO episodes (series_id, season_id, episode_number, ${fields.join(', ')})
+       VALUES (?, ?, ?, ${fields.map(() => '?').join(', ')})`,
+      [seriesId, seasonId, parseInt(episode.episode_number),
+        ...fields.map(field => (field === 'status' ? episode.status || 'active' : episode[field] ?? null))]
+    );
+
+    return result.id;
+  }
+
+  // Fill duration, video details and size of a local episode from the file
+  async probeEpisode(episodeId, filePath) {
+    const media = await mediaLibrary.probe(filePath);
+
+    await db.run(
+      `UPDATE episodes SET duration = COALESCE(?, duration), video_codec = ?, resolution = ?, file_size = ?,
+       container_extension = ?, updated_at = ? WHERE id = ?`,
+      [media ? media.duration : null, media ? media.video_codec : null, media ? media.resolution : null,
+        await mediaLibrary.fileSize(filePath), extensionOf(filePath), toSqlDate(new Date()), episodeId]
+    );
+  }
+
+  // Bulk-add episodes named like 'Show.S01E02.Title.mkv', from video files
+  // under a folder or from remote URLs. Episodes the series already has are skipped.
+  async importEpisodes(seriesId, { folder = null, urls = [] } = {}) {
+    const sources = [];
+
+    if (folder) {
+      const stat = await fs.promises.stat(folder).catch(() => null);
+      if (!stat || !stat.isDirectory()) {
+        throw new Error(`Folder not found: ${folder}`);
+      }
+      const { videos } = await mediaLibrary.scan(folder);
+      sources.push(...videos.map(file => ({ name: file, file_path: file })));
+    }
+
+    for (const url of urls) {
+      let name;
+      try {
+        name = decodeURIComponent(path.basename(new URL(url).pathname));
+      } catch (error) {
+        name = null;
+      }
+      sources.push({ name, source_url: url });
+    }
+
+    const result = { imported: 0, skipped: 0, failed: [] };
+
+    for (const source of sources) {
+      const label = source.file_path || source.source_url;
+      const parsed = source.name ? parseEpisodeName(source.name) : null;
+
+      if (!parsed) {
+        result.failed.push({ file: label, error: 'No season and episode number (S01E02) in the name.' });
+        continue;
+      }
+
+      const invalid = mediaLibrary.validateSource(source);
+      if (invalid) {
+        result.failed.push({ file: label, error: invalid });
+        continue;
+      }
+
+      if (await this.findEpisode(seriesId, parsed.season, parsed.episode)) {
+        result.skipped++;
+        continue;
+      }
+
+      const episode = {
+        season_number: parsed.season,
+        episode_number: parsed.episode,
+        title: parsed.title,
+        source_url: source.source_url,
+        file_path: source.file_path,
+        container_extension: extensionOf(source.name) || null
+      };
+      const episodeId = await this.addEpisode(seriesId, episode, ['title', 'source_url', 'file_path', 'container_extension']);
+
+      if (source.file_path) {
+        try {
+          await this.probeEpisode(episodeId, source.file_path);
+        } catch (error) {
+          // Unreadable files are left out so the next import tries them again
+          await db.run('DELETE FROM episodes WHERE id = ?', [episodeId]);
+          result.failed.push({ file: label, error: error.message });
+          continue;
+        }
+      }
+
+      result.imported++;
+    }
+
+    return result;
+  }
+
+  // The episode to play next with the position to resume from. That is the
+  // episode the user was last in if they did not finish it, otherwise the
+  // first unwatched one after it, or the first episode of a series they have
+  // not started. Without saved progress (e.g. Xtream players) every episode
+  // they streamed counts as watched.
+  async nextEpisode(userId, seriesId) {
+    const episodes = await this.getEpisodes(seriesId, { activeOnly: true });
+
+    let watched = await db.all(
+      `SELECT wp.item_id as episode_id, wp.position, wp.completed
+       FROM watch_progress wp
+       INNER JOIN episodes e ON wp.item_type = 'episode' AND wp.item_id = e.id
+       WHERE wp.user_id = ? AND e.series_id = ?
+       ORDER BY wp.updated_at DESC, wp.id DESC`,
+      [userId, seriesId]
+    );
+
+    if (watched.length === 0) {
+      watched = await db.all(
+        `SELECT sl.episode_id, 0 as position, 1 as completed, MAX(sl.id) as last_log
+         FROM stream_logs sl
+         INNER JOIN episodes e ON sl.episode_id = e.id
+         WHERE sl.user_id = ? AND e.series_id = ?
+         GROUP BY sl.episode_id
+         ORDER BY last_log DESC`,
+        [userId, seriesId]
+      );
+    }
+
+    if (watched.length === 0) {
+      return episodes[0] ? { ...episodes[0], resume_position: 0 } : null;
+    }
+
+    const last = watched[0];
+    const lastIndex = episodes.findIndex(episode => episode.id === last.episode_id);
+
+    if (!last.completed && lastIndex !== -1) {
+      return { ...episodes[lastIndex], resume_position: last.position };
+    }
+
+    const watchedIds = new Set(watched.filter(row => row.completed).map(row => row.episode_id));
+    const next = episodes.slice(lastIndex + 1).find(episode => !watchedIds.has(episode.id));
+
+    return next ? { ...next, resume_position: 0 } : null;
+  }
+
+  async removeSeason(seasonId) {
+    await db.run(
+      "DELETE FROM watch_progress WHERE item_type = 'episode' AND item_id IN (SELECT id FROM episodes WHERE season_id = ?)",
+      [seasonId]
+    );
+    await db.run('DELETE FROM episodes WHERE season_id = ?', [seasonId]);
+    await db.run('DELETE FROM seasons WHERE id = ?', [seasonId]);
+  }
+
+  async removeEpisode(episodeId) {
+    await db.run("DELETE FROM watch_progress WHERE item_type = 'episode' AND item_id = ?", [episodeId]);
+    return db.run('DELETE FROM episodes WHERE id = ?', [episodeId]);
+  }
+
+  async remove(seriesId) {
+    await db.run(
+      "DELETE FROM watch_progress WHERE item_type = 'episode' AND item_id IN (SELECT id FROM episodes WHERE series_id = ?)",
+      [seriesId]
+    );
+    await db.run('DELETE FROM episodes WHERE series_id = ?', [seriesId]);
+    await db.run('DELETE FROM seasons WHERE series_id = ?', [seriesId]);
+    await bouquets.removeItem('series', seriesId);
+    await db.run('DELETE FROM series WHERE id = ?', [seriesId]);
+  }
+}
+
+module.exports = new SeriesLibrary();
@@ -0,0 +1,198 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const db = require('../database/database');
+const sessionTracker = require('./sessionTracker');
+const { toDate, toSqlDate } = require('../utils/time');
+
+// Edge streaming servers. Edges run this same app against the panel's
+// database and report their load over the heartbeat API (see edgeAgent);
+// the panel sends viewers to the least-loaded edge that is up, and serves
+// them itself when there is none.
+
+const STATUSES = ['active', 'disabled'];
+
+// Comma-separated server_ids on channels and users
+const splitIds = (value) => String(value || '')
+  .split(',')
+  .map(id => parseInt(id))
+  .filter(id => id > 0);
+
+class ServerPool {
+  constructor() {
+    // Shared live upstreams each edge reported on its last heartbeat
+    this.restream = new Map();
+  }
+
+  parseIds(value) {
+    return Array.isArray(value) ? value.map(id => parseInt(id)).filter(id => id > 0) : splitIds(value);
+  }
+
+  generateKey() {
+    return crypto.randomBytes(24).toString('hex');
+  }
+
+  validateServer(server) {
+    try {
+      const url = new URL(server.url);
+      if (!['http:', 'https:'].includes(url.protocol)) {
+        return 'Server URL must be http or https.';
+      }
+    } catch (error) {
+      return 'Server URL must be an absolute URL, e.g. http://edge1.example.com:3000.';
+    }
+
+    if (server.status && !STATUSES.includes(server.status)) {
+      return `Status must be one of: ${STATUSES.join(', ')}.`;
+    }
+
+    const maxConnections = Number(server.max_connections);
+    if (server.max_connections !== undefined && !(Number.isInteger(maxConnections) && maxConnections >= 0)) {
+      return 'max_connections must be a whole number (0 for no limit).';
+    }
+
+    return null;
+  }
+
+  // Returns an error message when a server_ids list names unknown servers, or null
+  async validateIds(ids) {
+    const servers = await db.all('SELECT id FROM servers');
+    const unknown = ids.filter(id => !servers.some(server => server.id === id));
+    return unknown.length > 0 ? `Unknown server id(s): ${unknown.join(', ')}.` : null;
+  }
+
+  async authenticate(key) {
+    if (!key) {
+      return null;
+    }
+    return db.get('SELECT * FROM servers WHERE api_key = ?', [key]);
+  }
+
+  async heartbeat(serverId, { connections, load, memory, restream }) {
+    await db.run(
+      'UPDATE servers SET connections = ?, load = ?, memory = ?, last_heartbeat = ? WHERE id = ?',
+      [parseInt(connections) || 0, Number(load) || 0, Number(memory) || 0, toSqlDate(new Date()), serverId]
+    );
+
+    this.restream.set(serverId, (Array.isArray(restream) ? restream : []).map(upstream => ({
+      channel_id: parseInt(upstream.channel_id) || null,
+      source_url: upstream.source_url || null,
+      viewers: parseInt(upstream.viewers) || 0,
+      started_at: upstream.started_at || null,
+      bytes_in: parseInt(upstream.bytes_in) || 0,
+      idle: Boolean(upstream.idle)
+    })));
+  }
+
+  // Shared upstreams on the edges that are up, tagged with their server
+  async restreamStats() {
+    const timeout = await db.getSetting('server_heartbeat_timeout', 30);
+    const servers = await db.all('SELECT id, name, status, last_heartbeat FROM servers');
+
+    return servers
+      .filter(server => this.isUp(server, timeout) && this.restream.has(server.id))
+      .flatMap(server => this.restream.get(server.id).map(upstream => ({
+        ...upstream,
+        server_id: server.id,
+        server_name: server.name
+      })));
+  }
+
+  isUp(server, timeout) {
+    const lastHeartbeat = toDate(server.last_heartbeat);
+    return server.status === 'active' && Boolean(lastHeartbeat) && Date.now() - lastHeartbeat.getTime() <= timeout * 1000;
+  }
+
+  // Servers with their open sessions and whether they are up
+  async list() {
+    const timeout = await db.getSetting('server_heartbeat_timeout', 30);
+    const servers = await db.all(`
+      SELECT s.id, s.name, s.url, s.status, s.max_connections, s.connections, s.load, s.memory,
+             s.last_heartbeat, s.created_at,
+             (SELECT COUNT(*) FROM stream_logs WHERE server_id = s.id AND end_time IS NULL) as open_sessions
+      FROM servers s
+      ORDER BY s.name
+    `);
+
+    return servers.map(server => ({ ...server, online: this.isUp(server, timeout) }));
+  }
+
+  // Have the edges that are up apply kills and IP blocks now instead of at
+  // their next heartbeat. Edges that miss this still catch up on the heartbeat.
+  async syncEdges() {
+    const timeout = await db.getSetting('server_heartbeat_timeout', 30);
+    const servers = await db.all('SELECT id, url, api_key, status, last_heartbeat FROM servers');
+
+    for (const server of servers.filter(server => this.isUp(server, timeout))) {
+      axios.post(`${server.url.replace(/\/+$/, '')}/api/edge/sync`, {}, {
+        headers: { 'X-Server-Key': server.api_key },
+        timeout: 5000
+      }).catch(error => console.error(`Edge sync error (server ${server.id}):`, error.message));
+    }
+  }
+
+  // The edge a new session should go to, or null to serve it from here.
+  // Channel and user server_ids narrow the choice; edges are compared by
+  // how full they are and their CPU load, whichever is higher.
+  async pick(userId, channel) {
+    // Edges serve whatever reaches them
+    if (sessionTracker.serverId !== null) {
+      return null;
+    }
+
+    const user = await db.get('SELECT server_ids FROM users WHERE id = ?', [userId]);
+    const allowed = [splitIds(channel.server_ids), splitIds(user && user.server_ids)].filter(ids => ids.length > 0);
+
+    const servers = (await this.list()).filter(server => server.online
+      && allowed.every(ids => ids.includes(server.id))
+      && !(server.max_connections > 0 && server.open_sessions >= server.max_connections));
+
+    const score = (server) => Math.max(
+      server.max_connections > 0 ? server.open_sessions / server.max_connections : 0,
+      server.load || 0
+    );
+
+    servers.sort((a, b) => score(a) - score(b) || a.open_sessions - b.open_sessions);
+    return servers[0] || null;
+  }
+
+  // Absolute URL of a panel path on an edge
+  url(server, path) {
+    return `${server.url.replace(/\/+$/, '')}${path}`;
+  }
+
+  // Take a deleted server out of every channel and user server_ids list
+  async unassign(serverId) {
+    for (const table of ['channels', 'users']) {
+      const rows = await db.all(`SELECT id, server_ids FROM ${table} WHERE server_ids IS NOT NULL AND server_ids != ''`);
+
+      for (const row of rows) {
+        const ids = splitIds(row.server_ids);
+        if (ids.includes(serverId)) {
+          const rest = ids.filter(id => id !== serverId);
+          await db.run(`UPDATE ${table} SET server_ids = ? WHERE id = ?`, [rest.length > 0 ? rest.join(',') : null, row.id]);
+        }
+      }
+    }
+  }
+
+  // Sessions on edges that stopped sending heartbeats (or were deleted) are not coming back
+  async reapDown() {
+    const timeout = await db.getSetting('server_heartbeat_timeout', 30);
+    const logs = await db.all(`
+      SELECT sl.id, sl.start_time, sl.last_activity, s.id as server, s.last_heartbeat
+      FROM stream_logs sl
+      LEFT JOIN servers s ON sl.server_id = s.id
+      WHERE sl.end_time IS NULL AND sl.server_id IS NOT NULL
+    `);
+
+    for (const log of logs) {
+      if (log.server && this.isUp({ status: 'active', last_heartbeat: log.last_heartbeat }, timeout)) {
+        continue;
+      }
+
+      await sessionTracker.end(log.id, 0, toDate(log.last_activity) || toDate(log.start_time) || new Date(), 'server_down');
+    }
+  }
+}
+
+module.exports = new ServerPool();
@@ -0,0 +1,236 @@
+const EventEmitter = require('events');
+const db = require('../database/database');
+const { toDate, toSqlDate } = require('../utils/time');
+
+// Keeps stream_logs accurate: counts the bytes sent to each viewer and ends
+// the session when the response closes, whether the client disconnected or
+// the upstream ended. HLS sessions span many requests, so they stay open
+// while segments are fetched and the watchdog ends them once they go quiet.
+// Emits 'start' and 'end' with the stream log id for the live monitor.
+
+// Wrap res.write/res.end so every byte sent through the response is counted
+const countBytes = (res, onBytes) => {
+  const write = res.write;
+  const end = res.end;
+
+  const count = (chunk, encoding) => {
+    if (chunk && typeof chunk !== 'function') {
+      onBytes(Buffer.isBuffer(chunk) ? chunk.length : Buffer.byteLength(chunk, typeof encoding === 'string' ? encoding : 'utf8'));
+    }
+  };
+
+  res.write = function (chunk, encoding, callback) {
+    count(chunk, encoding);
+    return write.call(this, chunk, encoding, callback);
+  };
+  res.end = function (chunk, encoding, callback) {
+    count(chunk, encoding);
+    return end.call(this, chunk, encoding, callback);
+  };
+};
+
+// End reasons set by admin actions and subscription expiry
+const KILL_REASONS = ['killed', 'kicked', 'blocked', 'replaced', 'expired', 'downgraded'];
+
+class SessionTracker extends EventEmitter {
+  constructor() {
+    super();
+    // logId -> { bytes not yet written to stream_logs, res }
+    this.sessions = new Map();
+    this.responses = new WeakMap();
+    this.sweeping = false;
+    // Edge server this process runs as (see edgeAgent); null on the panel.
+    // Each process sweeps only its own sessions.
+    this.serverId = null;
+  }
+
+  // Mark the moment the viewer actually connected, and which server serves them
+  async begin(logId) {
+    await db.run(
+      'UPDATE stream_logs SET start_time = ?, last_activity = ?, server_id = ? WHERE id = ? AND end_time IS NULL',
+      [toSqlDate(new Date()), toSqlDate(new Date()), this.serverId, logId]
+    );
+    this.emit('start', logId);
+  }
+
+  // Count a long-lived response towards the session and end the session when it closes
+  attach(logId, res) {
+    this.track(logId, res, false);
+  }
+
+  // Count one HLS playlist or segment response; the session stays open
+  touch(logId, res) {
+    this.track(logId, res, true);
+  }
+
+  // Count one response of a session made of several long requests, like a
+  // movie where every seek is a new range request. The session stays open
+  // between them, but counts as live while a response is being sent.
+  serve(logId, res) {
+    this.track(logId, res, true, true);
+  }
+
+  // An attached response turned out to be an HLS playlist after all
+  detach(res) {
+    const session = this.responses.get(res);
+    if (!session) {
+      return;
+    }
+
+    session.keepOpen = true;
+    if (this.sessions.get(session.logId) === session) {
+      this.sessions.delete(session.logId);
+    }
+  }
+
+  track(logId, res, keepOpen, live = !keepOpen) {
+    if (!logId) {
+      return;
+    }
+
+    const session = { logId: String(logId), bytes: 0, keepOpen, res };
+    this.responses.set(res, session);
+    if (live) {
+      this.sessions.set(session.logId, session);
+    }
+
+    countBytes(res, (bytes) => {
+      session.bytes += bytes;
+    });
+
+    res.on('close', () => {
+      if (this.sessions.get(session.logId) === session) {
+        this.sessions.delete(session.logId);
+      }
+
+      // A killed response ends its session even when it would have stayed open
+      const done = session.keepOpen && !session.reason
+        ? db.run(
+          'UPDATE stream_logs SET bytes_transferred = COALESCE(bytes_transferred, 0) + ?, last_activity = ? WHERE id = ? AND end_time IS NULL',
+          [session.bytes, toSqlDate(new Date()), logId]
+        )
+        : this.end(logId, session.bytes, new Date(), session.reason);
+
+      done.catch(error => console.error('Session update error:', error));
+    });
+  }
+
+  // Close a session once; `endTime` defaults to now
+  async end(logId, bytes = 0, endTime = new Date(), reason = 'closed') {
+    const log = await db.get('SELECT start_time FROM stream_logs WHERE id = ? AND end_time IS NULL', [logId]);
+    if (!log) {
+      return;
+    }
+
+    const startTime = toDate(log.start_time) || endTime;
+    const duration = Math.max(0, Math.floor((endTime - startTime) / 1000));
+
+    const result = await db.run(
+      `UPDATE stream_logs SET end_time = ?, duration = ?, bytes_transferred = COALESCE(bytes_transferred, 0) + ?, end_reason = ?
+       WHERE id = ? AND end_time IS NULL`,
+      [toSqlDate(endTime), duration, bytes, reason, logId]
+    );
+
+    if (result.changes > 0) {
+      this.emit('end', parseInt(logId), reason);
+    }
+  }
+
+  // Cut a session off: its response is destroyed now, and HLS requests
+  // carrying its id are refused from here on (see state)
+  async kill(logId, reason = 'killed') {
+    const session = this.sessions.get(String(logId));
+    if (session) {
+      // The close handler ends the session with the bytes sent so far
+      session.reason = reason;
+      session.res.destroy();
+      return;
+    }
+
+    await this.end(logId, 0, new Date(), reason);
+  }
+
+  // Whether a session is still open, and whether an admin cut it off
+  async state(logId) {
+    const log = await db.get('SELECT end_time, end_reason FROM stream_logs WHERE id = ?', [logId]);
+    return {
+      open: Boolean(log && !log.end_time),
+      killed: Boolean(log && KILL_REASONS.includes(log.end_reason))
+    };
+  }
+
+  // Bytes sent on a live response that the next flush has yet to write
+  pendingBytes(logId) {
+    const session = this.sessions.get(String(logId));
+    return session ? session.bytes : 0;
+  }
+
+  // Write byte counts of running sessions so stats stay current during long streams.
+  // Sessions ended by another process, like a kill on the panel while an
+  // edge serves the viewer, are cut off here.
+  async flush() {
+    for (const [logId, session] of this.sessions) {
+      const bytes = session.bytes;
+      session.bytes = 0;
+
+      const result = await db.run(
+        'UPDATE stream_logs SET bytes_transferred = COALESCE(bytes_transferred, 0) + ?, last_activity = ? WHERE id = ? AND end_time IS NULL',
+        [bytes, toSqlDate(new Date()), logId]
+      );
+
+      if (result.changes === 0) {
+        session.res.destroy();
+      }
+    }
+  }
+
+  // End sessions nothing is serving: HLS viewers that stopped fetching and
+  // /play requests the player never followed up on
+  async sweep() {
+    if (this.sweeping) {
+      return;
+    }
+
+    this.sweeping = true;
+    try {
+      await this.flush();
+
+      const idleTimeout = await db.getSetting('session_idle_timeout', 60);
+      const open = await db.all(
+        'SELECT id, start_time, last_activity FROM stream_logs WHERE end_time IS NULL AND server_id IS ?',
+        [this.serverId]
+      );
+
+      for (const log of open) {
+        if (this.sessions.has(String(log.id))) {
+          continue;
+        }
+
+        const lastSeen = toDate(log.last_activity) || toDate(log.start_time);
+        if (!lastSeen || Date.now() - lastSeen.getTime() > idleTimeout * 1000) {
+          await this.end(log.id, 0, lastSeen || new Date(), 'idle');
+        }
+      }
+    } finally {
+      this.sweeping = false;
+    }
+  }
+
+  // Nothing is streaming right after a restart, so every open session is an orphan
+  async closeOrphans() {
+    const open = await db.all(
+      'SELECT id, start_time, last_activity FROM stream_logs WHERE end_time IS NULL AND server_id IS ?',
+      [this.serverId]
+    );
+
+    for (const log of open) {
+      await this.end(log.id, 0, toDate(log.last_activity) || toDate(log.start_time) || new Date(), 'restart');
+    }
+
+    if (open.length > 0) {
+      console.log(`Closed ${open.length} stream sessions left open by the last shutdown`);
+    }
+  }
+}
+
+module.exports = new SessionTracker();
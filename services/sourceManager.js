@@ -0,0 +1,173 @@
+const axios = require('axios');
+const { PassThrough } = require('stream');
+const db = require('../database/database');
+const bouquets = require('./bouquets');
+const { toSqlDate } = require('../utils/time');
+const { isHlsResponse } = require('../utils/hls');
+const { readFirstChunk } = require('../utils/stream');
+
+// Ordered upstream sources per channel: channels.stream_url first, then
+// channel_sources by priority. Remembers the source that last worked so new
+// viewers go straight to it.
+
+class SourceManager {
+  constructor() {
+    // Channel id -> URL of the source currently considered healthy
+    this.active = new Map();
+  }
+
+  async getSources(channel) {
+    const backups = await db.all(
+      'SELECT id, url FROM channel_sources WHERE channel_id = ? AND enabled = 1 ORDER BY priority, id',
+      [channel.id]
+    );
+
+    return [{ id: null, url: channel.stream_url }, ...backups].filter(source => source.url);
+  }
+
+  // Sources in the order to try them: the healthy one first (or the one after
+  // `after` when failing over), wrapping around to the primary
+  async orderedSources(channel, after) {
+    const sources = await this.getSources(channel);
+
+    let start = 0;
+    if (after) {
+      start = sources.findIndex(source => source.url === after) + 1;
+    } else if (this.active.has(channel.id)) {
+      start = Math.max(sources.findIndex(source => source.url === this.active.get(channel.id)), 0);
+    }
+
+    return [...sources.slice(start), ...sources.slice(0, start)];
+  }
+
+  // Open the first source that answers. Resolves { response, source, firstChunk, timeout };
+  // firstChunk is null for HLS responses, whose body is left unread.
+  async open(channel, { headers = {}, after } = {}) {
+    const timeout = (await db.getSetting('stream_timeout', 30)) * 1000;
+    const sources = await this.orderedSources(channel, after);
+    let lastError = new Error('Channel has no sources');
+
+    for (const source of sources) {
+      try {
+        const response = await axios({
+          method: 'GET',
+          url: source.url,
+          responseType: 'stream',
+          headers,
+          timeout
+        });
+
+        let firstChunk = null;
+        if (!isHlsResponse(response.headers['content-type'], source.url)) {
+          firstChunk = await readFirstChunk(response.data, timeout);
+        }
+
+        await this.markOnline(channel, source);
+        return { response, source, firstChunk, timeout };
+      } catch (error) {
+        lastError = error;
+        await this.markFailed(channel, source, error);
+      }
+    }
+
+    throw lastError;
+  }
+
+  // ffmpeg input for a channel: the URL for HLS sources (ffmpeg follows the
+  // playlist itself), otherwise the opened upstream as a stream for stdin.
+  // Resolves { input, upstream }; upstream is null for HLS.
+  async openInput(channel) {
+    const { response, source, firstChunk } = await this.open(channel, {
+      headers: { 'User-Agent': 'IPTV-Panel/1.0' }
+    });
+
+    if (isHlsResponse(response.headers['content-type'], source.url)) {
+      response.data.destroy();
+      return { input: source.url, upstream: null };
+    }
+
+    const input = new PassThrough();
+    input.write(firstChunk);
+    response.data.pipe(input);
+    response.data.on('error', () => input.end());
+
+    return { input, upstream: response.data };
+  }
+
+  async markOnline(channel, source) {
+    if (this.active.get(channel.id) === source.url) {
+      return;
+    }
+
+    this.active.set(channel.id, source.url);
+
+    if (source.id) {
+      await db.run(
+        'UPDATE channel_sources SET status = ?, last_error = NULL, fail_count = 0, last_checked = ? WHERE id = ?',
+        ['online', toSqlDate(new Date()), source.id]
+      );
+    }
+  }
+
+  async markFailed(channel, source, error) {
+    console.warn(`Source failed for channel ${channel.id} (${source.url}):`, error.message);
+
+    if (this.active.get(channel.id) === source.url) {
+      this.active.delete(channel.id);
+    }
+
+    if (source.id) {
+      await db.run(
+        'UPDATE channel_sources SET status = ?, last_error = ?, fail_count = fail_count + 1, last_checked = ? WHERE id = ?',
+        ['offline', error.message, toSqlDate(new Date()), source.id]
+      );
+    }
+  }
+
+  // Call onStall when no data arrives for `timeout` ms; returns a function that stops watching
+  watchStall(stream, timeout, onStall) {
+    let timer = null;
+    const reset = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        stop();
+        onStall(new Error('Upstream stalled'));
+      }, timeout);
+    };
+    const stop = () => {
+      clearTimeout(timer);
+      stream.off('data', reset);
+      stream.off('end', stop);
+      stream.off('close', stop);
+    };
+
+    stream.on('data', reset);
+    stream.on('end', stop);
+    stream.on('close', stop);
+    reset();
+
+    return stop;
+  }
+
+  activeSource(channelId) {
+    return this.active.get(channelId) || null;
+  }
+
+  // Delete a channel with its sources, health checks, guide and bouquet
+  // entries. Scheduled recordings fail when they start, archives are dropped
+  // on the next archiver run and finished recordings are kept. Call forget()
+  // once the deletion is committed.
+  async removeChannel(channelId, conn = db) {
+    await conn.run('DELETE FROM channel_sources WHERE channel_id = ?', [channelId]);
+    await conn.run('DELETE FROM channel_health WHERE channel_id = ?', [channelId]);
+    await conn.run('DELETE FROM epg WHERE channel_id = ?', [channelId]);
+    await bouquets.removeItem('channel', channelId, conn);
+    await conn.run('DELETE FROM channels WHERE id = ?', [channelId]);
+  }
+
+  forget(channelId) {
+    this.active.delete(parseInt(channelId));
+  }
+}
+
+module.exports = new SourceManager();
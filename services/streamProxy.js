@@ -0,0 +1,139 @@
+const restreamHub = require('./restreamHub');
+const sourceManager = require('./sourceManager');
+const transcoder = require('./transcoder');
+const sessionTracker = require('./sessionTracker');
+const { sendPlaylist } = require('./hlsProxy');
+const { isHlsUrl, isHlsResponse } = require('../utils/hls');
+const { normalizeIp } = require('../utils/ip');
+
+// Run the upstream through ffmpeg instead of passing it through
+const transcodeStream = async (req, res, stream, logId, profile) => {
+  try {
+    if (profile) {
+      await transcoder.serve(req, res, stream, profile, logId);
+    } else {
+      await transcoder.serveLadder(req, res, stream, logId);
+    }
+  } catch (transcodeError) {
+    console.error('Transcode error:', transcodeError.message);
+    await sessionTracker.end(logId);
+    if (!res.headersSent) {
+      if (transcodeError.code === 'TRANSCODE_LIMIT') {
+        res.status(503).json({
+          error: 'Transcoding capacity reached. Try again later.'
+        });
+      } else {
+        res.status(502).json({
+          error: 'Failed to transcode stream.'
+        });
+      }
+    }
+  }
+};
+
+// Pipe an upstream stream to the client, closing the stream log when it ends.
+// `profile` transcodes through a profile; `abr` serves the channel's bitrate ladder.
+const proxyStream = async (req, res, stream, logId, { profile, abr } = {}) => {
+  if (logId) {
+    await sessionTracker.begin(logId);
+  }
+
+  // HLS output is fetched by later requests, which keep the session alive.
+  // Everything else is a single long response: the session ends when it closes.
+  const hlsOutput = profile ? profile.output_format === 'hls' : abr;
+  if (!hlsOutput) {
+    sessionTracker.attach(logId, res);
+  }
+
+  if (profile || abr) {
+    return transcodeStream(req, res, stream, logId, profile);
+  }
+
+  // Set headers for streaming
+  res.setHeader('Content-Type', 'video/mp2t');
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Range');
+
+  // Handle range requests
+  const range = req.headers.range;
+  if (range) {
+    res.setHeader('Accept-Ranges', 'bytes');
+  }
+
+  // Proxy the stream
+  try {
+    // Live channels share one upstream connection through the restream hub
+    if (stream.stream_type === 'live' && !isHlsUrl(stream.stream_url)) {
+      const joined = await restreamHub.join(stream, req, res);
+      if (joined) {
+        return;
+      }
+    }
+
+    const { response, source, firstChunk, timeout } = await sourceManager.open(stream, {
+      headers: {
+        'User-Agent': req.get('User-Agent') || 'IPTV-Panel/1.0',
+        'Range': range || undefined
+      }
+    });
+
+    // HLS playlists are rewritten so segments are fetched through the panel;
+    // the session then lives on through those requests
+    if (isHlsResponse(response.headers['content-type'], source.url)) {
+      sessionTracker.detach(res);
+      await sendPlaylist(res, response, {
+        userId: req.user.id,
+        channelId: stream.id,
+        logId,
+        ip: normalizeIp(req.ip)
+      }, source.url);
+      return;
+    }
+
+    // Forward headers
+    if (response.headers['content-type']) {
+      res.setHeader('Content-Type', response.headers['content-type']);
+    }
+    if (response.headers['content-length']) {
+      res.setHeader('Content-Length', response.headers['content-length']);
+    }
+    if (response.headers['accept-ranges']) {
+      res.setHeader('Accept-Ranges', response.headers['accept-ranges']);
+    }
+    if (response.headers['content-range']) {
+      res.setHeader('Content-Range', response.headers['content-range']);
+    }
+    if (response.status === 206) {
+      res.status(206);
+    }
+
+    // Pipe the stream
+    res.write(firstChunk);
+    response.data.pipe(res);
+
+    // Byte offsets differ between sources, so a stall mid-stream ends the response
+    sourceManager.watchStall(response.data, timeout, async (error) => {
+      console.error('Stream proxy error:', error.message);
+      response.data.destroy();
+      res.end();
+    });
+    req.on('close', () => response.data.destroy());
+
+    // Handle stream error
+    response.data.on('error', (error) => {
+      console.error('Stream proxy error:', error);
+      res.end();
+    });
+
+  } catch (proxyError) {
+    console.error('Proxy error:', proxyError);
+    res.status(502).json({
+      error: 'Failed to proxy stream.'
+    });
+  }
+};
+
+module.exports = {
+  proxyStream
+};
@@ -0,0 +1,66 @@
+const crypto = require('crypto');
+const db = require('../database/database');
+const { JWT_SECRET } = require('../middleware/auth');
+
+// HMAC-signed tokens embedded in panel stream URLs
+
+const STREAM_SECRET = process.env.STREAM_SECRET || JWT_SECRET;
+
+// Default lifetime of a signed URL in seconds
+const DEFAULT_TTL = 5 * 60;
+
+// Lifetime of stream URLs handed to players, from the stream_token_ttl setting
+const tokenTtl = () => db.getSetting('stream_token_ttl', DEFAULT_TTL);
+
+const signature = (data) => crypto
+  .createHmac('sha256', STREAM_SECRET)
+  .update(data)
+  .digest('base64url');
+
+const sign = (payload, ttl = DEFAULT_TTL) => {
+  const data = Buffer.from(JSON.stringify({
+    ...payload,
+    e: Math.floor(Date.now() / 1000) + ttl
+  })).toString('base64url');
+
+  return `${data}.${signature(data)}`;
+};
+
+// Expired more than `grace` seconds ago
+const isExpired = (payload, grace = 0) => payload.e + grace < Math.floor(Date.now() / 1000);
+
+// A token with the same claims and a new stream_token_ttl lifetime
+const reissue = async (payload) => {
+  const { e, ...claims } = payload;
+  return sign(claims, await tokenTtl());
+};
+
+// Returns the payload, or null when the token is forged, malformed or expired.
+// `ignoreExpiry` leaves the expiry check to the caller (see isExpired).
+const verify = (token, { ignoreExpiry = false } = {}) => {
+  const [data, sig] = String(token || '').split('.');
+  if (!data || !sig) {
+    return null;
+  }
+
+  const expected = Buffer.from(signature(data));
+  const actual = Buffer.from(sig);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(data, 'base64url').toString('utf8'));
+    return ignoreExpiry || !isExpired(payload) ? payload : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  sign,
+  verify,
+  isExpired,
+  reissue,
+  tokenTtl
+};
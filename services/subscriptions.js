@@ -0,0 +1,232 @@
+const axios = require('axios');
+const db = require('../database/database');
+const bouquets = require('./bouquets');
+const connectionMonitor = require('./connectionMonitor');
+const { toDate, toSqlDate } = require('../utils/time');
+
+// Subscription plans and what happens around expiry: notices at the
+// expiry_notice_days offsets, then suspension. With expiry_mode 'grace',
+// expired accounts are first downgraded for grace_period_days.
+
+const DAY = 24 * 60 * 60 * 1000;
+const STATUSES = ['active', 'inactive'];
+
+const formatDay = (date) => toSqlDate(date).slice(0, 10);
+
+class Subscriptions {
+  validatePlan(plan) {
+    if (!(parseInt(plan.duration_days) > 0)) {
+      return 'duration_days must be a positive number of days.';
+    }
+    if (plan.max_connections !== undefined && plan.max_connections !== null && !(parseInt(plan.max_connections) > 0)) {
+      return 'max_connections must be at least 1.';
+    }
+    if (plan.price !== undefined && plan.price !== null && plan.price !== '' && !(Number(plan.price) >= 0)) {
+      return 'Price must be 0 or more.';
+    }
+    if (plan.status && !STATUSES.includes(plan.status)) {
+      return `Status must be one of: ${STATUSES.join(', ')}.`;
+    }
+    return null;
+  }
+
+  async getPlan(planId) {
+    const plan = await db.get('SELECT * FROM plans WHERE id = ?', [planId]);
+    if (!plan) {
+      return null;
+    }
+
+    const rows = await db.all('SELECT bouquet_id FROM plan_bouquets WHERE plan_id = ? ORDER BY id', [plan.id]);
+    return { ...plan, bouquet_ids: rows.map(row => row.bouquet_id) };
+  }
+
+  async setPlanBouquets(planId, bouquetIds) {
+    await db.transaction(async () => {
+      await db.run('DELETE FROM plan_bouquets WHERE plan_id = ?', [planId]);
+      for (const bouquetId of bouquetIds) {
+        await db.run('INSERT OR IGNORE INTO plan_bouquets (plan_id, bouquet_id) VALUES (?, ?)', [planId, bouquetId]);
+      }
+    });
+  }
+
+  // Users keep their current limits when their plan is deleted
+  async removePlan(planId) {
+    await db.run('UPDATE users SET plan_id = NULL WHERE plan_id = ?', [planId]);
+    await db.run('DELETE FROM plan_bouquets WHERE plan_id = ?', [planId]);
+    await db.run('DELETE FROM plans WHERE id = ?', [planId]);
+  }
+
+  // Days expired accounts keep (downgraded) access; 0 unless expiry_mode is 'grace'
+  async graceDays() {
+    if ((await db.getSetting('expiry_mode', 'suspend')) !== 'grace') {
+      return 0;
+    }
+    return Math.max(0, parseInt(await db.getSetting('grace_period_days', 7)) || 0);
+  }
+
+  // Whether a user's access has ended: at expires_at, or at the end of the grace period
+  async hasExpired(user, now = new Date()) {
+    const expiresAt = toDate(user.expires_at);
+    if (!expiresAt || expiresAt >= now) {
+      return false;
+    }
+    return expiresAt.getTime() + (await this.graceDays()) * DAY < now.getTime();
+  }
+
+  // Put a user on a plan for duration_days with its connections and bouquets.
+  // Time left on the current subscription is kept; lapsed ones start today.
+  // Suspended accounts are reactivated, banned ones stay banned.
+  async applyPlan(userId, plan) {
+    const user = await db.get('SELECT expires_at FROM users WHERE id = ?', [userId]);
+    const now = new Date();
+    const current = toDate(user.expires_at);
+    const from = current && current > now ? current : now;
+    const expiresAt = toSqlDate(new Date(from.getTime() + plan.duration_days * DAY));
+
+    await db.run(
+      `UPDATE users SET plan_id = ?, max_connections = ?, expires_at = ?, grace_started_at = NULL,
+       pre_grace_max_connections = NULL, pre_grace_bouquet_ids = NULL,
+       status = CASE WHEN status = 'suspended' THEN 'active' ELSE status END, updated_at = ?
+       WHERE id = ?`,
+      [plan.id, plan.max_connections, expiresAt, toSqlDate(now), userId]
+    );
+    await bouquets.assign(userId, plan.bouquet_ids);
+
+    return expiresAt;
+  }
+
+  // Store a notification for the user, once per kind, offset and expiry date,
+  // and POST it to notification_webhook_url. Resolves whether it is new.
+  async notify(user, kind, days, expiresAt, message) {
+    const result = await db.run(
+      `INSERT OR IGNORE INTO notifications (user_id, kind, days, expires_at, message)
+       VALUES (?, ?, ?, ?, ?)`,
+      [user.id, kind, days, toSqlDate(expiresAt), message]
+    );
+    if (result.changes === 0) {
+      return false;
+    }
+
+    const url = await db.getSetting('notification_webhook_url', '');
+    if (url) {
+      axios.post(url, {
+        event: `subscription.${kind}`,
+        user: { id: user.id, username: user.username, email: user.email },
+        expires_at: toSqlDate(expiresAt),
+        message
+      }, { timeout: 10000 }).catch(error => console.error('Notification webhook error:', error.message));
+    }
+
+    return true;
+  }
+
+  // Limit an expired account to grace_max_connections and the
+  // grace_bouquet_ids (their own bouquets when empty) until the grace period
+  // ends. What they had before is kept for endGrace().
+  async downgrade(user, expiresAt, graceEnd) {
+    const maxConnections = parseInt(await db.getSetting('grace_max_connections', 1)) || 1;
+    const bouquetIds = bouquets.parseIds(await db.getSetting('grace_bouquet_ids', ''));
+    const previousBouquets = bouquetIds.length > 0 ? (await bouquets.userBouquetIds(user.id)).join(',') : null;
+
+    await db.run(
+      `UPDATE users SET max_connections = ?, pre_grace_max_connections = ?, pre_grace_bouquet_ids = ?,
+       grace_started_at = ?, updated_at = ? WHERE id = ?`,
+      [Math.min(user.max_connections || 1, maxConnections), user.max_connections, previousBouquets,
+        toSqlDate(new Date()), toSqlDate(new Date()), user.id]
+    );
+    if (bouquetIds.length > 0) {
+      await bouquets.assign(user.id, bouquetIds);
+    }
+
+    // Players reconnect under the reduced limits
+    await connectionMonitor.kickUser(user.id, 'downgraded');
+
+    await this.notify(user, 'grace', 0, expiresAt,
+      `Your subscription expired on ${formatDay(expiresAt)}. Your account is limited until ${formatDay(graceEnd)}; renew to restore it.`);
+  }
+
+  // Take a user whose expiry moved into the future out of the grace period,
+  // restoring the connections and bouquets they had before the downgrade.
+  // keepConnections leaves a max_connections the admin just set alone.
+  async endGrace(userId, { keepConnections = false } = {}) {
+    const user = await db.get(
+      'SELECT grace_started_at, pre_grace_max_connections, pre_grace_bouquet_ids FROM users WHERE id = ?',
+      [userId]
+    );
+    if (!user || !user.grace_started_at) {
+      return false;
+    }
+
+    await db.run(
+      `UPDATE users SET max_connections = COALESCE(?, max_connections), grace_started_at = NULL,
+       pre_grace_max_connections = NULL, pre_grace_bouquet_ids = NULL, updated_at = ? WHERE id = ?`,
+      [keepConnections ? null : user.pre_grace_max_connections, toSqlDate(new Date()), userId]
+    );
+    if (user.pre_grace_bouquet_ids !== null) {
+      await bouquets.assign(userId, bouquets.parseIds(user.pre_grace_bouquet_ids));
+    }
+
+    return true;
+  }
+
+  async suspend(user, expiresAt) {
+    await db.run("UPDATE users SET status = 'suspended', updated_at = ? WHERE id = ?", [toSqlDate(new Date()), user.id]);
+    await connectionMonitor.kickUser(user.id, 'expired');
+    await db.run('DELETE FROM user_sessions WHERE user_id = ?', [user.id]);
+
+    await this.notify(user, 'suspended', 0, expiresAt,
+      `Your subscription expired on ${formatDay(expiresAt)} and your account has been suspended.`);
+  }
+
+  // The daily expiry run. Users are told at the smallest notice offset that
+  // covers the days they have left, so a late start does not send every notice at once.
+  async checkExpiry(now = new Date()) {
+    const offsets = bouquets.parseIds(await db.getSetting('expiry_notice_days', '7,3,1')).sort((a, b) => a - b);
+    const graceDays = await this.graceDays();
+    const result = { notified: 0, downgraded: 0, suspended: 0 };
+
+    const users = await db.all(
+      `SELECT id, username, email, max_connections, expires_at, grace_started_at
+       FROM users WHERE status = 'active' AND expires_at IS NOT NULL`
+    );
+
+    for (const user of users) {
+      const expiresAt = toDate(user.expires_at);
+      if (!expiresAt) {
+        continue;
+      }
+
+      if (expiresAt > now) {
+        // Extended without going through applyPlan()
+        if (user.grace_started_at) {
+          await this.endGrace(user.id);
+        }
+
+        const daysLeft = Math.ceil((expiresAt - now) / DAY);
+        const offset = offsets.find(days => days >= daysLeft);
+
+        if (offset !== undefined && await this.notify(user, 'expiring', offset, expiresAt,
+          `Your subscription expires on ${formatDay(expiresAt)}, in ${daysLeft} day${daysLeft === 1 ? '' : 's'}.`)) {
+          result.notified++;
+        }
+        continue;
+      }
+
+      const graceEnd = new Date(expiresAt.getTime() + graceDays * DAY);
+      if (graceEnd > now) {
+        if (!user.grace_started_at) {
+          await this.downgrade(user, expiresAt, graceEnd);
+          result.downgraded++;
+        }
+        continue;
+      }
+
+      await this.suspend(user, expiresAt);
+      result.suspended++;
+    }
+
+    return result;
+  }
+}
+
+module.exports = new Subscriptions();
@@ -0,0 +1,418 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const ffmpeg = require('fluent-ffmpeg');
+const db = require('../database/database');
+const sourceManager = require('./sourceManager');
+const { sign, tokenTtl } = require('./streamSigner');
+const { normalizeIp } = require('../utils/ip');
+
+// Runs ffmpeg over channel upstreams according to transcode profiles
+
+const TRANSCODE_DIR = process.env.TRANSCODE_DIR || path.join(os.tmpdir(), 'iptv-panel', 'transcodes');
+
+const OUTPUT_FORMATS = ['mpegts', 'hls'];
+const VIDEO_CODECS = ['libx264', 'libx265', 'copy', 'none'];
+const AUDIO_CODECS = ['aac', 'libmp3lame', 'ac3', 'copy', 'none'];
+
+const HLS_SEGMENT_SECONDS = 4;
+const HLS_LIST_SIZE = 6;
+
+// HLS jobs stop once nobody has fetched the playlist or a segment for this long
+const HLS_IDLE_SECONDS = 30;
+
+// Adaptive bitrate ladder renditions; bitrates in kbps
+const RENDITIONS = {
+  '1080p': { height: 1080, video_bitrate: 5000, audio_bitrate: 128 },
+  '720p': { height: 720, video_bitrate: 2800, audio_bitrate: 128 },
+  '480p': { height: 480, video_bitrate: 1200, audio_bitrate: 96 },
+  '360p': { height: 360, video_bitrate: 700, audio_bitrate: 96 },
+  '240p': { height: 240, video_bitrate: 400, audio_bitrate: 64 }
+};
+
+const DEFAULT_RENDITIONS = ['1080p', '720p', '480p'];
+
+// Rendition names from a channel's abr_renditions, highest first
+const parseRenditions = (value) => String(value || DEFAULT_RENDITIONS.join(','))
+  .split(',')
+  .map(name => name.trim())
+  .filter(name => RENDITIONS[name])
+  .sort((a, b) => RENDITIONS[b].height - RENDITIONS[a].height);
+
+const hlsOutputOptions = (dir, segmentName) => [
+  '-hls_time', String(HLS_SEGMENT_SECONDS),
+  '-hls_list_size', String(HLS_LIST_SIZE),
+  '-hls_flags', 'delete_segments+independent_segments+omit_endlist',
+  '-hls_segment_filename', path.join(dir, segmentName)
+];
+
+// ffmpeg's complaint when a ladder with audio gets a source without any
+const NO_AUDIO_ERROR = /Unable to map stream at a:|matches no streams/i;
+
+// One scaled H.264 output per rendition, written as HLS variants under a
+// master playlist. `audio` false leaves audio out for video-only sources.
+const applyLadder = (command, renditions, dir, { audio = true } = {}) => {
+  const split = `[0:v]split=${renditions.length}${renditions.map((name, i) => `[v${i}]`).join('')}`;
+  const scales = renditions.map((name, i) => `[v${i}]scale=-2:${RENDITIONS[name].height}[v${i}out]`);
+  command.complexFilter([split, ...scales].join(';'));
+
+  const options = [];
+  renditions.forEach((name, i) => {
+    const { video_bitrate: videoBitrate, audio_bitrate: audioBitrate } = RENDITIONS[name];
+    options.push(
+      '-map', `[v${i}out]`,
+      `-b:v:${i}`, `${videoBitrate}k`,
+      `-maxrate:v:${i}`, `${Math.round(videoBitrate * 1.07)}k`,
+      `-bufsize:v:${i}`, `${videoBitrate * 1.5}k`
+    );
+    if (audio) {
+      options.push('-map', '0:a:0?', `-b:a:${i}`, `${audioBitrate}k`);
+    }
+  });
+
+  // Passed as separate arguments so fluent-ffmpeg doesn't split values containing spaces
+  command
+    .output(path.join(dir, 'stream_%v.m3u8'))
+    .format('hls')
+    .outputOptions(
+      ...options,
+      '-c:v', 'libx264', '-preset', 'veryfast', '-g', '50', '-sc_threshold', '0',
+      ...(audio ? ['-c:a', 'aac'] : []),
+      ...hlsOutputOptions(dir, 'stream_%v_%d.ts'),
+      '-master_pl_name', 'master.m3u8',
+      '-var_stream_map', renditions.map((name, i) => `v:${i},${audio ? `a:${i},` : ''}name:${name}`).join(' ')
+    );
+};
+
+const applyProfile = (command, profile) => {
+  if (profile.video_codec === 'none') {
+    command.noVideo();
+  } else {
+    command.videoCodec(profile.video_codec || 'libx264');
+
+    if (profile.video_codec !== 'copy') {
+      if (profile.video_bitrate) {
+        command.videoBitrate(profile.video_bitrate);
+      }
+      // Only ever scale down
+      if (profile.max_height) {
+        command.videoFilters(`scale=-2:'min(${parseInt(profile.max_height)},ih)'`);
+      }
+      command.outputOptions(['-preset', profile.preset || 'veryfast', '-g', '50', '-sc_threshold', '0']);
+    }
+  }
+
+  if (profile.audio_codec === 'none') {
+    command.noAudio();
+  } else {
+    command.audioCodec(profile.audio_codec || 'aac');
+
+    if (profile.audio_codec !== 'copy' && profile.audio_bitrate) {
+      command.audioBitrate(profile.audio_bitrate);
+    }
+  }
+};
+
+const limitError = () => {
+  const error = new Error('Transcoding capacity reached');
+  error.code = 'TRANSCODE_LIMIT';
+  return error;
+};
+
+class Transcoder {
+  constructor() {
+    this.jobs = new Map();
+    // Channels whose upstream turned out to have no audio track
+    this.videoOnly = new Set();
+    // Processes that never call init() get a directory of their own
+    this.dir = path.join(TRANSCODE_DIR, `process-${process.pid}`);
+  }
+
+  // Called once at startup with a name unique to this server, so a panel and
+  // edges sharing TRANSCODE_DIR each clear only their own leftover output
+  async init(scope) {
+    this.dir = path.join(TRANSCODE_DIR, scope);
+    await fs.promises.rm(this.dir, { recursive: true, force: true });
+  }
+
+  // Returns an error message for invalid profile fields, or null
+  validateProfile(profile) {
+    if (profile.output_format && !OUTPUT_FORMATS.includes(profile.output_format)) {
+      return `Output format must be one of: ${OUTPUT_FORMATS.join(', ')}.`;
+    }
+    if (profile.video_codec && !VIDEO_CODECS.includes(profile.video_codec)) {
+      return `Video codec must be one of: ${VIDEO_CODECS.join(', ')}.`;
+    }
+    if (profile.audio_codec && !AUDIO_CODECS.includes(profile.audio_codec)) {
+      return `Audio codec must be one of: ${AUDIO_CODECS.join(', ')}.`;
+    }
+    if (profile.video_codec === 'none' && profile.audio_codec === 'none') {
+      return 'A profile needs at least one of video or audio.';
+    }
+    return null;
+  }
+
+  async getProfile(profileId) {
+    return db.get('SELECT * FROM transcode_profiles WHERE id = ?', [profileId]);
+  }
+
+  // Reserve a slot under max_transcodes before doing any slow work. Callers
+  // read the limit beforehand so nothing awaits between their lookup of
+  // this.jobs and the reservation.
+  createJob(id, channel, profileId, output, maxTranscodes) {
+    if (this.jobs.size >= maxTranscodes) {
+      throw limitError();
+    }
+
+    const job = {
+      id,
+      channelId: channel.id,
+      profileId,
+      output,
+      entry: null,
+      command: null,
+      upstream: null,
+      dir: null,
+      idleTimer: null,
+      lastAccess: Date.now(),
+      startedAt: new Date(),
+      closed: false
+    };
+
+    this.jobs.set(id, job);
+    return job;
+  }
+
+  async openInput(job, channel) {
+    const { input, upstream } = await sourceManager.openInput(channel);
+    job.upstream = upstream;
+    return input;
+  }
+
+  endJob(job) {
+    if (job.closed) {
+      return;
+    }
+
+    job.closed = true;
+    if (this.jobs.get(job.id) === job) {
+      this.jobs.delete(job.id);
+    }
+    clearInterval(job.idleTimer);
+
+    if (job.command) {
+      job.command.kill('SIGKILL');
+    }
+    if (job.upstream) {
+      job.upstream.destroy();
+    }
+    if (job.dir) {
+      fs.rm(job.dir, { recursive: true, force: true }, () => {});
+    }
+  }
+
+  // One ffmpeg per viewer, output piped straight into the response
+  async streamMpegts(res, channel, profile) {
+    const maxTranscodes = await db.getSetting('max_transcodes', 2);
+    const job = this.createJob(crypto.randomBytes(8).toString('hex'), channel, profile.id, 'mpegts', maxTranscodes);
+
+    let input;
+    try {
+      input = await this.openInput(job, channel);
+    } catch (error) {
+      this.endJob(job);
+      throw error;
+    }
+
+    return new Promise((resolve) => {
+      job.command = ffmpeg(input);
+      applyProfile(job.command, profile);
+      job.command.format('mpegts');
+
+      job.command.on('error', (error) => {
+        if (!job.closed) {
+          console.error(`Transcode error (channel ${channel.id}, profile ${profile.name}):`, error.message);
+          if (!res.headersSent) {
+            res.status(502).json({
+              error: 'Failed to transcode stream.'
+            });
+          }
+        }
+        this.endJob(job);
+        res.end();
+        resolve();
+      });
+
+      job.command.on('end', () => {
+        this.endJob(job);
+        resolve();
+      });
+
+      res.on('close', () => this.endJob(job));
+
+      res.setHeader('Content-Type', 'video/mp2t');
+      job.command.pipe(res, { end: true });
+    });
+  }
+
+  // HLS output is shared by every viewer of the same job id
+  async startHlsJob(id, channel, profileId, output, entry, configure) {
+    const maxTranscodes = await db.getSetting('max_transcodes', 2);
+
+    const existing = this.jobs.get(id);
+    if (existing) {
+      existing.lastAccess = Date.now();
+      await existing.ready;
+      return existing;
+    }
+
+    // A directory per run, so an ended job's cleanup never touches the
+    // output of the job that replaced it
+    const job = this.createJob(id, channel, profileId, output, maxTranscodes);
+    job.dir = path.join(this.dir, `${id}-${crypto.randomBytes(4).toString('hex')}`);
+    job.entry = entry;
+    job.ready = this.runHls(job, channel, configure);
+    job.ready.catch(() => this.endJob(job));
+
+    await job.ready;
+    return job;
+  }
+
+  startHls(channel, profile) {
+    return this.startHlsJob(`${channel.id}-${profile.id}`, channel, profile.id, 'hls', 'index.m3u8', (command, dir) => {
+      applyProfile(command, profile);
+      command
+        .output(path.join(dir, 'index.m3u8'))
+        .format('hls')
+        .outputOptions(hlsOutputOptions(dir, 'segment_%d.ts'));
+    });
+  }
+
+  // The upstream is piped into ffmpeg and cannot be probed beforehand, so a
+  // ladder that fails for lack of audio is restarted once without it
+  async startLadder(channel) {
+    const renditions = parseRenditions(channel.abr_renditions);
+    const start = () => this.startHlsJob(`${channel.id}-abr`, channel, null, 'abr', 'master.m3u8', (command, dir) => {
+      applyLadder(command, renditions, dir, { audio: !this.videoOnly.has(channel.id) });
+    });
+
+    try {
+      return await start();
+    } catch (error) {
+      if (this.videoOnly.has(channel.id) || !NO_AUDIO_ERROR.test(error.stderr || error.message)) {
+        throw error;
+      }
+      this.videoOnly.add(channel.id);
+      return start();
+    }
+  }
+
+  async runHls(job, channel, configure) {
+    const timeout = (await db.getSetting('stream_timeout', 30)) * 1000;
+    const input = await this.openInput(job, channel);
+    const playlist = path.join(job.dir, job.entry);
+
+    await fs.promises.mkdir(job.dir, { recursive: true });
+
+    job.command = ffmpeg(input);
+    configure(job.command, job.dir);
+
+    // Wait for the first playlist write, failing if ffmpeg exits first
+    await new Promise((resolve, reject) => {
+      const startedAt = Date.now();
+      const poll = setInterval(() => {
+        if (fs.existsSync(playlist)) {
+          clearInterval(poll);
+          resolve();
+        } else if (Date.now() - startedAt > timeout) {
+          clearInterval(poll);
+          reject(new Error('Timed out waiting for transcoder output'));
+        }
+      }, 500);
+
+      job.command.on('error', (error, stdout, stderr) => {
+        clearInterval(poll);
+        if (!job.closed) {
+          console.error(`Transcode error (job ${job.id}):`, error.message);
+        }
+        // The message leaves out ffmpeg's '[muxer @ ...]' lines
+        error.stderr = stderr;
+        this.endJob(job);
+        reject(error);
+      });
+      job.command.on('end', () => {
+        clearInterval(poll);
+        this.endJob(job);
+        reject(new Error('Transcoder exited'));
+      });
+
+      job.command.run();
+    });
+
+    job.idleTimer = setInterval(() => {
+      if (Date.now() - job.lastAccess > HLS_IDLE_SECONDS * 1000) {
+        this.endJob(job);
+      }
+    }, 5000);
+  }
+
+  // Serve a channel through a profile. MPEG-TS is piped; HLS redirects to the signed output URL.
+  async serve(req, res, channel, profile, logId) {
+    if (profile.output_format === 'hls') {
+      const job = await this.startHls(channel, profile);
+      return await this.redirectToJob(req, res, channel, job, logId);
+    }
+
+    await this.streamMpegts(res, channel, profile);
+  }
+
+  // Serve a channel's adaptive bitrate ladder through its master playlist
+  async serveLadder(req, res, channel, logId) {
+    const job = await this.startLadder(channel);
+    await this.redirectToJob(req, res, channel, job, logId);
+  }
+
+  // The stream log id rides along so output requests keep the session alive
+  async redirectToJob(req, res, channel, job, logId) {
+    const token = sign({ u: req.user.id, c: channel.id, j: job.id, l: logId, ip: normalizeIp(req.ip) }, await tokenTtl());
+    res.redirect(`/hls/out/${token}/${job.entry}`);
+  }
+
+  // Returns an error message for unknown rendition names, or null
+  validateRenditions(names) {
+    const unknown = names.filter(name => !RENDITIONS[name]);
+    if (names.length === 0 || unknown.length > 0) {
+      return `Renditions must be some of: ${Object.keys(RENDITIONS).join(', ')}.`;
+    }
+    return null;
+  }
+
+  // Rendition names ordered highest first, as stored in abr_renditions
+  normalizeRenditions(names) {
+    return parseRenditions(names.join(','));
+  }
+
+  // Path of an HLS output file, or null when the job or file name is unknown
+  getFile(jobId, name) {
+    const job = this.jobs.get(jobId);
+    if (!job || !job.dir || !/^[\w-]+\.(m3u8|ts)$/.test(name)) {
+      return null;
+    }
+
+    job.lastAccess = Date.now();
+    return path.join(job.dir, name);
+  }
+
+  stats() {
+    return [...this.jobs.values()].map(job => ({
+      id: job.id,
+      channel_id: job.channelId,
+      profile_id: job.profileId,
+      output_format: job.output,
+      started_at: job.startedAt
+    }));
+  }
+}
+
+module.exports = new Transcoder();
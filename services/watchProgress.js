@@ -0,0 +1,143 @@
+const db = require('../database/database');
+const bouquets = require('./bouquets');
+const { toSqlDate } = require('../utils/time');
+
+// Per-user playback positions in movies and episodes, reported by players,
+// for resuming playback and "continue watching"
+
+const ITEM_TABLES = {
+  movie: 'movies',
+  episode: 'episodes'
+};
+
+// A movie or episode with what a listing needs; episodes bring their series.
+// Takes the user id and completed flag, then the returned params.
+const itemsQuery = (user) => {
+  const movies = bouquets.filter(user, 'movie', 'm.id');
+  const series = bouquets.filter(user, 'series', 's.id');
+
+  return {
+    sql: `
+      SELECT wp.item_type as type, wp.item_id as id, wp.position, wp.duration, wp.completed, wp.updated_at,
+             COALESCE(m.title, e.title) as title,
+             COALESCE(m.poster_url, e.poster_url, s.poster_url) as poster_url,
+             m.year, s.id as series_id, s.title as series_title, se.season_number, e.episode_number
+      FROM watch_progress wp
+      LEFT JOIN movies m ON wp.item_type = 'movie' AND m.id = wp.item_id
+      LEFT JOIN episodes e ON wp.item_type = 'episode' AND e.id = wp.item_id
+      LEFT JOIN seasons se ON e.season_id = se.id
+      LEFT JOIN series s ON e.series_id = s.id
+      WHERE wp.user_id = ? AND wp.completed = ?
+        AND ((m.status = 'active'${movies.sql}) OR (e.status = 'active' AND s.status = 'active'${series.sql}))
+    `,
+    params: [...movies.params, ...series.params]
+  };
+};
+
+const withPercent = (item) => ({
+  ...item,
+  percent: item.duration ? Math.min(100, Math.round(item.position / item.duration * 100)) : null
+});
+
+class WatchProgress {
+  validate(type, position) {
+    if (!ITEM_TABLES[type]) {
+      return `Type must be one of: ${Object.keys(ITEM_TABLES).join(', ')}.`;
+    }
+    if (!(Number(position) >= 0)) {
+      return 'Position must be a number of seconds.';
+    }
+    return null;
+  }
+
+  // The active movie or episode progress is reported for, if the user has it
+  async findItem(user, type, itemId) {
+    if (type === 'episode') {
+      const access = bouquets.filter(user, 'series', 's.id');
+      return db.get(
+        `SELECT e.id, e.duration
+         FROM episodes e
+         INNER JOIN series s ON e.series_id = s.id
+         WHERE e.id = ? AND e.status = 'active' AND s.status = 'active'${access.sql}`,
+        [itemId, ...access.params]
+      );
+    }
+
+    const access = bouquets.filter(user, 'movie', 'id');
+    return db.get(
+      `SELECT id, duration FROM ${ITEM_TABLES[type]} WHERE id = ? AND status = 'active'${access.sql}`,
+      [itemId, ...access.params]
+    );
+  }
+
+  // Store a reported position. Items count as watched once the
+  // watch_completed_percent of their duration is reached, or when the player says so.
+  async save(userId, type, item, { position, duration = null, completed = false }) {
+    const total = parseInt(duration) || item.duration || null;
+    const seconds = Math.max(0, Math.floor(Number(position)));
+    const percent = await db.getSetting('watch_completed_percent', 90);
+    const done = Boolean(completed) || Boolean(total && seconds >= total * percent / 100);
+
+    await db.run(
+      `INSERT OR REPLACE INTO watch_progress (user_id, item_type, item_id, position, duration, completed, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [userId, type, item.id, seconds, total, done ? 1 : 0, toSqlDate(new Date())]
+    );
+
+    return { position: seconds, duration: total, completed: done };
+  }
+
+  // Seconds to resume playback from; watched items start over
+  async resumePosition(userId, type, itemId) {
+    const row = await db.get(
+      'SELECT position, completed FROM watch_progress WHERE user_id = ? AND item_type = ? AND item_id = ?',
+      [userId, type, itemId]
+    );
+    return row && !row.completed ? row.position : 0;
+  }
+
+  // Started, unfinished items, most recent first, with one episode per series
+  async continueWatching(user, limit = 20) {
+    const query = itemsQuery(user);
+    const items = await db.all(
+      `${query.sql} AND wp.position > 0 ORDER BY wp.updated_at DESC, wp.id DESC`,
+      [user.id, 0, ...query.params]
+    );
+
+    const seenSeries = new Set();
+    return items
+      .filter(item => {
+        if (!item.series_id) {
+          return true;
+        }
+        if (seenSeries.has(item.series_id)) {
+          return false;
+        }
+        seenSeries.add(item.series_id);
+        return true;
+      })
+      .slice(0, limit)
+      .map(withPercent);
+  }
+
+  async watched(user, { limit = 50, offset = 0 } = {}) {
+    const query = itemsQuery(user);
+    const items = await db.all(
+      `${query.sql} ORDER BY wp.updated_at DESC, wp.id DESC LIMIT ? OFFSET ?`,
+      [user.id, 1, ...query.params, limit, offset]
+    );
+    const count = await db.get(`SELECT COUNT(*) as total FROM (${query.sql})`, [user.id, 1, ...query.params]);
+
+    return { items: items.map(withPercent), total: count.total };
+  }
+
+  async remove(userId, type, itemId) {
+    const result = await db.run(
+      'DELETE FROM watch_progress WHERE user_id = ? AND item_type = ? AND item_id = ?',
+      [userId, type, itemId]
+    );
+    return result.changes > 0;
+  }
+}
+
+module.exports = new WatchProgress();
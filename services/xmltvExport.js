@@ -0,0 +1,176 @@
+const crypto = require('crypto');
+const zlib = require('zlib');
+const db = require('../database/database');
+const bouquets = require('./bouquets');
+const { formatXmltvDate, escapeXml } = require('../utils/xmltv');
+const { toDate, toSqlDate } = require('../utils/time');
+
+// Streams the guide for a user's channels as XMLTV
+
+const PAGE_SIZE = 5000;
+const HOUR = 60 * 60 * 1000;
+
+// Channels sharing an epg_id are exported once, using the first channel's programmes
+const getExportChannels = async (user) => {
+  const access = bouquets.filter(user, 'channel', 'id');
+  const channels = await db.all(`
+    SELECT id, name, logo_url, epg_id
+    FROM channels
+    WHERE status = 'active' AND epg_id IS NOT NULL AND epg_id != ''${access.sql}
+    ORDER BY id
+  `, access.params);
+
+  const byEpgId = new Map();
+  for (const channel of channels) {
+    if (!byEpgId.has(channel.epg_id)) {
+      byEpgId.set(channel.epg_id, channel);
+    }
+  }
+
+  return [...byEpgId.values()];
+};
+
+// Resolve the requested window, rounded to the hour so it can be cached
+const getWindow = async (query) => {
+  const defaultDays = await db.getSetting('xmltv_days', 7);
+  const days = Math.min(Math.max(parseInt(query.days) || defaultDays, 1), 31);
+  const pastDays = Math.min(Math.max(parseInt(query.past_days) || 0, 0), 31);
+  const hour = Math.floor(Date.now() / HOUR) * HOUR;
+
+  return {
+    hour: new Date(hour),
+    from: new Date(hour - pastDays * 24 * HOUR),
+    to: new Date(hour + days * 24 * HOUR)
+  };
+};
+
+const sendXmltv = async (req, res) => {
+  const channels = await getExportChannels(req.user);
+  const window = await getWindow(req.query);
+  const channelIds = channels.map(channel => channel.id);
+  const epgIds = new Map(channels.map(channel => [channel.id, channel.epg_id]));
+  const placeholders = channelIds.map(() => '?').join(',') || 'NULL';
+  const windowParams = [toSqlDate(window.from), toSqlDate(window.to)];
+
+  const summary = await db.get(`
+    SELECT COUNT(*) as count, MAX(id) as max_id
+    FROM epg
+    WHERE channel_id IN (${placeholders}) AND end_time >= ? AND start_time < ?
+  `, [...channelIds, ...windowParams]);
+  const sources = await db.get('SELECT MAX(last_updated) as last_updated FROM epg_sources');
+
+  const gzipFile = req.query.gzip === '1' || req.query.gzip === 'true';
+  const gzipEncoding = !gzipFile && /\bgzip\b/.test(req.get('Accept-Encoding') || '');
+
+  const etag = '"' + crypto.createHash('sha1')
+    .update(JSON.stringify([channels, summary, sources.last_updated, windowParams, gzipFile, gzipEncoding]))
+    .digest('hex') + '"';
+
+  // The guide changes when a source is imported and when the window moves on
+  // to the next hour. Before any import there is no date to give.
+  const sourcesUpdated = toDate(sources.last_updated);
+  const lastModified = sourcesUpdated && new Date(Math.max(sourcesUpdated.getTime(), window.hour.getTime()));
+
+  res.setHeader('ETag', etag);
+  if (lastModified) {
+    res.setHeader('Last-Modified', lastModified.toUTCString());
+  }
+  res.setHeader('Cache-Control', 'private, max-age=0, must-revalidate');
+  res.setHeader('Vary', 'Accept-Encoding');
+
+  const ifNoneMatch = req.get('If-None-Match');
+  const ifModifiedSince = req.get('If-Modified-Since');
+  const notModified = ifNoneMatch
+    ? ifNoneMatch.split(',').map(tag => tag.trim()).includes(etag)
+    : lastModified && ifModifiedSince && Math.floor(lastModified.getTime() / 1000) <= Math.floor(new Date(ifModifiedSince).getTime() / 1000);
+
+  if (notModified) {
+    return res.status(304).end();
+  }
+
+  let output = res;
+  if (gzipFile || gzipEncoding) {
+    output = zlib.createGzip();
+    output.pipe(res);
+  }
+
+  if (gzipFile) {
+    res.setHeader('Content-Type', 'application/gzip');
+    res.setHeader('Content-Disposition', 'attachment; filename="xmltv.xml.gz"');
+  } else {
+    res.setHeader('Content-Type', 'application/xml; charset=utf-8');
+    if (gzipEncoding) {
+      res.setHeader('Content-Encoding', 'gzip');
+    }
+  }
+
+  // Stop producing output if the client goes away
+  let closed = false;
+  res.on('close', () => { closed = true; });
+
+  const writeChunk = (output, chunk) => new Promise(resolve => {
+    if (closed || output.write(chunk)) {
+      resolve();
+    } else {
+      output.once('drain', resolve);
+      res.once('close', resolve);
+    }
+  });
+
+  await writeChunk(output, '<?xml version="1.0" encoding="UTF-8"?>\n<!DOCTYPE tv SYSTEM "xmltv.dtd">\n<tv generator-info-name="IPTV Panel">\n');
+
+  for (const channel of channels) {
+    let element = `  <channel id="${escapeXml(channel.epg_id)}">\n    <display-name>${escapeXml(channel.name)}</display-name>\n`;
+    if (channel.logo_url) {
+      element += `    <icon src="${escapeXml(channel.logo_url)}" />\n`;
+    }
+    element += '  </channel>\n';
+    await writeChunk(output, element);
+  }
+
+  for (let offset = 0; channelIds.length > 0 && !closed; offset += PAGE_SIZE) {
+    const programmes = await db.all(`
+      SELECT channel_id, title, description, start_time, end_time, category, rating
+      FROM epg
+      WHERE channel_id IN (${placeholders}) AND end_time >= ? AND start_time < ?
+      ORDER BY channel_id, start_time
+      LIMIT ? OFFSET ?
+    `, [...channelIds, ...windowParams, PAGE_SIZE, offset]);
+
+    let chunk = '';
+    for (const programme of programmes) {
+      const start = toDate(programme.start_time);
+      const stop = toDate(programme.end_time);
+      if (!start || !stop) {
+        continue;
+      }
+
+      chunk += `  <programme start="${formatXmltvDate(start)}" stop="${formatXmltvDate(stop)}" channel="${escapeXml(epgIds.get(programme.channel_id))}">\n`;
+      chunk += `    <title>${escapeXml(programme.title)}</title>\n`;
+      if (programme.description) {
+        chunk += `    <desc>${escapeXml(programme.description)}</desc>\n`;
+      }
+      if (programme.category) {
+        chunk += `    <category>${escapeXml(programme.category)}</category>\n`;
+      }
+      if (programme.rating) {
+        chunk += `    <rating>\n      <value>${escapeXml(programme.rating)}</value>\n    </rating>\n`;
+      }
+      chunk += '  </programme>\n';
+    }
+
+    if (chunk) {
+      await writeChunk(output, chunk);
+    }
+
+    if (programmes.length < PAGE_SIZE) {
+      break;
+    }
+  }
+
+  output.end('</tv>\n');
+};
+
+module.exports = {
+  sendXmltv
+};
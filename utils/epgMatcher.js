@@ -0,0 +1,137 @@
+// Fuzzy matching of channel names against XMLTV channel lists
+
+// Quality and format markers that providers append to channel names
+const NOISE_TOKENS = new Set([
+  'hd', 'fhd', 'uhd', 'sd', 'hq', 'lq', '4k', '8k', 'hevc', 'h264', 'h265', 'x264', 'x265',
+  '1080', '1080p', '1080i', '720', '720p', '576p', '480p', '50fps', '60fps', 'fps', 'raw',
+  'backup', 'tv', 'vip', 'multi'
+]);
+
+const normalizeName = (name) => {
+  let value = String(name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .trim();
+
+  // Country prefixes: 'US: CNN', 'UK | BBC One', '[DE] ARD', '|FR| TF1', 'US - CNN'
+  value = value
+    .replace(/^[[(|]\s*[a-z]{2,3}\s*[\])|]\s*[:|-]?\s*/, '')
+    .replace(/^[a-z]{2,3}\s*[:|]\s*/, '')
+    .replace(/^[a-z]{2,3}\s+-\s+/, '');
+
+  // XMLTV ids such as 'cnn.us' or 'bbc1.uk@SD'
+  value = value.replace(/@.*$/, '').replace(/\.[a-z]{2,3}$/, '');
+
+  // Bracketed suffixes: 'CNN (US)', 'ESPN [HD]'
+  value = value.replace(/[[(][^\])]*[\])]/g, ' ');
+
+  const tokens = value
+    .replace(/\+/g, ' plus ')
+    .replace(/&/g, ' and ')
+    .split(/[^a-z0-9]+/)
+    .filter(token => token && !NOISE_TOKENS.has(token));
+
+  return tokens.join(' ');
+};
+
+const bigrams = (value) => {
+  const compact = value.replace(/ /g, '');
+  const grams = new Map();
+  for (let i = 0; i < compact.length - 1; i++) {
+    const gram = compact.slice(i, i + 2);
+    grams.set(gram, (grams.get(gram) || 0) + 1);
+  }
+  return grams;
+};
+
+// Sørensen–Dice coefficient over character bigrams, 0..1
+const similarity = (a, b) => {
+  if (!a || !b) {
+    return 0;
+  }
+  if (a === b) {
+    return 1;
+  }
+
+  const gramsA = bigrams(a);
+  const gramsB = bigrams(b);
+  let total = 0;
+  let overlap = 0;
+
+  for (const count of gramsA.values()) total += count;
+  for (const count of gramsB.values()) total += count;
+  for (const [gram, count] of gramsA) {
+    overlap += Math.min(count, gramsB.get(gram) || 0);
+  }
+
+  return total === 0 ? 0 : (2 * overlap) / total;
+};
+
+// Words plus the name without spaces, so 'BBCOne' still finds 'BBC One'
+const searchTokens = (normalized) => new Set([...normalized.split(' '), normalized.replace(/ /g, '')]);
+
+// Build a matcher over XMLTV candidates ({ xmltv_id, display_name, source_id })
+const createMatcher = (candidates) => {
+  const entries = [];
+  const byToken = new Map();
+
+  for (const candidate of candidates) {
+    for (const label of [candidate.display_name, candidate.xmltv_id]) {
+      const normalized = normalizeName(label);
+      if (!normalized) {
+        continue;
+      }
+
+      const index = entries.push({ candidate, normalized }) - 1;
+      for (const token of searchTokens(normalized)) {
+        if (!byToken.has(token)) {
+          byToken.set(token, []);
+        }
+        byToken.get(token).push(index);
+      }
+    }
+  }
+
+  // Best suggestions for a channel name, highest score first
+  return (name, { limit = 3, minScore = 0.5 } = {}) => {
+    const normalized = normalizeName(name);
+    if (!normalized) {
+      return [];
+    }
+
+    // Only score candidates sharing at least one token
+    const indexes = new Set();
+    for (const token of searchTokens(normalized)) {
+      for (const index of byToken.get(token) || []) {
+        indexes.add(index);
+      }
+    }
+
+    const best = new Map();
+    for (const index of indexes) {
+      const { candidate, normalized: label } = entries[index];
+      const score = Math.round(similarity(normalized, label) * 100) / 100;
+      const previous = best.get(candidate.xmltv_id);
+
+      if (score >= minScore && (!previous || score > previous.score)) {
+        best.set(candidate.xmltv_id, {
+          epg_id: candidate.xmltv_id,
+          display_name: candidate.display_name,
+          source_id: candidate.source_id,
+          score
+        });
+      }
+    }
+
+    return [...best.values()]
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  };
+};
+
+module.exports = {
+  normalizeName,
+  similarity,
+  createMatcher
+};
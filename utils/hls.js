@@ -0,0 +1,66 @@
+// HLS playlist helpers
+
+const HLS_CONTENT_TYPES = [
+  'application/vnd.apple.mpegurl',
+  'application/x-mpegurl',
+  'audio/mpegurl',
+  'audio/x-mpegurl'
+];
+
+// Tags whose URI attribute points at another playlist rather than a resource
+const PLAYLIST_URI_TAGS = ['#EXT-X-MEDIA', '#EXT-X-I-FRAME-STREAM-INF'];
+
+const isHlsUrl = (url) => {
+  try {
+    return /\.m3u8?$/i.test(new URL(url).pathname);
+  } catch (error) {
+    return false;
+  }
+};
+
+const isHlsResponse = (contentType, url) => {
+  const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+  return HLS_CONTENT_TYPES.includes(type) || isHlsUrl(url);
+};
+
+// Rewrite every URI in a playlist (variants, segments, keys, maps, renditions).
+// mapUri(absoluteUrl, isPlaylist) returns the replacement URL.
+const rewritePlaylist = (content, baseUrl, mapUri) => {
+  const resolve = (uri) => new URL(uri, baseUrl).toString();
+  let nextIsPlaylist = false;
+
+  return String(content)
+    .split(/\r?\n/)
+    .map((line) => {
+      const trimmed = line.trim();
+
+      if (!trimmed) {
+        return line;
+      }
+
+      if (trimmed.startsWith('#')) {
+        if (trimmed.startsWith('#EXT-X-STREAM-INF')) {
+          nextIsPlaylist = true;
+        }
+
+        const tagIsPlaylist = PLAYLIST_URI_TAGS.some(tag => trimmed.startsWith(tag));
+        return line.replace(/URI="([^"]+)"/g, (match, uri) => {
+          const absolute = resolve(uri);
+          return `URI="${mapUri(absolute, tagIsPlaylist || isHlsUrl(absolute))}"`;
+        });
+      }
+
+      const absolute = resolve(trimmed);
+      const isPlaylist = nextIsPlaylist || isHlsUrl(absolute);
+      nextIsPlaylist = false;
+
+      return mapUri(absolute, isPlaylist);
+    })
+    .join('\n');
+};
+
+module.exports = {
+  isHlsUrl,
+  isHlsResponse,
+  rewritePlaylist
+};
@@ -0,0 +1,47 @@
+const net = require('net');
+
+// IP address helpers
+
+// Proxies and dual-stack sockets report IPv4 clients as IPv6-mapped addresses
+const normalizeIp = (ip) => String(ip || '').replace(/^::ffff:/, '');
+
+// A single address or a CIDR range, IPv4 or IPv6
+const isValidIpRule = (rule) => {
+  const [address, prefix, extra] = String(rule).split('/');
+  const version = net.isIP(address);
+
+  if (!version || extra !== undefined) {
+    return false;
+  }
+
+  return prefix === undefined || (/^\d+$/.test(prefix) && Number(prefix) <= (version === 4 ? 32 : 128));
+};
+
+// Whether an IP matches any of the addresses and ranges in `rules`
+const matchesIpRules = (ip, rules) => {
+  const address = normalizeIp(ip);
+  const version = net.isIP(address);
+  if (!version) {
+    return false;
+  }
+
+  const list = new net.BlockList();
+  for (const rule of rules.filter(isValidIpRule)) {
+    const [ruleAddress, prefix] = rule.split('/');
+    const type = net.isIP(ruleAddress) === 6 ? 'ipv6' : 'ipv4';
+
+    if (prefix === undefined) {
+      list.addAddress(ruleAddress, type);
+    } else {
+      list.addSubnet(ruleAddress, Number(prefix), type);
+    }
+  }
+
+  return list.check(address, version === 6 ? 'ipv6' : 'ipv4');
+};
+
+module.exports = {
+  normalizeIp,
+  isValidIpRule,
+  matchesIpRules
+};
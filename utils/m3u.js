@@ -0,0 +1,86 @@
+// Minimal M3U / M3U8 playlist parser for channel imports
+
+const ATTRIBUTE_PATTERN = /([\w-]+)="([^"]*)"/g;
+
+// Parse '#EXTINF:-1 tvg-id="x" group-title="y",Name'
+const parseExtinf = (line) => {
+  const body = line.slice('#EXTINF:'.length);
+
+  // The title follows the first comma that is not inside a quoted attribute
+  let inQuotes = false;
+  let commaIndex = -1;
+  for (let i = 0; i < body.length; i++) {
+    if (body[i] === '"') {
+      inQuotes = !inQuotes;
+    } else if (body[i] === ',' && !inQuotes) {
+      commaIndex = i;
+      break;
+    }
+  }
+
+  const header = commaIndex === -1 ? body : body.slice(0, commaIndex);
+  const title = commaIndex === -1 ? '' : body.slice(commaIndex + 1).trim();
+  const attributes = {};
+
+  let match;
+  ATTRIBUTE_PATTERN.lastIndex = 0;
+  while ((match = ATTRIBUTE_PATTERN.exec(header)) !== null) {
+    attributes[match[1].toLowerCase()] = match[2].trim();
+  }
+
+  return {
+    duration: parseFloat(header) || -1,
+    title,
+    attributes
+  };
+};
+
+const parseM3u = (content) => {
+  const lines = String(content).replace(/^\uFEFF/, '').split(/\r?\n/);
+  const entries = [];
+  let current = null;
+
+  for (const rawLine of lines) {
+    const line = rawLine.trim();
+
+    if (!line) {
+      continue;
+    }
+
+    if (line.startsWith('#EXTINF:')) {
+      current = parseExtinf(line);
+      continue;
+    }
+
+    // '#EXTGRP:' is the older way of setting the group
+    if (line.startsWith('#EXTGRP:') && current && !current.attributes['group-title']) {
+      current.attributes['group-title'] = line.slice('#EXTGRP:'.length).trim();
+      continue;
+    }
+
+    if (line.startsWith('#')) {
+      continue;
+    }
+
+    const attributes = current ? current.attributes : {};
+
+    entries.push({
+      name: (current && current.title) || attributes['tvg-name'] || line,
+      url: line,
+      duration: current ? current.duration : -1,
+      tvgId: attributes['tvg-id'] || null,
+      tvgName: attributes['tvg-name'] || null,
+      logo: attributes['tvg-logo'] || null,
+      group: attributes['group-title'] || null,
+      attributes
+    });
+
+    current = null;
+  }
+
+  return entries;
+};
+
+module.exports = {
+  parseM3u
+};
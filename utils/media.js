@@ -0,0 +1,113 @@
+const path = require('path');
+
+// Helpers for local media files: which files count as video, what their
+// names say about them and what ffprobe found inside them
+
+const VIDEO_EXTENSIONS = ['mp4', 'mkv', 'avi', 'mov', 'm4v', 'ts', 'webm', 'flv', 'wmv', 'mpg', 'mpeg'];
+const SUBTITLE_EXTENSIONS = ['srt', 'vtt', 'ass', 'ssa', 'sub'];
+
+const extensionOf = (filePath) => path.extname(filePath).slice(1).toLowerCase();
+
+const isVideoFile = (filePath) => VIDEO_EXTENSIONS.includes(extensionOf(filePath));
+
+const isSubtitleFile = (filePath) => SUBTITLE_EXTENSIONS.includes(extensionOf(filePath));
+
+// Release-style names like 'The.Matrix.1999.1080p.BluRay.mkv' or 'Alien (1979).mp4'.
+// The year is the last one with a title in front of it, so 'Blade Runner 2049 (2017)' keeps its title.
+const parseMovieName = (filePath) => {
+  const base = path.basename(filePath, path.extname(filePath)).replace(/[._]+/g, ' ').trim();
+  const years = [...base.matchAll(/[\s([-]((?:19|20)\d{2})(?=[\s)\]-]|$)/g)];
+  const match = years.pop();
+
+  if (!match) {
+    return { title: base, year: null };
+  }
+
+  const title = base.slice(0, match.index).replace(/[\s([-]+$/, '').trim();
+  return {
+    title: title || base,
+    year: parseInt(match[1])
+  };
+};
+
+// Release tags that end an episode title: 'Pilot.720p.WEB-DL' -> 'Pilot'
+const RELEASE_TAG = /^(\d{3,4}p|[hx]\.?26[45]|hevc|web(-?dl|rip)?|blu-?ray|hdtv|dvdrip|proper|repack)$/i;
+
+// Episode names like 'Breaking.Bad.S01E02.Cats.in.the.Bag.720p.mkv', 'Show - 1x02' or a
+// playlist title 'Show S01 E02'. Returns null when there is no season and episode number.
+const parseEpisodeName = (name) => {
+  const base = (isVideoFile(name) ? path.basename(name, path.extname(name)) : path.basename(name))
+    .replace(/[._\s]+/g, ' ').trim();
+  const match = /(?:^|[\s([-])(?:s(\d{1,2})\s?e(\d{1,3})|(\d{1,2})x(\d{2,3}))(?=[\s)\]e-]|$)/i.exec(base);
+
+  if (!match) {
+    return null;
+  }
+
+  const words = base.slice(match.index + match[0].length).replace(/^(e\d{1,3})+/i, '').split(/\s+/);
+  const tagAt = words.findIndex(word => RELEASE_TAG.test(word));
+
+  return {
+    series: base.slice(0, match.index).replace(/[\s([-]+$/, '').trim() || null,
+    season: parseInt(match[1] || match[3]),
+    episode: parseInt(match[2] || match[4]),
+    title: (tagAt === -1 ? words : words.slice(0, tagAt)).join(' ').replace(/^[\s-]+|[\s-]+$/g, '') || null
+  };
+};
+
+// Sidecar subtitles are named after the video, optionally with a language: 'Movie.en.srt'
+const subtitleLanguage = (videoPath, subtitlePath) => {
+  const videoBase = path.basename(videoPath, path.extname(videoPath));
+  const rest = path.basename(subtitlePath, path.extname(subtitlePath)).slice(videoBase.length);
+  const match = /^[._ -]([a-z]{2,3})(?:[._ -]|$)/i.exec(rest);
+  return match ? match[1].toLowerCase() : null;
+};
+
+const ISO_LANGUAGES = { eng: 'en', fre: 'fr', fra: 'fr', ger: 'de', deu: 'de', spa: 'es', ita: 'it', por: 'pt', dut: 'nl', nld: 'nl', rus: 'ru', ara: 'ar', tur: 'tr', pol: 'pl', jpn: 'ja', chi: 'zh', zho: 'zh', kor: 'ko' };
+
+// ffprobe reports three-letter codes; keep two-letter ones where we know them
+const normalizeLanguage = (code) => {
+  const value = String(code || '').toLowerCase();
+  if (!value || value === 'und') {
+    return null;
+  }
+  return ISO_LANGUAGES[value] || value;
+};
+
+// Duration, video details and audio/subtitle tracks from ffprobe metadata
+const describeFile = (metadata) => {
+  const streams = metadata.streams || [];
+  const video = streams.find(stream => stream.codec_type === 'video' && !(stream.disposition && stream.disposition.attached_pic));
+  const tags = (stream) => stream.tags || {};
+
+  const tracks = streams
+    .filter(stream => stream.codec_type === 'audio' || stream.codec_type === 'subtitle')
+    .map(stream => ({
+      kind: stream.codec_type,
+      stream_index: stream.index,
+      language: normalizeLanguage(tags(stream).language),
+      codec: stream.codec_name || null,
+      title: tags(stream).title || null,
+      channels: stream.channels || null,
+      is_default: stream.disposition && stream.disposition.default ? 1 : 0
+    }));
+
+  return {
+    duration: Math.round(Number(metadata.format && metadata.format.duration)) || null,
+    video_codec: video ? video.codec_name : null,
+    resolution: video && video.width ? `${video.width}x${video.height}` : null,
+    bitrate: parseInt(metadata.format && metadata.format.bit_rate) || null,
+    tracks
+  };
+};
+
+module.exports = {
+  VIDEO_EXTENSIONS,
+  extensionOf,
+  isVideoFile,
+  isSubtitleFile,
+  parseMovieName,
+  parseEpisodeName,
+  subtitleLanguage,
+  describeFile
+};
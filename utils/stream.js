@@ -0,0 +1,32 @@
+// Readable stream helpers
+
+// Wait for the first chunk so a source that accepts the connection but sends nothing counts as failed
+const readFirstChunk = (stream, timeout) => new Promise((resolve, reject) => {
+  const done = (error, chunk) => {
+    clearTimeout(timer);
+    stream.off('data', onData);
+    stream.off('end', onEnd);
+    stream.off('error', onError);
+
+    if (error) {
+      stream.destroy();
+      reject(error);
+    } else {
+      stream.pause();
+      resolve(chunk);
+    }
+  };
+
+  const onData = (chunk) => done(null, chunk);
+  const onEnd = () => done(null, Buffer.alloc(0));
+  const onError = (error) => done(error);
+  const timer = setTimeout(() => done(new Error('No data received from upstream')), timeout);
+
+  stream.on('data', onData);
+  stream.on('end', onEnd);
+  stream.on('error', onError);
+});
+
+module.exports = {
+  readFirstChunk
+};
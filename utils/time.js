@@ -0,0 +1,41 @@
+// Date helpers for values read from and written to SQLite.
+// Rows contain CURRENT_TIMESTAMP strings (UTC, no zone), ISO strings
+// and JS timestamps (sqlite3 binds Date objects as milliseconds).
+
+const toDate = (value) => {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  if (value instanceof Date) {
+    return value;
+  }
+
+  if (typeof value === 'number' || /^\d+$/.test(value)) {
+    return new Date(Number(value));
+  }
+
+  const str = String(value);
+  const hasZone = /([zZ]|[+-]\d\d:?\d\d)$/.test(str);
+  const date = new Date(hasZone ? str : str.replace(' ', 'T') + 'Z');
+
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// Unix timestamp in seconds, or null
+const toUnix = (value) => {
+  const date = toDate(value);
+  return date ? Math.floor(date.getTime() / 1000) : null;
+};
+
+// 'YYYY-MM-DD HH:MM:SS' in UTC, comparable with datetime('now')
+const toSqlDate = (value = new Date()) => {
+  const date = toDate(value);
+  return date ? date.toISOString().slice(0, 19).replace('T', ' ') : null;
+};
+
+module.exports = {
+  toDate,
+  toUnix,
+  toSqlDate
+};
@@ -0,0 +1,35 @@
+// XMLTV helpers
+
+// Parse '20240101120000 +0100' (offset and seconds optional) into a Date
+const parseXmltvDate = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})?(?:\s*([+-]\d{2}):?(\d{2}))?/.exec(String(value || '').trim());
+  if (!match) {
+    return null;
+  }
+
+  const [, year, month, day, hour, minute, second = '00', offsetHours = '+00', offsetMinutes = '00'] = match;
+  const utc = Date.UTC(year, month - 1, day, hour, minute, second);
+  const sign = offsetHours.startsWith('-') ? -1 : 1;
+  const offset = sign * (Math.abs(parseInt(offsetHours)) * 60 + parseInt(offsetMinutes)) * 60000;
+
+  return new Date(utc - offset);
+};
+
+// Format a Date as '20240101120000 +0000'
+const formatXmltvDate = (date) => {
+  const iso = date.toISOString();
+  return iso.slice(0, 19).replace(/[-T:]/g, '') + ' +0000';
+};
+
+const escapeXml = (value) => String(value === null || value === undefined ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+
+module.exports = {
+  parseXmltvDate,
+  formatXmltvDate,
+  escapeXml
+};